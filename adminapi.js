@@ -0,0 +1,202 @@
+// adminapi.js - Optional HTTP API to manage the tickers from the machine the bot runs on
+//
+// Enabled with ADMIN_API_TOKEN in .env. The server listens on localhost only (ADMIN_API_HOST
+// and ADMIN_API_PORT change that) and every request needs "Authorization: Bearer <token>".
+// Start, stop, reset and auto-schedule call the same functions as the chat commands (controls.js).
+//
+//   GET  /tickers                       All tickers with their state, and the job queue
+//   GET  /schedule                      The saved schedule (planned tickers per chat)
+//   GET  /webhooks                      The webhooks of the groups (!webhook) with their signing secrets
+//   POST /chats/<chatId>/start          { "url": "<game URL>", "mode": "live|recap", "tag": "..." }
+//   POST /chats/<chatId>/stop           { "ticker": "<Nr.|game ID>" }, without it all tickers of the chat
+//   POST /chats/<chatId>/reset
+//   POST /chats/<chatId>/autoschedule   { "url": "<team URL>", "mode": "live|recap", "tag": "..." }
+//
+// Chat IDs have to be URL-encoded, e.g. /chats/matrix%3A!abc%3Amatrix.org/stop.
+
+const http = require('http');
+const crypto = require('crypto');
+const { t } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { loadScheduledTickers, getStateKey } = require('./utils.js');
+const { startTicker, stopTickers, resetTickers, startAutoSchedule } = require('./controls.js');
+const { getAllWebhooks } = require('./webhooks.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 64 * 1024;
+
+let activeTickers;
+let jobQueue;
+let transport;
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data, null, 2));
+}
+
+// Compares hashes, so the check takes the same time no matter how much of the token is right
+function isValidToken(header, token) {
+    const match = (header || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(match[1].trim()), hash(token));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Anfrage zu groß.'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body.trim()) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(httpError(400, 'Ungültiges JSON.'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// --- DATA ---
+
+function describeTicker(tickerState) {
+    return {
+        tickerKey: tickerState.tickerKey,
+        chatId: tickerState.chatId,
+        groupName: tickerState.groupName || null,
+        gameId: tickerState.gameId,
+        state: getStateKey(tickerState),
+        mode: tickerState.mode || 'live',
+        teamNames: tickerState.teamNames || null,
+        teamTag: tickerState.teamTag || null,
+        startsAt: tickerState.startsAt || null,
+        scheduledStartTime: tickerState.scheduledStartTime || null,
+        score: tickerState.lastKnownScore || null,
+        lastEventTime: tickerState.lastEventTime || null,
+        isAutoSchedule: Boolean(tickerState.isAutoSchedule),
+        teamPageUrl: tickerState.teamPageUrl || null,
+        skippedGameIds: tickerState.skippedGameIds || []
+    };
+}
+
+function describeJob(job) {
+    return { type: job.type, gameId: job.gameId || null, tickerKey: job.tickerKey || null, queuedAt: new Date(job.jobId).toISOString() };
+}
+
+/**
+ * The group name is only known from the chat's tickers, new chats are named after their ID.
+ */
+function getGroupName(chatId, body) {
+    if (body.groupName) return body.groupName;
+    const ticker = Array.from(activeTickers.values()).find(tickerState => tickerState.chatId === chatId && tickerState.groupName);
+    return ticker ? ticker.groupName : chatId;
+}
+
+function getTickerOptions(body) {
+    return [body.mode, body.tag].filter(option => typeof option === 'string' && option);
+}
+
+// --- ROUTES ---
+
+async function handleChatAction(chatId, action, body) {
+    if (!transport.ownsChat(chatId)) throw httpError(404, `Kein Transport für Chat ${chatId} gefunden.`);
+    const groupName = getGroupName(chatId, body);
+
+    switch (action) {
+        case 'start':
+            if (!body.url) throw httpError(400, 'Feld "url" fehlt.');
+            await startTicker(chatId, groupName, body.url, getTickerOptions(body));
+            return { ok: true };
+        case 'stop':
+            return { ok: true, stopped: await stopTickers(chatId, body.ticker ? String(body.ticker) : null) };
+        case 'reset':
+            resetTickers(chatId, groupName);
+            return { ok: true, message: t(getGroupLanguage(chatId), 'commands.resetDone') };
+        case 'autoschedule': {
+            if (!body.url) throw httpError(400, 'Feld "url" fehlt.');
+            const game = await startAutoSchedule(chatId, groupName, body.url, getTickerOptions(body));
+            return {
+                ok: true,
+                game: game ? { id: game.id, home: game.homeTeam.name, guest: game.awayTeam.name, startsAt: game.startsAt } : null
+            };
+        }
+        default:
+            throw httpError(404, `Unbekannte Aktion "${action}".`);
+    }
+}
+
+async function handleRequest(req, res, token) {
+    if (!isValidToken(req.headers.authorization, token)) throw httpError(401, 'Ungültiger oder fehlender API-Token.');
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const segments = pathname.split('/').filter(Boolean);
+
+    if (req.method === 'GET' && pathname === '/tickers') {
+        return sendJson(res, 200, {
+            tickers: Array.from(activeTickers.values()).map(describeTicker),
+            jobQueue: jobQueue.map(describeJob)
+        });
+    }
+    if (req.method === 'GET' && pathname === '/schedule') {
+        return sendJson(res, 200, loadScheduledTickers());
+    }
+    if (req.method === 'GET' && pathname === '/webhooks') {
+        return sendJson(res, 200, getAllWebhooks());
+    }
+    if (req.method === 'POST' && segments.length === 3 && segments[0] === 'chats') {
+        const chatId = decodeURIComponent(segments[1]);
+        const body = await readJsonBody(req);
+        try {
+            const result = await handleChatAction(chatId, segments[2], body);
+            console.log(`Admin-API: ${segments[2]} für Chat ${chatId} ausgeführt.`);
+            return sendJson(res, 200, result);
+        } catch (error) {
+            // Errors of the controls carry the same message the group would get as reply
+            throw error.statusCode ? error : httpError(400, error.message);
+        }
+    }
+    throw httpError(404, 'Unbekannter Endpunkt.');
+}
+
+/**
+ * Starts the admin API if ADMIN_API_TOKEN is set.
+ * @param {Map} tickers - The activeTickers map.
+ * @param {Array} queue - The job queue.
+ * @param {EventEmitter} messagingTransport - The transport, used to check chat IDs.
+ * @returns {http.Server|null} - The server, or null if the API is disabled.
+ */
+function startAdminApi(tickers, queue, messagingTransport) {
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) return null;
+    activeTickers = tickers;
+    jobQueue = queue;
+    transport = messagingTransport;
+
+    const host = process.env.ADMIN_API_HOST || DEFAULT_HOST;
+    const port = parseInt(process.env.ADMIN_API_PORT, 10) || DEFAULT_PORT;
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res, token).catch(error => {
+            if (!error.statusCode) console.error('Admin-API: Fehler bei der Anfrage:', error);
+            sendJson(res, error.statusCode || 500, { ok: false, error: error.message });
+        });
+    });
+    server.on('error', error => console.error('Admin-API: Server-Fehler:', error.message));
+    server.listen(port, host, () => console.log(`Admin-API läuft auf http://${host}:${port}`));
+    return server;
+}
+
+module.exports = { startAdminApi };
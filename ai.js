@@ -1,5 +1,8 @@
 // ai.js 
 const { GoogleGenAI } = require("@google/genai");
+const { t, DEFAULT_LANGUAGE } = require('./i18n.js');
+const { getFullPlayerName, getPlayerNumber } = require('./utils.js');
+const { recordAiRequest } = require('./metrics.js');
 
 // The client gets the API key from the environment variable `GEMINI_API_KEY`.
 const genAI = new GoogleGenAI(process.env.GEMINI_API_KEY);
@@ -9,11 +12,12 @@ const genAI = new GoogleGenAI(process.env.GEMINI_API_KEY);
  * @param {Array} lineup - The lineup array for this team (e.g., gameData.lineup.home).
  * @param {Array} events - The *full* chronological list of game events.
  * @param {string} teamSide - The team to check, either 'Home' or 'Away'.
+ * @param {string} language - The language of the group.
  * @returns {string} - Formatted string of top scorer(s).
  */
-function findTopScorer(lineup, events, teamSide) {
-    if (!lineup || lineup.length === 0) return "Niemand";
-    if (!events || events.length === 0) return "Niemand";
+function findTopScorer(lineup, events, teamSide, language) {
+    if (!lineup || lineup.length === 0) return t(language, 'stats.nobody');
+    if (!events || events.length === 0) return t(language, 'stats.nobody');
 
     const goalMap = new Map(); // <playerNumber, goalCount>
     let topScore = 0;
@@ -24,9 +28,7 @@ function findTopScorer(lineup, events, teamSide) {
         if (ev.team !== teamSide) continue;
         
         if (ev.type === "Goal" || ev.type === "SevenMeterGoal") {
-            // Extract player number from message (e.g., "Tor durch 10." or "Tor (7m) durch 22.")
-            const numMatch = ev.message.match(/(\d+)\./); 
-            const playerNumber = numMatch ? parseInt(numMatch[1], 10) : null;
+            const playerNumber = getPlayerNumber(ev);
 
             if (playerNumber) {
                 const newScore = (goalMap.get(playerNumber) || 0) + 1;
@@ -38,7 +40,7 @@ function findTopScorer(lineup, events, teamSide) {
         }
     }
 
-    if (topScore === 0) return "Niemand";
+    if (topScore === 0) return t(language, 'stats.nobody');
 
     // 2. Find all players who match the top score
     const topScorerNumbers = [];
@@ -51,22 +53,12 @@ function findTopScorer(lineup, events, teamSide) {
     // 3. Map numbers back to names using the lineup array
     const topScorers = topScorerNumbers.map(number => {
         const player = lineup.find(p => p.number === number);
-        if (player) {
-            // --- FIX: Use correct camelCase properties ---
-            const fName = player.firstname ? player.firstname.trim() : null;
-            const lName = player.lastname ? player.lastname.trim() : null;
-            
-            if (lName && fName && fName !== "N.N.") {
-                // Using full first name + last name for clarity in stats
-                return `${fName.split(' ')[0]} ${lName}`; 
-            }
-            if (lName && lName !== "N.N.") return lName;
-            if (fName && fName !== "N.N.") return fName;
-        }
-        return `Nr. ${number}`; // Fallback if player not in lineup
+        const name = player ? getFullPlayerName(player) : null;
+        if (name) return name;
+        return t(language, 'event.playerNumber', { number }); // Fallback if player not in lineup
     });
 
-    return `${topScorers.join(' & ')} (${topScore} Tore)`;
+    return `${topScorers.join(' & ')} (${t(language, topScore === 1 ? 'stats.goal' : 'stats.goals', { count: topScore })})`;
 }
 
 /**
@@ -74,9 +66,10 @@ function findTopScorer(lineup, events, teamSide) {
  * @param {object} lineupData - The `gameData.lineup` object (for top scorer only).
  * @param {object} teamNames - The team names object.
  * @param {Array} events - The chronological list of all game events.
+ * @param {string} language - The language of the group.
  * @returns {object} - An object with correctly counted stats.
  */
-function getStatsForPrompt(lineupData, teamNames, events) {
+function getStatsForPrompt(lineupData, teamNames, events, language) {
     const stats = {
         home: { name: teamNames.home, penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0, yellowCards: 0, redCards: 0, blueCards: 0 },
         guest: { name: teamNames.guest, penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0, yellowCards: 0, redCards: 0, blueCards: 0 }
@@ -112,14 +105,14 @@ function getStatsForPrompt(lineupData, teamNames, events) {
 
     return {
         // --- FIX: Pass events and team side to the new findTopScorer ---
-        homeTopScorer: findTopScorer(lineupData.home, events, 'Home'),
-        guestTopScorer: findTopScorer(lineupData.away, events, 'Away'),
+        homeTopScorer: findTopScorer(lineupData.home, events, 'Home', language),
+        guestTopScorer: findTopScorer(lineupData.away, events, 'Away', language),
         
         // All other stats are now from our reliable event count
         homePenalties: stats.home.penalties,
         guestPenalties: stats.guest.penalties,
-        homeSevenMeters: `${stats.home.sevenMetersMade} von ${stats.home.sevenMetersMade + stats.home.sevenMetersMissed}`,
-        guestSevenMeters: `${stats.guest.sevenMetersMade} von ${stats.guest.sevenMetersMade + stats.guest.sevenMetersMissed}`,
+        homeSevenMeters: t(language, 'stats.sevenMeterRatio', { made: stats.home.sevenMetersMade, total: stats.home.sevenMetersMade + stats.home.sevenMetersMissed }),
+        guestSevenMeters: t(language, 'stats.sevenMeterRatio', { made: stats.guest.sevenMetersMade, total: stats.guest.sevenMetersMade + stats.guest.sevenMetersMissed }),
         homeYellowCards: stats.home.yellowCards,
         guestYellowCards: stats.guest.yellowCards,
         homeRedCards: stats.home.redCards,
@@ -135,9 +128,10 @@ function getStatsForPrompt(lineupData, teamNames, events) {
  * @param {object} lineupData - The `gameData.lineup` object (for top scorer).
  * @param {object} teamNames - The team names object.
  * @param {Array} events - The chronological list of all game events.
+ * @param {string} [language] - The language of the group.
  * @returns {string} - A formatted WhatsApp message string with game stats.
  */
-async function extractGameStats(lineupData, teamNames, events) {
+async function extractGameStats(lineupData, teamNames, events, language = DEFAULT_LANGUAGE) {
     if (!lineupData || !lineupData.home || !lineupData.away) {
         console.log("Lineup-Daten für Statistiken nicht gefunden.");
         return "";
@@ -147,31 +141,33 @@ async function extractGameStats(lineupData, teamNames, events) {
         return ""; // Can't count stats without events
     }
 
-    const gameStats = getStatsForPrompt(lineupData, teamNames, events);
+    const gameStats = getStatsForPrompt(lineupData, teamNames, events, language);
+    const line = (key, value) => `  - ${t(language, key)}: ${value}\n`;
+    const separator = `-----------------------------------\n`;
 
-    let statsMessage = `📊 *Statistiken zum Spiel:*\n` +
-                         `-----------------------------------\n` +
+    let statsMessage = `${t(language, 'stats.title')}\n` +
+                         separator +
                          `*${teamNames.home}:*\n` +
-                         `  - Topscorer: ${gameStats.homeTopScorer}\n` +
-                         `  - 7-Meter: ${gameStats.homeSevenMeters}\n` +
-                         `  - Zeitstrafen: ${gameStats.homePenalties}\n` +
-                         `  - Gelbe Karten: ${gameStats.homeYellowCards}\n` +
-                         `  - Rote Karten: ${gameStats.homeRedCards}\n`;
+                         line('stats.topScorer', gameStats.homeTopScorer) +
+                         line('stats.sevenMeters', gameStats.homeSevenMeters) +
+                         line('stats.penalties', gameStats.homePenalties) +
+                         line('stats.yellowCards', gameStats.homeYellowCards) +
+                         line('stats.redCards', gameStats.homeRedCards);
 
     if (gameStats.homeBlueCards > 0) {
-        statsMessage += `  - Blaue Karten: ${gameStats.homeBlueCards}\n`;
+        statsMessage += line('stats.blueCards', gameStats.homeBlueCards);
     }
 
-    statsMessage += `-----------------------------------\n` +
+    statsMessage += separator +
                     `*${teamNames.guest}:*\n` +
-                    `  - Topscorer: ${gameStats.guestTopScorer}\n` +
-                    `  - 7-Meter: ${gameStats.guestSevenMeters}\n` +
-                    `  - Zeitstrafen: ${gameStats.guestPenalties}\n` +
-                    `  - Gelbe Karten: ${gameStats.guestYellowCards}\n` +
-                    `  - Rote Karten: ${gameStats.guestRedCards}\n`;
+                    line('stats.topScorer', gameStats.guestTopScorer) +
+                    line('stats.sevenMeters', gameStats.guestSevenMeters) +
+                    line('stats.penalties', gameStats.guestPenalties) +
+                    line('stats.yellowCards', gameStats.guestYellowCards) +
+                    line('stats.redCards', gameStats.guestRedCards);
     
     if (gameStats.guestBlueCards > 0) {
-        statsMessage += `  - Blaue Karten: ${gameStats.guestBlueCards}\n`;
+        statsMessage += line('stats.blueCards', gameStats.guestBlueCards);
     }
     
     return statsMessage.trim();
@@ -179,43 +175,12 @@ async function extractGameStats(lineupData, teamNames, events) {
 
 
 /**
- * REWRITTEN: Generates the AI game summary with fallback logic.
- * (Now uses the recalculated stats)
- * @param {Array} events - The chronological (reversed) list of events.
- * @param {object} teamNames - The team names object.
- * @param {string} groupName - The name of the WhatsApp group.
- * @param {object} lineupData - The `gameData.lineup` object (for top scorer).
- * @returns {string} - The formatted AI summary message.
+ * Builds the German prompt for the AI summary.
+ * @param {object} data - The prepared game data (scores, decision, stats).
+ * @returns {string} - The prompt.
  */
-async function generateGameSummary(events, teamNames, groupName, lineupData) {
-    if (!process.env.GEMINI_API_KEY) {
-        console.log("GEMINI_API_KEY nicht gefunden. KI-Zusammenfassung wird übersprungen.");
-        return "";
-    }
-
-    const finalEvent = events.find(e => e.type === "StopPeriod" && parseInt(e.time.split(':')[0], 10) > 30);
-    const halftimeEvent = events.find(e => e.type === "StopPeriod" && parseInt(e.time.split(':')[0], 10) <= 30);
-
-    const finalScore = finalEvent ? finalEvent.score.replace('-', ':') : "N/A";
-    const halftimeScore = halftimeEvent ? halftimeEvent.score.replace('-', ':') : "N/A";
-    const gameDurationMinutes = finalEvent ? parseInt(finalEvent.time.split(':')[0], 10) : 60;
-
-    let scoreProgression = "Start: 0:0";
-    for (let minute = 10; minute <= gameDurationMinutes; minute += 10) {
-        const eventAtTime = [...events].reverse().find(e => {
-            if (!e.time) return false; 
-            const evMinute = parseInt(e.time.split(':')[0], 10);
-            return evMinute <= minute && e.score;
-        });
-        
-        if (eventAtTime) {
-            scoreProgression += `, ${minute}min: ${eventAtTime.score.replace('-', ':')}`;
-        }
-    }
-
-    const gameStats = getStatsForPrompt(lineupData, teamNames, events);
-
-    const prompt = `Du bist ein witziger, leicht sarkastischer und fachkundiger deutscher Handball-Kommentator.
+function buildGermanPrompt({ teamNames, groupName, halftimeScore, finalScore, decision, regularTimeScore, gameDurationMinutes, regularPeriodMinutes, scoreProgression, gameStats }) {
+    return `Du bist ein witziger, leicht sarkastischer und fachkundiger deutscher Handball-Kommentator.
     Deine Aufgabe ist es, eine kurze, unterhaltsame Zusammenfassung (ca. 2-4 Sätze) für ein gerade beendetes Spiel zu schreiben.
 
     WICHTIG: Die WhatsApp-Gruppe, in der du postest, heißt "${groupName}". Analysiere diesen Namen, um herauszufinden, welches Team du unterstützen sollst. 
@@ -226,7 +191,8 @@ async function generateGameSummary(events, teamNames, groupName, lineupData) {
     - Gastmannschaft: ${teamNames.guest}
     - Halbzeitstand: ${halftimeScore}
     - Endstand: ${finalScore}
-    - Spiellänge: ${gameDurationMinutes} Minuten
+    - Entschieden: ${decision} (Stand nach regulärer Spielzeit: ${regularTimeScore})
+    - Spiellänge: ${gameDurationMinutes} Minuten (Halbzeitlänge: ${regularPeriodMinutes} Minuten)
     - Spielverlauf (ausgewählte Spielstände): ${scoreProgression}, Ende: ${finalScore}
     - Topscorer ${teamNames.home}: ${gameStats.homeTopScorer}
     - Topscorer ${teamNames.guest}: ${gameStats.guestTopScorer}
@@ -248,8 +214,70 @@ async function generateGameSummary(events, teamNames, groupName, lineupData) {
     4.  Falls Julian Langschwert, Tiard Brinkmann oder Simon Goßmann gespielt hat, lobe die jeweilige Person sarkastisch bis in den Himmel.
 
     Deine Zusammenfassung (nur Überschrift und Text, ohne "Zusammenfassung:"):`;
+}
 
-    // --- NEW FALLBACK LOGIC ---
+/**
+ * Builds the English prompt for the AI summary.
+ * @param {object} data - The prepared game data (scores, decision, stats).
+ * @returns {string} - The prompt.
+ */
+function buildEnglishPrompt({ teamNames, groupName, halftimeScore, finalScore, decision, regularTimeScore, gameDurationMinutes, regularPeriodMinutes, scoreProgression, gameStats }) {
+    return `You are a witty, slightly sarcastic and knowledgeable handball commentator writing in English.
+    Your task is to write a short, entertaining summary (about 2-4 sentences) of a game that has just ended.
+
+    IMPORTANT: The chat group you are posting in is called "${groupName}". Analyse this name to find out which team you should support.
+    If the group name CANNOT CLEARLY be matched to one team, stay neutral and ignore the group name. If the group DEFINITELY belongs to one team, support that team wholeheartedly and feel free to roast the opponent.
+
+    Here is the game data:
+    - Home team: ${teamNames.home}
+    - Away team: ${teamNames.guest}
+    - Halftime score: ${halftimeScore}
+    - Final score: ${finalScore}
+    - Decided: ${decision} (score after regular time: ${regularTimeScore})
+    - Game length: ${gameDurationMinutes} minutes (half length: ${regularPeriodMinutes} minutes)
+    - Score progression (selected scores): ${scoreProgression}, final: ${finalScore}
+    - Top scorer ${teamNames.home}: ${gameStats.homeTopScorer}
+    - Top scorer ${teamNames.guest}: ${gameStats.guestTopScorer}
+    - 7-meters ${teamNames.home}: ${gameStats.homeSevenMeters}
+    - 7-meters ${teamNames.guest}: ${gameStats.guestSevenMeters}
+    - 2-minute suspensions ${teamNames.home}: ${gameStats.homePenalties}
+    - 2-minute suspensions ${teamNames.guest}: ${gameStats.guestPenalties}
+    - Yellow cards ${teamNames.home}: ${gameStats.homeYellowCards}
+    - Yellow cards ${teamNames.guest}: ${gameStats.guestYellowCards}
+    - Red cards ${teamNames.home}: ${gameStats.homeRedCards}
+    - Red cards ${teamNames.guest}: ${gameStats.guestRedCards}
+    - Blue cards ${teamNames.home}: ${gameStats.homeBlueCards}
+    - Blue cards ${teamNames.guest}: ${gameStats.guestBlueCards}
+
+    Instructions:
+    1.  Give your summary a creative, punchy headline in bold (e.g. *Heart-stopper in the sports hall!* or *A masterclass in defensive battles.*).
+    2.  Use the statistics for pointed remarks (e.g. "With ${gameStats.guestPenalties} suspensions the away side made life hard for themselves." or "In the end, nerves of steel from the 7-meter line made the difference."). Only use statistics that were meaningful or important for the game.
+    3.  Be creative and avoid clichés. Give the commentary personality! Do not read things into the data that cannot be derived from it, rather stick to the facts than invent an "overly aggressive defence".
+    4.  If Julian Langschwert, Tiard Brinkmann or Simon Goßmann played, praise that person sarcastically to the skies.
+    5.  Write in English, even though the team names are German.
+
+    Your summary (headline and text only, without "Summary:"):`;
+}
+
+const PROMPT_BUILDERS = {
+    de: buildGermanPrompt,
+    en: buildEnglishPrompt
+};
+
+// How the game was decided, passed to the prompt
+const DECISION_TEXTS = {
+    de: { regular: "in der regulären Spielzeit", overtime: "nach Verlängerung", doubleOvertime: "nach zweifacher Verlängerung", shootout: "im Siebenmeterwerfen" },
+    en: { regular: "in regular time", overtime: "after overtime", doubleOvertime: "after double overtime", shootout: "in the 7-meter shootout" }
+};
+
+/**
+ * Sends a prompt to the "pro" model and falls back to "flash" if it is overloaded.
+ * @param {string} prompt - The prompt.
+ * @param {string} kind - What is generated, 'summary' or 'preview' (for the metrics).
+ * @returns {Promise<string>} - The generated text.
+ * @throws {Error} - If both models fail.
+ */
+async function generateText(prompt, kind) {
     try {
         // 1. Try the "pro" model first
         console.log("Versuche AI-Zusammenfassung mit 'gemini-3-flash'...");
@@ -257,8 +285,8 @@ async function generateGameSummary(events, teamNames, groupName, lineupData) {
             model: "gemini-3.1-pro-preview",
             contents: [{ role: "user", parts: [{ text: prompt }] }],
         });
-        
-        return `🤖 *KI-Analyse zum Spiel:*\n\n${responsePro.text}`;
+        recordAiRequest(kind, 'success');
+        return responsePro.text;
 
     } catch (error) {
         console.warn(`Fehler bei 'gemini-3-flash': ${error.status} ${error.message}`);
@@ -269,21 +297,163 @@ async function generateGameSummary(events, teamNames, groupName, lineupData) {
                 model: "gemini-3-flash-preview",
                 contents: [{ role: "user", parts: [{ text: prompt }] }],
             });
-
-            return `🤖 *KI-Analyse zum Spiel:*\n\n${responseFlash.text}`;
+            recordAiRequest(kind, 'fallback');
+            return responseFlash.text;
 
         } catch (flashError) {
-            // 3. If "flash" also fails, send the user-facing error
+            // 3. If "flash" also fails, the caller decides what to post
             console.error("Fehler bei der AI-Zusammenfassung (Flash-Fallback):", flashError);
-            return "🤖 *KI-Analyse zum Spiel:*\n\nDas KI-Modell ist derzeit überlastet. Zur Zeit ist leider keine Analyse möglich.";
+            recordAiRequest(kind, 'failed');
+            throw flashError;
+        }
+    }
+}
+
+/**
+ * REWRITTEN: Generates the AI game summary with fallback logic.
+ * (Now uses the recalculated stats)
+ * @param {Array} events - The chronological (reversed) list of events, annotated with `period`.
+ * @param {object} teamNames - The team names object.
+ * @param {string} groupName - The name of the WhatsApp group.
+ * @param {object} lineupData - The `gameData.lineup` object (for top scorer).
+ * @param {object} [gameFormat] - The game format from gameformat.js (period length).
+ * @param {string} [language] - The language of the group, the summary is written in it.
+ * @returns {string} - The formatted AI summary message.
+ */
+async function generateGameSummary(events, teamNames, groupName, lineupData, gameFormat = null, language = DEFAULT_LANGUAGE) {
+    if (!process.env.GEMINI_API_KEY) {
+        console.log("GEMINI_API_KEY nicht gefunden. KI-Zusammenfassung wird übersprungen.");
+        return "";
+    }
+
+    const periodEnds = events.filter(e => e.type === "StopPeriod" && e.score);
+    const halftimeEvent = periodEnds.find(e => e.period === 1);
+    const regularTimeEvent = periodEnds.find(e => e.period === 2);
+    const finalEvent = periodEnds.length > 1 ? periodEnds[periodEnds.length - 1] : null;
+    const lastPeriod = finalEvent ? finalEvent.period : 2;
+
+    const finalScore = finalEvent ? finalEvent.score.replace('-', ':') : "N/A";
+    const halftimeScore = halftimeEvent ? halftimeEvent.score.replace('-', ':') : "N/A";
+    const regularPeriodMinutes = gameFormat ? gameFormat.periodMinutes : 30;
+    const gameDurationMinutes = (finalEvent && finalEvent.time) ? parseInt(finalEvent.time.split(':')[0], 10) : regularPeriodMinutes * 2;
+
+    const decisionTexts = DECISION_TEXTS[language] || DECISION_TEXTS[DEFAULT_LANGUAGE];
+    let decision = decisionTexts.regular;
+    if (lastPeriod >= 7) decision = decisionTexts.shootout;
+    else if (lastPeriod >= 5) decision = decisionTexts.doubleOvertime;
+    else if (lastPeriod >= 3) decision = decisionTexts.overtime;
+    const regularTimeScore = regularTimeEvent ? regularTimeEvent.score.replace('-', ':') : finalScore;
+
+    let scoreProgression = "Start: 0:0";
+    for (let minute = 10; minute <= gameDurationMinutes; minute += 10) {
+        const eventAtTime = [...events].reverse().find(e => {
+            if (!e.time) return false; 
+            const evMinute = parseInt(e.time.split(':')[0], 10);
+            return evMinute <= minute && e.score;
+        });
+        
+        if (eventAtTime) {
+            scoreProgression += `, ${minute}min: ${eventAtTime.score.replace('-', ':')}`;
         }
+    }
+
+    const gameStats = getStatsForPrompt(lineupData, teamNames, events, language);
+
+    const promptData = { teamNames, groupName, halftimeScore, finalScore, decision, regularTimeScore, gameDurationMinutes, regularPeriodMinutes, scoreProgression, gameStats };
+    const buildPrompt = PROMPT_BUILDERS[language] || PROMPT_BUILDERS[DEFAULT_LANGUAGE];
+    const prompt = buildPrompt(promptData);
 
-/*
-        // 4. If it was a different error (not 503), send the user-facing error
-        console.error("Fehler bei der AI-Zusammenfassung (Pro-Modell):", error);
-        return "🤖 *KI-Analyse zum Spiel:*\n\nDas KI-Modell ist derzeit überlastet. Zur Zeit ist leider keine Analyse möglich.";
-*/
+    try {
+        return `${t(language, 'ai.title')}\n\n${await generateText(prompt, 'summary')}`;
+    } catch (error) {
+        return `${t(language, 'ai.title')}\n\n${t(language, 'ai.unavailable')}`;
+    }
+}
+
+// --- PREVIEW ---
+
+/**
+ * Builds the German prompt for the AI preview.
+ * @param {object} data - The prepared preview data (all values as text).
+ * @returns {string} - The prompt.
+ */
+function buildGermanPreviewPrompt({ teamNames, groupName, dateTime, venue, homeRank, guestRank, homeForm, guestForm, headToHead }) {
+    return `Du bist ein witziger, leicht sarkastischer und fachkundiger deutscher Handball-Kommentator.
+    Deine Aufgabe ist es, eine kurze, unterhaltsame Vorschau (ca. 2-3 Sätze) auf ein Spiel zu schreiben, das gleich beginnt.
+
+    WICHTIG: Die WhatsApp-Gruppe, in der du postest, heißt "${groupName}". Analysiere diesen Namen, um herauszufinden, welches Team du unterstützen sollst. 
+    Falls der Gruppenname NICHT EINDEUTIG einem Team zuzuordnen ist, sei neutral und ignoriere den Gruppennamen. Falls sich die Gruppe aber DEFINITIV einem Team zuordnen lässt, unterstütze das Team mit Herzblut und stichle gerne gegen das gegnerische Team.
+
+    Hier sind die Daten zum Spiel:
+    - Heimmannschaft: ${teamNames.home} (Tabellenplatz: ${homeRank})
+    - Gastmannschaft: ${teamNames.guest} (Tabellenplatz: ${guestRank})
+    - Anpfiff: ${dateTime}
+    - Halle: ${venue}
+    - Letzte Ergebnisse ${teamNames.home}: ${homeForm}
+    - Letzte Ergebnisse ${teamNames.guest}: ${guestForm}
+    - Bisherige Duelle in dieser Saison: ${headToHead}
+
+    Anweisungen:
+    1.  Gib deiner Vorschau eine kreative, reißerische Überschrift in Fett (z.B. *Showdown unter dem Hallendach!*).
+    2.  Verwende Form, Tabellenplatz und das Hinspiel nur, wenn sie etwas hergeben. Erfinde nichts, was nicht aus den Daten hervorgeht.
+    3.  Sei kreativ, vermeide Standardfloskeln und mach Lust auf das Spiel.
+
+    Deine Vorschau (nur Überschrift und Text, ohne "Vorschau:"):`;
+}
+
+/**
+ * Builds the English prompt for the AI preview.
+ * @param {object} data - The prepared preview data (all values as text).
+ * @returns {string} - The prompt.
+ */
+function buildEnglishPreviewPrompt({ teamNames, groupName, dateTime, venue, homeRank, guestRank, homeForm, guestForm, headToHead }) {
+    return `You are a witty, slightly sarcastic and knowledgeable handball commentator writing in English.
+    Your task is to write a short, entertaining preview (about 2-3 sentences) of a game that is about to start.
+
+    IMPORTANT: The chat group you are posting in is called "${groupName}". Analyse this name to find out which team you should support.
+    If the group name CANNOT CLEARLY be matched to one team, stay neutral and ignore the group name. If the group DEFINITELY belongs to one team, support that team wholeheartedly and feel free to tease the opponent.
+
+    Here is the game data:
+    - Home team: ${teamNames.home} (league position: ${homeRank})
+    - Away team: ${teamNames.guest} (league position: ${guestRank})
+    - Throw-off: ${dateTime}
+    - Venue: ${venue}
+    - Recent results ${teamNames.home}: ${homeForm}
+    - Recent results ${teamNames.guest}: ${guestForm}
+    - Earlier meetings this season: ${headToHead}
+
+    Instructions:
+    1.  Give your preview a creative, punchy headline in bold (e.g. *Showdown under the sports hall roof!*).
+    2.  Only use form, league position and the earlier meeting if they are worth mentioning. Do not invent anything that cannot be derived from the data.
+    3.  Be creative, avoid clichés and get the group excited for the game.
+    4.  Write in English, even though the team names are German.
+
+    Your preview (headline and text only, without "Preview:"):`;
+}
+
+const PREVIEW_PROMPT_BUILDERS = {
+    de: buildGermanPreviewPrompt,
+    en: buildEnglishPreviewPrompt
+};
+
+/**
+ * Generates the AI preview of a game.
+ * @param {object} previewData - Team names, group name, date, venue, positions, form and head-to-head, as text.
+ * @param {string} [language] - The language of the group, the preview is written in it.
+ * @returns {Promise<string>} - The formatted AI preview, or "" if no preview could be generated.
+ */
+async function generateGamePreview(previewData, language = DEFAULT_LANGUAGE) {
+    if (!process.env.GEMINI_API_KEY) {
+        console.log("GEMINI_API_KEY nicht gefunden. KI-Vorschau wird übersprungen.");
+        return "";
+    }
+    const buildPrompt = PREVIEW_PROMPT_BUILDERS[language] || PREVIEW_PROMPT_BUILDERS[DEFAULT_LANGUAGE];
+    try {
+        return `${t(language, 'ai.previewTitle')}\n\n${await generateText(buildPrompt(previewData), 'preview')}`;
+    } catch (error) {
+        // Before the game nobody misses it, so nothing is posted
+        return "";
     }
 }
 
-module.exports = { generateGameSummary, extractGameStats };
\ No newline at end of file
+module.exports = { generateGameSummary, generateGamePreview, extractGameStats, getStatsForPrompt };
\ No newline at end of file
@@ -2,256 +2,439 @@
 
 require('dotenv').config();
 const path = require('path');
-const qrcode = require('qrcode-terminal');
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const { loadSeenTickers, saveSeenTickers, loadScheduledTickers, saveScheduledTickers } = require('./utils.js');
-// Import the new autoScheduleNextGame and getGameIdFromUrl helpers
-const { initializePolling, masterScheduler, dispatcherLoop, startPolling, beginActualPolling, getGameIdFromUrl, autoScheduleNextGame } = require('./polling.js');
+const { createTransport } = require('./transports/index.js');
+const { initializeStore } = require('./store.js');
+const { initializeSettings, getGroupSettings, getGroupLanguage, setGroupSetting, resetGroupSettings, formatGroupSettings, formatSettingValue } = require('./settings.js');
+const { t, translateError } = require('./i18n.js');
+const { formatEventFilter, updateEventFilter } = require('./filters.js');
+const { buildChatStatus } = require('./status.js');
+const { buildFixtureList, skipFixture, unskipFixture } = require('./fixtures.js');
+const { buildCalendarFiles } = require('./calendar.js');
+const { buildStandingsReply } = require('./standings.js');
+const { buildTopScorers, buildSeasonStats } = require('./seasonstats.js');
+const { initializePermissions, getAllowedUsers, allowUser, disallowUser, requiresPermission, canControlTickers } = require('./permissions.js');
+const { loadSeenTickers, saveSeenTickers, loadScheduledTickers, saveScheduledTickers, getTickerKey } = require('./utils.js');
+const { initializePolling, masterScheduler, dispatcherLoop, getActiveWorkers, beginActualPolling, getGameIdFromUrl, resumePolling, scheduleGamePreview, switchTickerMode, getChatTickers } = require('./polling.js');
+const { initializeControls, findChatTicker, formatTickerList, startTicker, stopTickers, resetTickers, startAutoSchedule } = require('./controls.js');
+const { startAdminApi } = require('./adminapi.js');
+const { initializeWebhooks, formatWebhooks, addWebhook, removeWebhook } = require('./webhooks.js');
+const { watchTransport, startMetricsServer } = require('./metrics.js');
 
 // --- GLOBAL STATE ---
 const activeTickers = new Map();
 const jobQueue = [];
-const SEEN_FILE = path.resolve(__dirname, 'seen_tickers.json');
-const SCHEDULE_FILE = path.resolve(__dirname, 'scheduled_tickers.json');
+const STORE_FILE = path.resolve(__dirname, 'bot_state.json');
+// Files of older versions, imported into the store on the first start
+const LEGACY_FILES = {
+    tickers: path.resolve(__dirname, 'seen_tickers.json'),
+    schedule: path.resolve(__dirname, 'scheduled_tickers.json'),
+    settings: path.resolve(__dirname, 'group_settings.json'),
+    permissions: path.resolve(__dirname, 'group_permissions.json')
+};
+const MAX_RESUME_HOURS = 4; // Games that started longer ago are over, they are not picked up after a restart
 
-// --- WHATSAPP CLIENT INITIALIZATION ---
-const client = new Client({
-    authStrategy: new LocalAuth(),
-    puppeteer: {
-        headless: true, 
-    timeout: 180000,
-    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],        
-    executablePath: '/usr/bin/chromium' 
-    }
-});
+// --- MESSAGING TRANSPORT INITIALIZATION ---
+// TRANSPORT=console runs the bot in the terminal without a WhatsApp session
+const transport = createTransport(process.env.TRANSPORTS || process.env.TRANSPORT);
+watchTransport(transport);
 
 // --- INITIALIZE MODULES ---
-initializePolling(activeTickers, jobQueue, client, SEEN_FILE, SCHEDULE_FILE);
+initializeStore(STORE_FILE, LEGACY_FILES);
+initializeSettings();
+initializePermissions();
+initializeWebhooks();
+initializePolling(activeTickers, jobQueue, transport);
+initializeControls(activeTickers, transport);
 
-// --- WHATSAPP CLIENT EVENT HANDLERS ---
+// --- TRANSPORT EVENT HANDLERS ---
 
-client.on('qr', qr => {
-    qrcode.generate(qr, { small: true });
-    console.log('QR-Code generiert. Scannen Sie diesen mit WhatsApp.');
-});
+/**
+ * Checks whether a game may still be running, so its ticker is picked up after a restart.
+ */
+function mayStillBeRunning(startsAt) {
+    return !startsAt || Date.now() - new Date(startsAt).getTime() < MAX_RESUME_HOURS * 3600000;
+}
 
-client.on('ready', () => {
-    console.log('WhatsApp-Client ist bereit!');
-    loadSeenTickers(activeTickers, SEEN_FILE);
+// With several transports 'ready' comes once per platform, only the chats of that platform are restored
+transport.on('ready', source => {
+    const ownsChat = chatId => !source || source.ownsChat(chatId);
+    if (source) console.log(`Transport ${source.name} ist bereit.`);
 
-    const scheduledTickersData = loadScheduledTickers(SCHEDULE_FILE);
-    const currentSchedule = scheduledTickersData; // for cleaning up
+    const scheduledTickersData = loadScheduledTickers();
+    const currentSchedule = {}; // rebuilt with valid, future entries only
     const now = Date.now();
     let rescheduledCount = 0;
 
     for (const chatId in scheduledTickersData) {
-        const scheduleData = scheduledTickersData[chatId];
-        const startTime = new Date(scheduleData.startTime);
-        const delay = startTime.getTime() - now;
-
-        const gameId = getGameIdFromUrl(scheduleData.meetingPageUrl);
-        if (!gameId) {
-            console.warn(`[${chatId}] Überspringe geladenen Ticker, ungültige URL: ${scheduleData.meetingPageUrl}`);
-            continue; 
+        // Chats of other platforms are restored when their transport is ready
+        if (!ownsChat(chatId)) {
+            currentSchedule[chatId] = scheduledTickersData[chatId];
+            continue;
         }
+        // Old schedule files held a single entry per chat instead of one per game
+        const chatEntries = scheduledTickersData[chatId].meetingPageUrl
+            ? { legacy: scheduledTickersData[chatId] }
+            : scheduledTickersData[chatId];
+
+        for (const scheduleData of Object.values(chatEntries)) {
+            const startTime = new Date(scheduleData.startTime);
+            const delay = startTime.getTime() - now;
+
+            const gameId = getGameIdFromUrl(scheduleData.meetingPageUrl);
+            if (!gameId) {
+                console.warn(`[${chatId}] Überspringe geladenen Ticker, ungültige URL: ${scheduleData.meetingPageUrl}`);
+                continue; 
+            }
+            const tickerKey = getTickerKey(chatId, gameId);
+
+            // The start was missed while the bot was off: a game that may still be running starts right away
+            if (delay <= 0 && !mayStillBeRunning(scheduleData.gameStartsAt || scheduleData.startTime)) {
+                console.log(`[${tickerKey}] Geplante Startzeit verpasst, Spiel ist bereits vorbei. Wird ignoriert.`);
+                continue;
+            }
 
-        const tickerState = activeTickers.get(chatId) || { seen: new Set() };
-        tickerState.meetingPageUrl = scheduleData.meetingPageUrl;
-        tickerState.gameId = gameId; 
-        tickerState.groupName = scheduleData.groupName;
-        tickerState.mode = scheduleData.mode; 
-        // --- ADDED FOR AUTOSCHEDULE RESTART ---
-        tickerState.isAutoSchedule = scheduleData.isAutoSchedule || false;
-        tickerState.teamPageUrl = scheduleData.teamPageUrl || null;
-        // --- END ---
-        tickerState.recapEvents = []; 
-        tickerState.isPolling = false; 
-        activeTickers.set(chatId, tickerState); 
+            const tickerState = activeTickers.get(tickerKey) || { seen: new Set() };
+            tickerState.tickerKey = tickerKey;
+            tickerState.chatId = chatId;
+            tickerState.meetingPageUrl = scheduleData.meetingPageUrl;
+            tickerState.gameId = gameId; 
+            tickerState.groupName = scheduleData.groupName;
+            tickerState.mode = scheduleData.mode; 
+            // --- ADDED FOR AUTOSCHEDULE RESTART ---
+            tickerState.isAutoSchedule = scheduleData.isAutoSchedule || false;
+            tickerState.teamPageUrl = scheduleData.teamPageUrl || null;
+            tickerState.skippedGameIds = scheduleData.skippedGameIds || [];
+            // --- END ---
+            tickerState.teamTag = scheduleData.teamTag || null;
+            // Shown by !status before the game data is fetched again
+            tickerState.teamNames = scheduleData.teamNames || tickerState.teamNames;
+            tickerState.teamIds = scheduleData.teamIds || tickerState.teamIds;
+            tickerState.startsAt = scheduleData.gameStartsAt || null;
+            tickerState.scheduledStartTime = scheduleData.startTime;
+            tickerState.previewSent = scheduleData.previewSent || false;
+            tickerState.recapEvents = []; 
+            tickerState.isPolling = false; 
+            activeTickers.set(tickerKey, tickerState); 
 
-        if (delay > 0) {
-            console.log(`[${chatId}] Lade geplante Aufgabe. Startet in ${Math.round(delay / 60000)} Minuten.`);
+            console.log(`[${tickerKey}] Lade geplante Aufgabe. Startet in ${Math.max(Math.round(delay / 60000), 0)} Minuten.`);
             tickerState.isScheduled = true;
             tickerState.scheduleTimeout = setTimeout(() => {
-                beginActualPolling(chatId);
-            }, delay);
+                beginActualPolling(tickerKey);
+            }, Math.max(delay, 0));
+            scheduleGamePreview(tickerState);
             rescheduledCount++;
-        } else {
-             // If it's an old, finished game that was just scheduled, clean it up.
-             if (!activeTickers.has(chatId)) { // Check if it's already running
-                 console.log(`[${chatId}] Geplante Startzeit verpasst, Ticker war nicht aktiv. Wird ignoriert.`);
-                 delete currentSchedule[chatId];
-                 saveScheduledTickers(currentSchedule, SCHEDULE_FILE);
-             }
+
+            currentSchedule[chatId] = currentSchedule[chatId] || {};
+            currentSchedule[chatId][gameId] = scheduleData;
         }
     }
+    saveScheduledTickers(currentSchedule);
+    loadSeenTickers(activeTickers, ownsChat);
+
     if (rescheduledCount > 0) {
         console.log(`${rescheduledCount} Ticker erfolgreich neu geplant.`);
     }
+
+    // Tickers that were running when the bot stopped continue with their saved score and recap state
+    let resumedCount = 0;
+    for (const tickerState of activeTickers.values()) {
+        if (!tickerState.isResuming || !ownsChat(tickerState.chatId)) continue;
+        delete tickerState.isResuming;
+        if (!mayStillBeRunning(tickerState.startsAt)) {
+            console.log(`[${tickerState.tickerKey}] Laufender Ticker wird nicht fortgesetzt, Spiel ist bereits vorbei.`);
+            continue;
+        }
+        resumePolling(tickerState.tickerKey);
+        resumedCount++;
+    }
+    if (resumedCount > 0) {
+        console.log(`${resumedCount} laufende Ticker fortgesetzt.`);
+    }
 });
 
-client.on('disconnected', (reason) => {
-    console.log('Client getrennt:', reason);
+transport.on('disconnected', (reason, source) => {
+    console.log(`Client getrennt${source ? ` (${source.name})` : ''}:`, reason);
+    // Saved before stopping, so the running tickers are resumed after a restart
+    saveSeenTickers(activeTickers);
     activeTickers.forEach(ticker => {
+        // With several transports only the tickers of the disconnected platform are stopped
+        if (source && !source.ownsChat(ticker.chatId)) return;
         ticker.isPolling = false;
         ticker.isScheduled = false; 
         if (ticker.scheduleTimeout) clearTimeout(ticker.scheduleTimeout); 
+        if (ticker.previewTimeout) clearTimeout(ticker.previewTimeout);
         if (ticker.recapIntervalId) clearInterval(ticker.recapIntervalId);
      });
-    saveSeenTickers(activeTickers, SEEN_FILE); 
 });
 
 // --- MESSAGE LISTENER ---
-client.on('message', async msg => {
-    if (!msg.body.startsWith('!')) return;
-
-    const chat = await msg.getChat();
-    if (!chat.isGroup) {
-        await msg.reply('Fehler: Befehle funktionieren nur in Gruppen.');
+transport.on('message', async msg => {
+    const chatId = msg.chatId; 
+    const language = getGroupLanguage(chatId);
+    if (!msg.isGroup) {
+        await msg.reply(t(language, 'commands.onlyGroups'));
         return;
     }
 
-    const chatId = chat.id._serialized; 
     const args = msg.body.split(' ');   
     const command = args[0].toLowerCase(); 
-    const groupName = chat.name;          
+    const groupName = msg.groupName;          
+
+    // --- PERMISSIONS ---
+    if (requiresPermission(command, args) && !(await canControlTickers(msg))) {
+        console.log(`[${chatId}] ${command} von ${msg.senderId} abgelehnt, keine Berechtigung.`);
+        await msg.reply(t(language, 'permissions.denied'));
+        return;
+    }
 
     // --- !start Command ---
     if (command === '!start' && args.length >= 2) { 
-        if (activeTickers.has(chatId) && (activeTickers.get(chatId).isPolling || activeTickers.get(chatId).isScheduled)) {
-            await msg.reply('In dieser Gruppe läuft oder ist bereits ein Live-Ticker geplant. Stoppen oder resetten Sie ihn zuerst.');
-            return;
-        }
-        const meetingPageUrl = args[1]; 
-        const mode = (args[2] && args[2].toLowerCase() === 'recap') ? 'recap' : 'live';
-
         try {
-            // Call startPolling (queueTickerScheduling) with isAutoSchedule = false
-            await startPolling(meetingPageUrl, chatId, groupName, mode, false, null);
+            await startTicker(chatId, groupName, args[1], args.slice(2));
         } catch (error) {
-            console.error(`[${chatId}] Kritischer Fehler beim Starten des Tickers:`, error);
-            await msg.reply('Ein kritischer Fehler ist aufgetreten und der Ticker konnte nicht gestartet werden.');
-            activeTickers.delete(chatId); 
+            await msg.reply(error.message);
         }
     }
     // --- !stop Command ---
     else if (command === '!stop') { 
-        const tickerState = activeTickers.get(chatId);
-        let wasStopped = false; 
+        try {
+            await stopTickers(chatId, args[1] || null);
+        } catch (error) {
+            await msg.reply(error.message);
+        }
+    }
+    // --- !mode Command ---
+    else if (command === '!mode' || command === '!modus') {
+        const newMode = (args[1] || '').toLowerCase();
+        if (newMode !== 'live' && newMode !== 'recap') {
+            await msg.reply(t(language, 'commands.modeUsage'));
+            return;
+        }
+        const chatTickers = getChatTickers(chatId);
+        if (chatTickers.length === 0) {
+            await msg.reply(t(language, 'commands.noTicker'));
+            return;
+        }
 
-        if (tickerState) {
-            // --- NEW: Disable auto-scheduling on manual stop ---
-            if (tickerState.isAutoSchedule) {
-                tickerState.isAutoSchedule = false;
-                console.log(`[${chatId}] Auto-Schedule Kette gestoppt.`);
-            }
-            // --- END NEW ---
-            
-            if (tickerState.isScheduled && tickerState.scheduleTimeout) {
-                clearTimeout(tickerState.scheduleTimeout);
-                tickerState.isScheduled = false;
-                const currentSchedule = loadScheduledTickers(SCHEDULE_FILE);
-                if (currentSchedule[chatId]) {
-                    delete currentSchedule[chatId];
-                    saveScheduledTickers(currentSchedule, SCHEDULE_FILE);
-                }
-                wasStopped = true;
+        // Without a selector every ticker of the group is switched
+        let tickersToSwitch = chatTickers;
+        if (args.length >= 3) {
+            const target = findChatTicker(chatTickers, args[2]);
+            if (!target) {
+                await msg.reply(t(language, 'commands.tickerNotFound', { selector: args[2], list: formatTickerList(chatTickers), usage: t(language, 'commands.modeFormat') }));
+                return;
             }
-            if (tickerState.isPolling) {
-                tickerState.isPolling = false;
-                if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
-                wasStopped = true;
-            }
-            const index = jobQueue.findIndex(job => job.chatId === chatId);
-            if (index > -1) jobQueue.splice(index, 1);
+            tickersToSwitch = [target];
+        }
+
+        let switchedCount = 0;
+        for (const tickerState of tickersToSwitch) {
+            if (await switchTickerMode(tickerState, newMode)) switchedCount++;
         }
 
-        if (wasStopped) {
-            await client.sendMessage(chatId, 'Laufender/geplanter Live-Ticker in dieser Gruppe gestoppt.');
+        const { recapIntervalMinutes } = getGroupSettings(chatId);
+        const modeDescription = (newMode === 'recap') ? t(language, 'ticker.modeRecap', { minutes: recapIntervalMinutes }) : t(language, 'ticker.modeLive');
+        if (switchedCount === 0) {
+            await msg.reply(t(language, 'commands.modeUnchanged', { mode: modeDescription }));
+        } else if (switchedCount === 1) {
+            await msg.reply(t(language, 'commands.modeSwitchedOne', { mode: modeDescription }));
         } else {
-            await msg.reply('In dieser Gruppe läuft derzeit kein Live-Ticker.');
+            await msg.reply(t(language, 'commands.modeSwitchedMany', { count: switchedCount, mode: modeDescription }));
         }
+        console.log(`[${chatId}] ${switchedCount} Ticker auf Modus ${newMode} umgestellt.`);
     }
     // --- !reset Command ---
     else if (command === '!reset') { 
-        const tickerState = activeTickers.get(chatId);
-
-        if (tickerState) {
-            if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
-            if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
-            tickerState.isPolling = false;
-            tickerState.isScheduled = false;
-            const index = jobQueue.findIndex(job => job.chatId === chatId);
-            if (index > -1) jobQueue.splice(index, 1);
-        }
-
-        activeTickers.delete(chatId);
-        saveSeenTickers(activeTickers, SEEN_FILE);
-
-        const currentSchedule = loadScheduledTickers(SCHEDULE_FILE);
-        if (currentSchedule[chatId]) {
-            delete currentSchedule[chatId];
-            saveScheduledTickers(currentSchedule, SCHEDULE_FILE);
-        }
-
-        await msg.reply('Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.');
-        console.log(`Ticker-Daten für Gruppe "${groupName}" (${chatId}) wurden manuell zurückgesetzt.`);
+        resetTickers(chatId, groupName);
+        await msg.reply(t(language, 'commands.resetDone'));
     }
     // --- !start command without a URL ---
     else if (command === '!start') { 
-        await msg.reply(`Fehler: Bitte geben Sie eine gültige URL an. Format:\n\n!start <URL> [recap]`);
+        await msg.reply(t(language, 'commands.startUsage'));
     }
     
     // --- !autoschedule Command (NEW) ---
     else if (command === '!autoschedule' && args.length >= 2) {
-        if (activeTickers.has(chatId) && (activeTickers.get(chatId).isPolling || activeTickers.get(chatId).isScheduled)) {
-            await msg.reply('In dieser Gruppe läuft oder ist bereits ein Live-Ticker geplant. Bitte `!stop` oder `!reset` zuerst.');
+        try {
+            await startAutoSchedule(chatId, groupName, args[1], args.slice(2));
+        } catch (error) {
+            await msg.reply(error.message);
+        }
+    }
+    // --- Handle !autoschedule command without a URL ---
+    else if (command === '!autoschedule') {
+        await msg.reply(t(language, 'commands.autoscheduleUsage'));
+    }
+    // --- !config / !einstellungen Command ---
+    else if (command === '!config' || command === '!einstellungen' || command === '!settings') {
+        if (args.length < 2) {
+            await msg.reply(formatGroupSettings(chatId));
+            return;
+        }
+        if (args[1].toLowerCase() === 'reset') {
+            resetGroupSettings(chatId);
+            await msg.reply(t(getGroupLanguage(chatId), 'settings.resetDone'));
             return;
         }
-        
-        const teamPageUrl = args[1];
-        const mode = (args[2] && args[2].toLowerCase() === 'recap') ? 'recap' : 'live';
-        
         try {
-            await client.sendMessage(chatId, `🤖 Analysiere Team-Spielplan... Dies kann einen Moment dauern.`);
-            // Call the new function
-            const gameScheduled = await autoScheduleNextGame(teamPageUrl, chatId, groupName, mode);
-            
-            if (gameScheduled) {
-                 await client.sendMessage(chatId, `✅ Auto-Planung erfolgreich! Das nächste Spiel wurde gefunden und geplant:\n\n*${gameScheduled.homeTeam.name}* vs *${gameScheduled.awayTeam.name}*\nam ${new Date(gameScheduled.startsAt).toLocaleDateString('de-DE', {weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric'})}\num ${new Date(gameScheduled.startsAt).toLocaleTimeString('de-DE', {hour: '2-digit', minute: '2-digit'})} Uhr.\n\nNach Spielende wird automatisch das nächste Spiel geplant.`);
+            // The value may contain spaces, e.g. a custom closing message
+            const { key, value } = setGroupSetting(chatId, args[1], args.slice(2).join(' '));
+            // Answer in the new language if the language was just changed
+            const newLanguage = getGroupLanguage(chatId);
+            let reply = t(newLanguage, 'settings.saved', { name: args[1].toLowerCase(), value: formatSettingValue(newLanguage, key, value) });
+            if (key === 'preGameStartMinutes') reply += `\n${t(newLanguage, 'settings.savedForNewGames')}`;
+            await msg.reply(reply);
+            console.log(`[${chatId}] Einstellung ${key} geändert.`);
+        } catch (error) {
+            await msg.reply(t(language, 'settings.error', { error: error.message }));
+        }
+    }
+    // --- !status Command ---
+    else if (command === '!status') {
+        await msg.reply(await buildChatStatus(chatId));
+    }
+    // --- !spielplan Command ---
+    else if (command === '!spielplan' || command === '!fixtures') {
+        try {
+            await msg.reply(await buildFixtureList(chatId, args[1] || null));
+        } catch (error) {
+            console.error(`[${chatId}] Fehler bei !spielplan:`, error.message);
+            await msg.reply(t(language, 'fixtures.error', { error: translateError(language, error) }));
+        }
+    }
+    // --- !tabelle Command ---
+    else if (command === '!tabelle' || command === '!table') {
+        try {
+            await msg.reply(await buildStandingsReply(chatId, getChatTickers(chatId), args[1] || null));
+        } catch (error) {
+            console.error(`[${chatId}] Fehler bei !tabelle:`, error.message);
+            await msg.reply(t(language, 'standings.error', { error: error.message }));
+        }
+    }
+    // --- !kalender Command ---
+    else if (command === '!kalender' || command === '!calendar') {
+        try {
+            for (const file of await buildCalendarFiles(chatId, getChatTickers(chatId), args[1] || null)) {
+                await transport.sendDocument(chatId, file.content, file.filename, 'text/calendar', file.caption);
+            }
+            console.log(`[${chatId}] Kalender gesendet.`);
+        } catch (error) {
+            console.error(`[${chatId}] Fehler bei !kalender:`, error.message);
+            await msg.reply(t(language, 'calendar.error', { error: error.message }));
+        }
+    }
+    // --- !torschuetzen / !saisonstats Commands ---
+    else if (['!torschuetzen', '!torschützen', '!scorers', '!saisonstats', '!seasonstats'].includes(command)) {
+        try {
+            const isLeaderboard = ['!torschuetzen', '!torschützen', '!scorers'].includes(command);
+            await msg.reply(isLeaderboard ? buildTopScorers(chatId) : buildSeasonStats(chatId));
+        } catch (error) {
+            await msg.reply(t(language, 'seasonStats.error', { error: error.message }));
+        }
+    }
+    // --- !skip / !unskip Commands ---
+    else if (command === '!skip' || command === '!unskip') {
+        if (args.length < 2) {
+            await msg.reply(t(language, 'fixtures.skipUsage'));
+            return;
+        }
+        try {
+            const reply = (command === '!skip')
+                ? await skipFixture(chatId, args[1])
+                : await unskipFixture(chatId, args[1]);
+            await msg.reply(reply);
+        } catch (error) {
+            await msg.reply(t(language, 'fixtures.error', { error: translateError(language, error) }));
+        }
+    }
+    // --- !erlauben / !entziehen Commands (allow-list) ---
+    else if (command === '!erlauben' || command === '!allow' || command === '!entziehen' || command === '!revoke') {
+        if (args.length < 2) {
+            const users = getAllowedUsers(chatId);
+            const list = users.length > 0
+                ? t(language, 'permissions.list', { users: users.map(user => `• ${user}`).join('\n') })
+                : t(language, 'permissions.listEmpty');
+            await msg.reply(`${list}\n\n${t(language, 'permissions.usage')}`);
+            return;
+        }
+        const isAllow = command === '!erlauben' || command === '!allow';
+        // Entries on the list can always be removed as they are shown
+        const userId = (!isAllow && getAllowedUsers(chatId).includes(args[1])) ? args[1] : transport.toUserId(chatId, args[1]);
+        if (!userId) {
+            await msg.reply(`${t(language, 'permissions.invalidUser', { user: args[1] })}\n${t(language, 'permissions.usage')}`);
+            return;
+        }
+        if (isAllow) {
+            await msg.reply(t(language, allowUser(chatId, userId) ? 'permissions.allowed' : 'permissions.alreadyAllowed', { user: userId }));
+        } else {
+            await msg.reply(t(language, disallowUser(chatId, userId) ? 'permissions.revoked' : 'permissions.notAllowed', { user: userId }));
+        }
+        console.log(`[${chatId}] Freigaben geändert von ${msg.senderId}.`);
+    }
+    // --- !webhook Command ---
+    else if (command === '!webhook' || command === '!webhooks') {
+        const action = (args[1] || '').toLowerCase();
+        try {
+            if (['add', 'hinzufügen'].includes(action) && args[2]) {
+                // An optional ticker (list number, game ID or game URL) limits the webhook to that game
+                let gameId = null;
+                if (args[3]) {
+                    const target = findChatTicker(getChatTickers(chatId), args[3]);
+                    gameId = target ? target.gameId : (/^https?:\/\//.test(args[3]) ? getGameIdFromUrl(args[3]) : null);
+                    if (!gameId) throw new Error(t(language, 'webhooks.unknownTicker', { selector: args[3] }));
+                }
+                await msg.reply(await addWebhook(chatId, args[2], gameId));
+                console.log(`[${chatId}] Webhook hinzugefügt.`);
+            } else if (['remove', 'entfernen'].includes(action) && args[2]) {
+                await msg.reply(removeWebhook(chatId, args[2]));
+                console.log(`[${chatId}] Webhook entfernt.`);
             } else {
-                 await client.sendMessage(chatId, `ℹ️ Es wurden keine zukünftigen Spiele für dieses Team gefunden, die geplant werden können.`);
+                await msg.reply(formatWebhooks(chatId));
             }
-        
         } catch (error) {
-            console.error(`[${chatId}] Kritischer Fehler beim Auto-Scheduling:`, error);
-            await msg.reply(`Ein Fehler ist aufgetreten: ${error.message}`);
+            await msg.reply(t(language, 'webhooks.error', { error: error.message }));
         }
     }
-    // --- Handle !autoschedule command without a URL ---
-    else if (command === '!autoschedule') {
-        await msg.reply(`Fehler: Bitte geben Sie eine Team-URL an. Format:\n\n!autoschedule <Team-URL> [recap]`);
+    // --- !filter Command ---
+    else if (command === '!filter') {
+        if (args.length < 2) {
+            await msg.reply(formatEventFilter(chatId));
+            return;
+        }
+        try {
+            await msg.reply(updateEventFilter(chatId, args[1], args.slice(2).join(' '), getChatTickers(chatId)));
+            console.log(`[${chatId}] Event-Filter geändert.`);
+        } catch (error) {
+            await msg.reply(t(language, 'filters.error', { error: error.message }));
+        }
     }
 });
 
 // --- MAIN EXECUTION ---
-setInterval(masterScheduler, 5000); 
+setInterval(masterScheduler, 1000); 
 setInterval(dispatcherLoop, 500); 
-client.initialize();
+transport.initialize();
+const adminApi = startAdminApi(activeTickers, jobQueue, transport);
+const metricsServer = startMetricsServer(activeTickers, jobQueue, getActiveWorkers);
 
 // --- GRACEFUL SHUTDOWN HANDLER ---
 process.on('SIGINT', async () => {
     console.log('(SIGINT) Empfangen. Bot wird heruntergefahren...');
+    // Saved before stopping, so the running tickers are resumed after the restart
+    saveSeenTickers(activeTickers); 
     activeTickers.forEach(ticker => {
         ticker.isPolling = false;
         ticker.isScheduled = false;
         if (ticker.scheduleTimeout) clearTimeout(ticker.scheduleTimeout);
+        if (ticker.previewTimeout) clearTimeout(ticker.previewTimeout);
         if (ticker.recapIntervalId) clearInterval(ticker.recapIntervalId); // FIX: ticker statt tickerState
     });
-    saveSeenTickers(activeTickers, SEEN_FILE); 
+    if (adminApi) adminApi.close();
+    if (metricsServer) metricsServer.close();
     
     // FIX: Try-Catch hinzugefügt, damit ein kaputter Client nicht den Exit blockiert
     try {
-        if (client) await client.destroy(); 
+        if (transport) await transport.destroy(); 
     } catch (error) {
         console.log('Fehler beim Schließen des Clients ignoriert.');
     }
@@ -0,0 +1,203 @@
+// calendar.js - Schedule of a team as an iCalendar file (!kalender)
+//
+// Every game gets a UID made from its game ID, so importing a newer file updates the entries
+// that are already in the calendar instead of adding them a second time. Calendar apps only
+// take over a change if the SEQUENCE of the entry went up, so the sequence of every game is
+// kept in the store and raised whenever its date, teams, venue or result change.
+
+const { getSpielplanData } = require('./datasource.js');
+const { t } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { getTeamIdFromUrl } = require('./filters.js');
+const { getVenue } = require('./utils.js');
+const { getSection, saveSection } = require('./store.js');
+
+const UID_DOMAIN = 'handball-liveticker';
+const GAME_URL = 'https://www.handball.net/spiele/';
+const GAME_DURATION_MINUTES = 90;
+const REMINDER_MINUTES = 60;
+const MAX_LINE_BYTES = 75;
+
+// --- ICALENDAR FORMAT ---
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line after 75 bytes, continuation lines start with a space (RFC 5545).
+ * Multi-byte characters (umlauts, emojis) are never split.
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// 2026-10-19T18:00:00.000Z -> 20261019T180000Z
+function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function getResult(game) {
+    if (game.state !== 'Post' || game.homeGoals === undefined || game.homeGoals === null) return null;
+    return `${game.homeGoals}:${game.awayGoals}`;
+}
+
+// --- SEQUENCES ---
+
+function getGameFingerprint(game) {
+    return JSON.stringify([game.startsAt, game.homeTeam.name, game.awayTeam.name, getVenue(game), getResult(game)]);
+}
+
+/**
+ * Returns the SEQUENCE of every game and raises it for games that changed since the last file.
+ * @param {Array} games - The games of the calendar.
+ * @returns {object} - { gameId: sequence }
+ */
+function updateSequences(games) {
+    const calendar = getSection('calendar');
+    let hasChanges = false;
+    for (const game of games) {
+        const fingerprint = getGameFingerprint(game);
+        const entry = calendar[game.id];
+        if (entry && entry.fingerprint === fingerprint) continue;
+        calendar[game.id] = { fingerprint, sequence: entry ? entry.sequence + 1 : 0 };
+        hasChanges = true;
+    }
+    if (hasChanges) saveSection('calendar', calendar);
+    return Object.fromEntries(games.map(game => [game.id, calendar[game.id].sequence]));
+}
+
+// --- FILE ---
+
+function buildEvent(language, game, sequence, timestamp) {
+    const startsAt = new Date(game.startsAt);
+    const endsAt = new Date(startsAt.getTime() + GAME_DURATION_MINUTES * 60 * 1000);
+    const gameUrl = GAME_URL + game.id;
+    const summary = t(language, 'calendar.summary', { home: game.homeTeam.name, guest: game.awayTeam.name });
+    const result = getResult(game);
+    const description = [
+        result ? t(language, 'calendar.result', { score: result }) : null,
+        t(language, 'calendar.link', { url: gameUrl })
+    ].filter(Boolean).join('\n');
+    const venue = getVenue(game);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${game.id}@${UID_DOMAIN}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${timestamp}`,
+        `DTSTART:${formatDateTime(startsAt)}`,
+        `DTEND:${formatDateTime(endsAt)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(venue ? [`LOCATION:${escapeText(venue)}`] : []),
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${gameUrl}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(summary)}`,
+        `TRIGGER:-PT${REMINDER_MINUTES}M`,
+        'END:VALARM',
+        'END:VEVENT'
+    ];
+}
+
+function buildIcs(language, calendarName, games) {
+    const sequences = updateSequences(games);
+    const timestamp = formatDateTime(Date.now());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//handball.net Liveticker//Spielplan//DE',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        ...games.flatMap(game => buildEvent(language, game, sequences[game.id], timestamp)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "HSG Rhein-Süd II" -> "spielplan-hsg-rhein-sued-ii.ics"
+function getFilename(teamName) {
+    const slug = teamName.toLowerCase()
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return `spielplan${slug ? `-${slug}` : ''}.ics`;
+}
+
+function getTeamName(games, teamId) {
+    for (const game of games) {
+        if (game.homeTeam && game.homeTeam.id === teamId) return game.homeTeam.name;
+        if (game.awayTeam && game.awayTeam.id === teamId) return game.awayTeam.name;
+    }
+    return null;
+}
+
+async function buildCalendarFile(language, teamPageUrl, fallbackName) {
+    let schedule;
+    try {
+        schedule = await getSpielplanData(teamPageUrl);
+    } catch (error) {
+        throw new Error(t(language, 'calendar.fetchFailed'));
+    }
+    const games = (schedule || [])
+        .filter(game => game.id && game.startsAt && game.homeTeam && game.awayTeam)
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    if (games.length === 0) throw new Error(t(language, 'calendar.noGames'));
+
+    const teamName = getTeamName(games, getTeamIdFromUrl(teamPageUrl)) || fallbackName || t(language, 'calendar.defaultName');
+    return {
+        filename: getFilename(teamName),
+        content: Buffer.from(buildIcs(language, teamName, games), 'utf8'),
+        caption: t(language, 'calendar.caption', { team: teamName, count: games.length })
+    };
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Builds the !kalender files: one per team of the group (taken from its tickers), or one
+ * for the team page given in the command.
+ * @param {string} chatId - The chat ID.
+ * @param {Array} chatTickers - The tickers of the group.
+ * @param {string} [teamPageUrl] - A team page whose schedule should be used instead.
+ * @returns {Promise<Array>} - The files to send: { filename, content (Buffer), caption }.
+ * @throws {Error} - With a message in the group's language if there is no schedule to send.
+ */
+async function buildCalendarFiles(chatId, chatTickers, teamPageUrl = null) {
+    const language = getGroupLanguage(chatId);
+    if (teamPageUrl) {
+        if (!getTeamIdFromUrl(teamPageUrl)) throw new Error(t(language, 'calendar.invalidUrl'));
+        return [await buildCalendarFile(language, teamPageUrl, null)];
+    }
+
+    const teams = new Map();
+    for (const ticker of chatTickers) {
+        if (ticker.teamPageUrl && !teams.has(ticker.teamPageUrl)) teams.set(ticker.teamPageUrl, ticker.teamTag);
+    }
+    if (teams.size === 0) throw new Error(t(language, 'calendar.noTeam'));
+
+    const files = [];
+    for (const [url, teamTag] of teams) {
+        files.push(await buildCalendarFile(language, url, teamTag));
+    }
+    return files;
+}
+
+module.exports = { buildCalendarFiles };
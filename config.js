@@ -1,22 +1,23 @@
 // config.js
 
+// Emojis of the handball.net event types. The labels are in the message catalogs (locales/).
+// importance is used by the event filters (!filter): 1 = low, 2 = medium, 3 = high.
 const EVENT_MAP = {
-    // New event types from handball.net JSON
-    "StartGame": { label: "Spiel gestartet", emoji: "📢" },
-    "StartPeriod": { label: "Spielbeginn", emoji: "▶️" },
-    "StopPeriod": { label: "Periodenende", emoji: "⏸️" }, // This is used for both halftime and game end
-    "Goal": { label: "Tor", emoji: "🤾‍♀️" },
-    "SevenMeterGoal": { label: "7-Meter Tor", emoji: "7️⃣✅" },
-    "SevenMeterMissed": { label: "7-Meter Fehlwurf", emoji: "7️⃣❌" },
-    "TwoMinutePenalty": { label: "Zeitstrafe", emoji: "✌🏼" },
-    "Warning": { label: "Gelbe Karte", emoji: "🟨" },
-    "Timeout": { label: "Timeout", emoji: "⏱️" },
-    "Disqualification": { label: "Rote Karte", emoji: "🟥" },
-    "DisqualificationWithReport": { label: "Blaue Karte", emoji: "🟦" },
+    "StartGame": { emoji: "📢", importance: 1 },
+    "StartPeriod": { emoji: "▶️", importance: 3 },
+    "StopPeriod": { emoji: "⏸️", importance: 3 }, // This is used for both halftime and game end
+    "Goal": { emoji: "🤾‍♀️", importance: 2 },
+    "SevenMeterGoal": { emoji: "7️⃣✅", importance: 2 },
+    "SevenMeterMissed": { emoji: "7️⃣❌", importance: 2 },
+    "TwoMinutePenalty": { emoji: "✌🏼", importance: 2 },
+    "Warning": { emoji: "🟨", importance: 1 },
+    "Timeout": { emoji: "⏱️", importance: 1 },
+    "Disqualification": { emoji: "🟥", importance: 3 },
+    "DisqualificationWithReport": { emoji: "🟦", importance: 3 },
 
     // A fallback for any event type we haven't seen yet
-    "default": { label: "Ereignis", emoji: "📢" }
+    "default": { emoji: "📢", importance: 1 }
 };
 
 // This makes the EVENT_MAP available to other files
-module.exports = { EVENT_MAP };
\ No newline at end of file
+module.exports = { EVENT_MAP };
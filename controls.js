@@ -0,0 +1,206 @@
+// controls.js - Starting, stopping and resetting tickers (chat commands and admin API)
+//
+// !start, !stop, !reset and !autoschedule and the admin API (adminapi.js) use the same functions,
+// so a ticker behaves the same no matter where it was controlled from. Messages to the group are
+// sent here, errors are thrown with a message in the group's language.
+
+const { t, translateError, formatDate, formatTime } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { saveSeenTickers, loadScheduledTickers, saveScheduledTickers, getTickerKey } = require('./utils.js');
+const { startPolling, getGameIdFromUrl, autoScheduleNextGame, getChatTickers, sendTickerMessage, stopTicker, removeJobsForTicker } = require('./polling.js');
+
+let activeTickers;
+let transport;
+
+/**
+ * Hands the shared state to this module.
+ * @param {Map} tickers - The activeTickers map.
+ * @param {EventEmitter} messagingTransport - The transport used to send messages.
+ */
+function initializeControls(tickers, messagingTransport) {
+    activeTickers = tickers;
+    transport = messagingTransport;
+}
+
+// --- HELPERS ---
+
+/**
+ * Parses the optional arguments after the URL of !start / !autoschedule.
+ * "recap" or "live" selects the mode, any other word is used as team tag.
+ */
+function parseTickerOptions(options) {
+    let mode = 'live';
+    let teamTag = null;
+    for (const option of options) {
+        const lowerOption = option.toLowerCase();
+        if (lowerOption === 'recap' || lowerOption === 'live') {
+            mode = lowerOption;
+        } else if (option) {
+            teamTag = option;
+        }
+    }
+    return { mode, teamTag };
+}
+
+/**
+ * Finds a ticker of a chat by its 1-based list index or its game ID.
+ */
+function findChatTicker(chatTickers, selector) {
+    if (/^\d+$/.test(selector)) {
+        return chatTickers[parseInt(selector, 10) - 1] || null;
+    }
+    return chatTickers.find(t => t.gameId === selector) || null;
+}
+
+/**
+ * Formats the tickers of a chat as numbered list for replies.
+ */
+function formatTickerList(chatTickers) {
+    return chatTickers.map((t, index) => {
+        const teams = t.teamNames ? `${t.teamNames.home} vs ${t.teamNames.guest}` : t.gameId;
+        const tag = t.teamTag ? ` [${t.teamTag}]` : '';
+        return `${index + 1}. ${teams}${tag} (${t.gameId})`;
+    }).join('\n');
+}
+
+// --- CONTROLS ---
+
+/**
+ * Starts (schedules) the ticker of one game (!start).
+ * @param {string} chatId - The chat ID.
+ * @param {string} groupName - The name of the group.
+ * @param {string} meetingPageUrl - The handball.net URL of the game.
+ * @param {Array} [options] - Mode ("live"/"recap") and team tag, in any order.
+ * @throws {Error} - If the game is already ticked in the chat or the ticker can't be started.
+ */
+async function startTicker(chatId, groupName, meetingPageUrl, options = []) {
+    const language = getGroupLanguage(chatId);
+    const { mode, teamTag } = parseTickerOptions(options);
+    const gameId = getGameIdFromUrl(meetingPageUrl);
+    const existingTicker = gameId ? activeTickers.get(getTickerKey(chatId, gameId)) : null;
+
+    if (existingTicker && (existingTicker.isPolling || existingTicker.isScheduled || existingTicker.isScheduling)) {
+        throw new Error(t(language, 'commands.alreadyActive'));
+    }
+
+    try {
+        // Call startPolling (queueTickerScheduling) with isAutoSchedule = false
+        await startPolling(meetingPageUrl, chatId, groupName, mode, false, null, teamTag);
+    } catch (error) {
+        console.error(`[${chatId}] Kritischer Fehler beim Starten des Tickers:`, error);
+        if (gameId) activeTickers.delete(getTickerKey(chatId, gameId));
+        throw new Error(t(language, 'commands.startFailed'));
+    }
+}
+
+/**
+ * Stops the tickers of a chat (!stop) and tells the group.
+ * @param {string} chatId - The chat ID.
+ * @param {string|null} [selector] - List number or game ID of a single ticker, null for all.
+ * @returns {Promise<number>} - The number of stopped tickers.
+ * @throws {Error} - If the chat has no ticker or the selector matches none.
+ */
+async function stopTickers(chatId, selector = null) {
+    const language = getGroupLanguage(chatId);
+    const chatTickers = getChatTickers(chatId);
+    if (chatTickers.length === 0) throw new Error(t(language, 'commands.noTicker'));
+
+    // Without a selector every ticker of the group is stopped
+    let tickersToStop = chatTickers;
+    if (selector) {
+        const target = findChatTicker(chatTickers, selector);
+        if (!target) {
+            throw new Error(t(language, 'commands.tickerNotFound', { selector, list: formatTickerList(chatTickers), usage: t(language, 'commands.stopUsage') }));
+        }
+        tickersToStop = [target];
+    }
+
+    let stoppedCount = 0;
+    for (const tickerState of tickersToStop) {
+        if (stopTicker(tickerState)) stoppedCount++;
+    }
+
+    if (tickersToStop.length === 1) {
+        await sendTickerMessage(tickersToStop[0], t(language, 'commands.stoppedOne'));
+    } else {
+        await transport.sendMessage(chatId, t(language, 'commands.stoppedMany', { count: stoppedCount }));
+    }
+    return stoppedCount;
+}
+
+/**
+ * Removes all tickers and schedules of a chat (!reset).
+ * @param {string} chatId - The chat ID.
+ * @param {string} groupName - The name of the group, for the log.
+ */
+function resetTickers(chatId, groupName) {
+    const currentSchedule = loadScheduledTickers();
+
+    for (const [tickerKey, tickerState] of [...activeTickers.entries()]) {
+        if (tickerState.chatId !== chatId) continue;
+        if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+        if (tickerState.previewTimeout) clearTimeout(tickerState.previewTimeout);
+        if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+        tickerState.isPolling = false;
+        tickerState.isScheduled = false;
+        tickerState.isScheduling = false;
+        removeJobsForTicker(tickerKey);
+        activeTickers.delete(tickerKey);
+    }
+    saveSeenTickers(activeTickers);
+
+    if (currentSchedule[chatId]) {
+        delete currentSchedule[chatId];
+        saveScheduledTickers(currentSchedule);
+    }
+    console.log(`Ticker-Daten für Gruppe "${groupName}" (${chatId}) wurden manuell zurückgesetzt.`);
+}
+
+/**
+ * Schedules the next game of a team and keeps following its schedule (!autoschedule).
+ * The group is told which game was found.
+ * @param {string} chatId - The chat ID.
+ * @param {string} groupName - The name of the group.
+ * @param {string} teamPageUrl - The handball.net team page.
+ * @param {Array} [options] - Mode ("live"/"recap") and team tag, in any order.
+ * @returns {Promise<object|null>} - The scheduled game, or null if the team has no upcoming game.
+ * @throws {Error} - If the team is already auto-scheduled in the chat or the schedule can't be read.
+ */
+async function startAutoSchedule(chatId, groupName, teamPageUrl, options = []) {
+    const language = getGroupLanguage(chatId);
+    const { mode, teamTag } = parseTickerOptions(options);
+
+    if (getChatTickers(chatId).some(t => t.isAutoSchedule && t.teamPageUrl === teamPageUrl)) {
+        throw new Error(t(language, 'commands.autoscheduleExists'));
+    }
+
+    try {
+        await transport.sendMessage(chatId, t(language, 'autoschedule.analyzing'));
+        const gameScheduled = await autoScheduleNextGame(teamPageUrl, chatId, groupName, mode, null, teamTag);
+
+        if (gameScheduled) {
+            await transport.sendMessage(chatId, t(language, 'autoschedule.success', {
+                home: gameScheduled.homeTeam.name,
+                guest: gameScheduled.awayTeam.name,
+                date: formatDate(language, gameScheduled.startsAt, { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' }),
+                time: formatTime(language, gameScheduled.startsAt)
+            }));
+        } else {
+            await transport.sendMessage(chatId, t(language, 'autoschedule.noGames'));
+        }
+        return gameScheduled || null;
+    } catch (error) {
+        console.error(`[${chatId}] Kritischer Fehler beim Auto-Scheduling:`, error);
+        throw new Error(t(language, 'commands.error', { error: translateError(language, error) }));
+    }
+}
+
+module.exports = {
+    initializeControls,
+    findChatTicker,
+    formatTickerList,
+    startTicker,
+    stopTickers,
+    resetTickers,
+    startAutoSchedule
+};
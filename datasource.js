@@ -0,0 +1,289 @@
+// datasource.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// --- RECORD / REPLAY CONFIG (from .env) ---
+// RECORD_DIR:   Saves every fetched game and team page response with a timestamp.
+// REPLAY_DIR:   Serves those recordings instead of handball.net.
+// REPLAY_SPEED: Replay speed factor (e.g. 10 = ten times faster than the real game).
+// REPLAY_START: Optional ISO time within the recording to start the replay from.
+const RECORD_DIR = process.env.RECORD_DIR ? path.resolve(process.env.RECORD_DIR) : null;
+const REPLAY_DIR = process.env.REPLAY_DIR ? path.resolve(process.env.REPLAY_DIR) : null;
+const REPLAY_SPEED = Math.max(parseFloat(process.env.REPLAY_SPEED) || 1, 0.01);
+const REPLAY_START = process.env.REPLAY_START ? Date.parse(process.env.REPLAY_START) : null;
+
+// Add a User-Agent to mimic a browser, this is important for the team pages
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+let replayStartedAt = null; // Real time of the first replayed request
+let replayOrigin = null;    // Recording time that corresponds to replayStartedAt
+const replayIndexCache = new Map();
+
+if (REPLAY_DIR) {
+    console.log(`Replay-Modus aktiv: Daten aus ${REPLAY_DIR} (Geschwindigkeit x${REPLAY_SPEED}).`);
+} else if (RECORD_DIR) {
+    console.log(`Aufnahme-Modus aktiv: Antworten werden in ${RECORD_DIR} gespeichert.`);
+}
+
+function isReplaying() {
+    return !!REPLAY_DIR;
+}
+
+/**
+ * Speed factor of the replay, 1 when the live data is used.
+ */
+function getReplaySpeed() {
+    return REPLAY_DIR ? REPLAY_SPEED : 1;
+}
+
+function buildDataUrl(gameId) {
+    return `https://www.handball.net/a/sportdata/1/games/${gameId}/combined?`;
+}
+
+/**
+ * Turns a team page URL into a directory name, e.g. "mannschaften_nuliga.bhv.1678372_spielplan".
+ */
+function getTeamPageKey(teamPageUrl) {
+    try {
+        return new URL(teamPageUrl).pathname.split('/').filter(Boolean).join('_').replace(/[^\w.-]/g, '_');
+    } catch (e) {
+        return teamPageUrl.replace(/[^\w.-]/g, '_');
+    }
+}
+
+/**
+ * Writes one response to <RECORD_DIR>/<kind>/<key>/<timestamp>.<ext>.
+ */
+function recordResponse(kind, key, content, extension) {
+    if (!RECORD_DIR) return;
+    try {
+        const dir = path.join(RECORD_DIR, kind, key);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `${Date.now()}.${extension}`), content, 'utf8');
+    } catch (e) {
+        console.error(`Fehler beim Speichern der Aufnahme (${kind}/${key}):`, e.message);
+    }
+}
+
+/**
+ * Lists the recordings of one game or team page, sorted by time.
+ * @returns {Array} - [{ timestamp, file }]
+ */
+function listRecordings(kind, key) {
+    const cacheKey = `${kind}/${key}`;
+    if (replayIndexCache.has(cacheKey)) return replayIndexCache.get(cacheKey);
+
+    const dir = path.join(REPLAY_DIR, kind, key);
+    let recordings = [];
+    if (fs.existsSync(dir)) {
+        recordings = fs.readdirSync(dir)
+            .map(file => ({ timestamp: parseInt(file, 10), file: path.join(dir, file) }))
+            .filter(r => !Number.isNaN(r.timestamp))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+    replayIndexCache.set(cacheKey, recordings);
+    return recordings;
+}
+
+/**
+ * The replay starts at REPLAY_START or at the earliest recording of all games and team pages,
+ * so several recorded games stay in sync with each other.
+ */
+function getReplayOrigin() {
+    if (replayOrigin !== null) return replayOrigin;
+    let earliest = Infinity;
+    for (const kind of ['games', 'teams']) {
+        const kindDir = path.join(REPLAY_DIR, kind);
+        if (!fs.existsSync(kindDir)) continue;
+        for (const key of fs.readdirSync(kindDir)) {
+            const recordings = listRecordings(kind, key);
+            if (recordings.length > 0) earliest = Math.min(earliest, recordings[0].timestamp);
+        }
+    }
+    replayOrigin = REPLAY_START || (Number.isFinite(earliest) ? earliest : Date.now());
+    return replayOrigin;
+}
+
+/**
+ * Returns the point in the recording that is being "played" right now.
+ */
+function getReplayTime() {
+    if (replayStartedAt === null) replayStartedAt = Date.now();
+    return getReplayOrigin() + (Date.now() - replayStartedAt) * REPLAY_SPEED;
+}
+
+/**
+ * Reads the newest recording that is not newer than the current replay time.
+ * Before the first recording, the first one is served.
+ */
+function readReplay(kind, key) {
+    const recordings = listRecordings(kind, key);
+    if (recordings.length === 0) {
+        throw new Error(`Keine Aufnahme für ${kind}/${key} in ${REPLAY_DIR} gefunden.`);
+    }
+    const replayTime = getReplayTime();
+    let current = recordings[0];
+    for (const recording of recordings) {
+        if (recording.timestamp > replayTime) break;
+        current = recording;
+    }
+    return fs.readFileSync(current.file, 'utf8');
+}
+
+/**
+ * Fetches the `combined` game data. Returns the axios response (status 200 or 304),
+ * or a recorded response in replay mode.
+ * @param {string} gameId - The handball.net game ID.
+ * @param {object} headers - Extra request headers (e.g. If-None-Match).
+ */
+async function fetchCombined(gameId, headers = {}) {
+    if (REPLAY_DIR) {
+        return { status: 200, headers: {}, data: JSON.parse(readReplay('games', gameId)) };
+    }
+
+    const response = await axios.get(`${buildDataUrl(gameId)}&_=${Date.now()}`, {
+        timeout: 10000,
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+    if (response.status !== 304) {
+        recordResponse('games', gameId, JSON.stringify(response.data), 'json');
+    }
+    return response;
+}
+
+/**
+ * Fetches the HTML of a team's schedule page, or a recorded page in replay mode.
+ * @param {string} teamPageUrl - The URL of the team's schedule page.
+ * @returns {string} - The HTML.
+ */
+async function fetchTeamPage(teamPageUrl) {
+    if (REPLAY_DIR) {
+        return readReplay('teams', getTeamPageKey(teamPageUrl));
+    }
+
+    const response = await axios.get(teamPageUrl, { 
+        timeout: 10000,
+        headers: { 'User-Agent': USER_AGENT }
+    });
+    recordResponse('teams', getTeamPageKey(teamPageUrl), response.data, 'html');
+    return response.data;
+}
+
+// --- NEXT.JS FLIGHT DATA ---
+
+/**
+ * Finds a JSON array in the Next.js flight data of a handball.net page (the
+ * `self.__next_f.push` script blobs), e.g. the "schedule" of a team page.
+ * @param {string} html - The page HTML.
+ * @param {string} key - The JSON key of the array, e.g. "schedule".
+ * @param {Function} [isWanted] - Checks a parsed array, the first array passing it is returned.
+ * @returns {Array|null} - The parsed array, or null if no script blob contains it.
+ */
+function findFlightArray(html, key, isWanted = () => true) {
+    const scriptRegex = /<script>self\.__next_f\.push\(\[1,"(.*?)"]\)</sg;
+    const arrayKey = `"${key}":[`;
+
+    for (const match of html.matchAll(scriptRegex)) {
+        const dataString = match[1]
+            .replace(/\\"/g, '"')  // Unescape quotes
+            .replace(/\\\\/g, '\\'); // Unescape backslashes
+
+        let searchFrom = 0;
+        while (true) {
+            const keyIndex = dataString.indexOf(arrayKey, searchFrom);
+            if (keyIndex === -1) break;
+            searchFrom = keyIndex + arrayKey.length;
+
+            const arrayString = readJsonArray(dataString.substring(keyIndex + arrayKey.length - 1));
+            if (!arrayString) {
+                console.error(`Flight-Daten: '${key}' gefunden, aber schließende Klammer ']' fehlt.`);
+                continue;
+            }
+            try {
+                const data = JSON.parse(arrayString);
+                if (isWanted(data)) return data;
+            } catch (e) {
+                console.error(`Flight-Daten: JSON für '${key}' war fehlerhaft:`, e.message);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Cuts a JSON array off the start of a string by matching the brackets.
+ * @returns {string|null} - The array, or null if it is not closed.
+ */
+function readJsonArray(text) {
+    let bracketCount = 0;
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"' && (i === 0 || text[i - 1] !== '\\')) {
+            inString = !inString;
+        }
+        if (inString) continue;
+        if (char === '[') bracketCount++;
+        else if (char === ']') bracketCount--;
+        if (bracketCount === 0) return text.substring(0, i + 1);
+    }
+    return null;
+}
+
+// --- TEAM PAGES ---
+
+/**
+ * Builds the URL of a page of a team on handball.net.
+ * @param {string} teamId - The handball.net team ID, e.g. "nuliga.bhv.1678372".
+ * @param {string} page - The page, e.g. "spielplan" or "tabelle".
+ */
+function getTeamPageUrl(teamId, page) {
+    return `https://www.handball.net/mannschaften/${teamId}/${page}`;
+}
+
+/**
+ * Fetches and extracts the schedule JSON from a team's spielplan page.
+ * @param {string} teamPageUrl - The URL of the team's schedule page.
+ * @returns {Array|null} - An array of game objects, or null if not found.
+ */
+async function getSpielplanData(teamPageUrl) {
+    let html = "";
+    try {
+        console.log(`AutoSchedule: Rufe Team-URL ab: ${teamPageUrl}`);
+        html = await fetchTeamPage(teamPageUrl);
+        console.log("AutoSchedule: HTML-Antwort empfangen.");
+
+        const scheduleData = findFlightArray(html, 'schedule');
+        if (!scheduleData) {
+            console.error("AutoSchedule: Konnte 'schedule' JSON in keinem script-Tag finden.");
+            return null;
+        }
+        console.log(`AutoSchedule: JSON erfolgreich geparst. ${scheduleData.length} Spiele gefunden.`);
+        return scheduleData;
+        
+    } catch (error) {
+        console.error(`AutoSchedule: Kritischer Fehler beim Abrufen der Spielplan-Daten:`, error.message);
+        if (error.response) {
+            console.error(`AutoSchedule: HTTP Status ${error.response.status}`);
+        }
+        if (html) {
+             console.error("AutoSchedule: HTML Snippet (first 500 chars):", html.substring(0, 500));
+        }
+        // Thrown without text, the command replies translate the code (see translateError)
+        const scheduleError = new Error('SCHEDULE_UNAVAILABLE');
+        scheduleError.code = 'SCHEDULE_UNAVAILABLE';
+        throw scheduleError;
+    }
+}
+
+module.exports = {
+    isReplaying,
+    getReplaySpeed,
+    fetchCombined,
+    fetchTeamPage,
+    findFlightArray,
+    getTeamPageUrl,
+    getSpielplanData
+};
@@ -0,0 +1,204 @@
+// filters.js - Per-group event filters (!filter)
+//
+// A group can restrict the posted events by category, by team (own/opponent/both)
+// and by minimum importance. The filter is stored with the group settings, so it
+// applies to every ticker of the group, including !autoschedule chains, and survives restarts.
+
+const { EVENT_MAP } = require('./config.js');
+const { t } = require('./i18n.js');
+const { getGroupSettings, getGroupLanguage, saveGroupValue } = require('./settings.js');
+
+// Event categories that can be selected with "!filter typen". Names are accepted in every language.
+const FILTER_CATEGORIES = {
+    goals: { names: ['tore', 'goals'], types: ["Goal", "SevenMeterGoal"] },
+    sevenMeters: { names: ['7m', 'siebenmeter', 'sevenmeters'], types: ["SevenMeterGoal", "SevenMeterMissed"] },
+    penalties: { names: ['strafen', 'penalties'], types: ["TwoMinutePenalty", "Warning", "Disqualification", "DisqualificationWithReport"] },
+    timeouts: { names: ['timeouts'], types: ["Timeout"] },
+    periods: { names: ['spielabschnitte', 'abschnitte', 'periods'], types: ["StartPeriod", "StopPeriod"] }
+};
+
+const TEAM_OPTIONS = {
+    both: ['beide', 'both', 'alle', 'all'],
+    own: ['eigenes', 'eigene', 'own', 'ours'],
+    opponent: ['gegner', 'opponent']
+};
+
+const IMPORTANCE_OPTIONS = {
+    1: ['niedrig', 'low', 'alle', 'all', '1'],
+    2: ['mittel', 'medium', '2'],
+    3: ['hoch', 'high', '3']
+};
+
+const DEFAULT_FILTER = { categories: null, team: 'both', minImportance: 1, ownTeam: null };
+
+/**
+ * Returns the event filter of a group (defaults filled in).
+ */
+function getEventFilter(chatId) {
+    return { ...DEFAULT_FILTER, ...(getGroupSettings(chatId).eventFilter || {}) };
+}
+
+function saveEventFilter(chatId, filter) {
+    const changed = {};
+    for (const key of Object.keys(DEFAULT_FILTER)) {
+        if (JSON.stringify(filter[key]) !== JSON.stringify(DEFAULT_FILTER[key])) changed[key] = filter[key];
+    }
+    saveGroupValue(chatId, 'eventFilter', Object.keys(changed).length > 0 ? changed : null);
+}
+
+function findOption(options, word) {
+    const lowerWord = (word || '').toLowerCase();
+    return Object.keys(options).find(key => options[key].includes(lowerWord)) || null;
+}
+
+function getTeamIdFromUrl(teamPageUrl) {
+    const match = (teamPageUrl || '').match(/mannschaften\/([^/?#]+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Finds out which side the group's own team plays on. Auto-schedule tickers know their
+ * team from the team page, otherwise the team name set with "!filter eigenesteam" is used.
+ * @param {object} tickerState - The ticker (uses teamPageUrl, teamIds and teamNames).
+ * @returns {string|null} - 'Home', 'Away' or null if unknown.
+ */
+function getOwnSide(tickerState) {
+    const teamId = getTeamIdFromUrl(tickerState.teamPageUrl);
+    if (teamId && tickerState.teamIds) {
+        if (tickerState.teamIds.home === teamId) return 'Home';
+        if (tickerState.teamIds.guest === teamId) return 'Away';
+    }
+    const { ownTeam } = getEventFilter(tickerState.chatId);
+    if (ownTeam && tickerState.teamNames) {
+        const search = ownTeam.toLowerCase();
+        const isHome = (tickerState.teamNames.home || '').toLowerCase().includes(search);
+        const isGuest = (tickerState.teamNames.guest || '').toLowerCase().includes(search);
+        if (isHome !== isGuest) return isHome ? 'Home' : 'Away';
+    }
+    return null;
+}
+
+/**
+ * Checks an event against the filter of the ticker's group.
+ * The end of the game is always posted, so every group gets the final score.
+ * @param {object} ev - The event (with `isGameEnd` for StopPeriod).
+ * @param {object} tickerState - The ticker the event belongs to.
+ * @returns {boolean} - True if the event should be posted.
+ */
+function shouldPostEvent(ev, tickerState) {
+    if (ev.type === "StopPeriod" && ev.isGameEnd) return true;
+    const filter = getEventFilter(tickerState.chatId);
+
+    if (filter.categories) {
+        const isSelected = filter.categories.some(category =>
+            FILTER_CATEGORIES[category] && FILTER_CATEGORIES[category].types.includes(ev.type)
+        );
+        if (!isSelected) return false;
+    }
+
+    const importance = (EVENT_MAP[ev.type] || EVENT_MAP["default"]).importance;
+    if (importance < filter.minImportance) return false;
+
+    // Events without a team (e.g. halftime) are not affected by the team filter
+    if (filter.team !== 'both' && ev.team) {
+        const ownSide = getOwnSide(tickerState);
+        if (ownSide) {
+            const isOwnTeam = ev.team === ownSide;
+            if (filter.team === 'own' && !isOwnTeam) return false;
+            if (filter.team === 'opponent' && isOwnTeam) return false;
+        } else if (!tickerState.ownSideWarned) {
+            tickerState.ownSideWarned = true;
+            console.warn(`[${tickerState.tickerKey}] Team-Filter "${filter.team}" aktiv, aber das eigene Team ist unbekannt. Es werden beide Teams gesendet.`);
+        }
+    }
+    return true;
+}
+
+// --- !filter COMMAND ---
+
+function formatCategories(language, categories) {
+    if (!categories) return t(language, 'filters.allTypes');
+    return categories.map(category => t(language, `filters.categories.${category}`)).join(', ');
+}
+
+/**
+ * Builds the !filter overview of a group.
+ */
+function formatEventFilter(chatId) {
+    const language = getGroupLanguage(chatId);
+    const filter = getEventFilter(chatId);
+    return t(language, 'filters.overview', {
+        types: formatCategories(language, filter.categories),
+        team: t(language, `filters.team.${filter.team}`),
+        importance: t(language, `filters.importance.${filter.minImportance}`),
+        ownTeam: filter.ownTeam || t(language, 'filters.ownTeamAuto')
+    });
+}
+
+/**
+ * Handles "!filter <Art> <Wert>" and stores the changed filter.
+ * @param {string} chatId - The chat ID.
+ * @param {string} kind - What to change: typen, team, wichtigkeit, eigenesteam or reset.
+ * @param {string} rawValue - The value as typed by the user.
+ * @param {Array} [chatTickers] - The scheduled and running tickers of the group, to warn about unknown own teams.
+ * @returns {string} - The reply for the group.
+ * @throws {Error} - With a message in the group's language if the input is invalid.
+ */
+function updateEventFilter(chatId, kind, rawValue, chatTickers = []) {
+    const language = getGroupLanguage(chatId);
+    const filter = getEventFilter(chatId);
+    const value = (rawValue || '').trim();
+    const lowerKind = (kind || '').toLowerCase();
+
+    if (lowerKind === 'reset') {
+        saveEventFilter(chatId, DEFAULT_FILTER);
+        return t(language, 'filters.resetDone');
+    }
+
+    if (['typen', 'types', 'typ', 'type'].includes(lowerKind)) {
+        const words = value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        if (words.length === 0 || words.some(word => ['alle', 'all'].includes(word))) {
+            filter.categories = null;
+        } else {
+            const categories = [];
+            for (const word of words) {
+                const category = Object.keys(FILTER_CATEGORIES).find(key => FILTER_CATEGORIES[key].names.includes(word));
+                if (!category) {
+                    const available = Object.keys(FILTER_CATEGORIES).map(key => t(language, `filters.categories.${key}`)).join(', ');
+                    throw new Error(t(language, 'filters.unknownType', { type: word, available }));
+                }
+                if (!categories.includes(category)) categories.push(category);
+            }
+            filter.categories = categories;
+        }
+    } else if (lowerKind === 'team') {
+        const team = findOption(TEAM_OPTIONS, value);
+        if (!team) throw new Error(t(language, 'filters.invalidTeam'));
+        filter.team = team;
+    } else if (['wichtigkeit', 'importance'].includes(lowerKind)) {
+        const minImportance = findOption(IMPORTANCE_OPTIONS, value);
+        if (!minImportance) throw new Error(t(language, 'filters.invalidImportance'));
+        filter.minImportance = parseInt(minImportance, 10);
+    } else if (['eigenesteam', 'ownteam'].includes(lowerKind)) {
+        filter.ownTeam = (value && !['auto', 'aus', 'off'].includes(value.toLowerCase())) ? value : null;
+    } else {
+        throw new Error(t(language, 'filters.usage'));
+    }
+
+    saveEventFilter(chatId, filter);
+    return `${t(language, 'filters.saved')}\n\n${formatEventFilter(chatId)}${formatOwnTeamWarning(language, filter, chatTickers)}`;
+}
+
+/**
+ * Warns if the team filter can't work for some tickers, their events are posted for both teams.
+ * Without a team page (!start) the own team is only known from "!filter eigenesteam".
+ */
+function formatOwnTeamWarning(language, filter, chatTickers) {
+    if (filter.team === 'both') return '';
+    const unknown = chatTickers.filter(ticker => !getOwnSide(ticker));
+    if (unknown.length === 0) return '';
+    const games = unknown.map(ticker => ticker.teamNames ? `${ticker.teamNames.home} vs ${ticker.teamNames.guest}` : ticker.gameId).join(', ');
+    return `\n\n${t(language, 'filters.ownTeamUnknown', { games })}`;
+}
+
+module.exports = { getEventFilter, getOwnSide, getTeamIdFromUrl, shouldPostEvent, formatEventFilter, updateEventFilter };
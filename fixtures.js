@@ -0,0 +1,179 @@
+// fixtures.js - Upcoming games of the auto-schedule chains (!spielplan, !skip, !unskip)
+//
+// The games are numbered across all chains of a group in the order !spielplan shows them,
+// !skip and !unskip use the same numbers. Skipped games are stored on the chain's ticker
+// and handed on to the next ticker of the chain.
+
+const { t, formatDate, formatTime } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { getChatTickers, fetchUpcomingGames, getNextGameFromSchedule, replanAutoSchedule, saveSkippedGames } = require('./polling.js');
+
+const MAX_FIXTURES_PER_TEAM = 20;
+
+function getAutoScheduleChains(chatId) {
+    return getChatTickers(chatId).filter(ticker => ticker.isAutoSchedule && ticker.teamPageUrl);
+}
+
+function formatFixtureDate(language, startsAt) {
+    return {
+        date: formatDate(language, startsAt, { weekday: 'short', day: '2-digit', month: '2-digit' }),
+        time: formatTime(language, startsAt)
+    };
+}
+
+/**
+ * Loads the upcoming games of every chain and numbers them.
+ * @returns {Promise<Array>} - One entry per chain: { chain, games, fixtures: [{ number, game }] }.
+ */
+async function loadChainFixtures(chains) {
+    const result = [];
+    let number = 1;
+    for (const chain of chains) {
+        const games = await fetchUpcomingGames(chain.teamPageUrl);
+        const fixtures = games.slice(0, MAX_FIXTURES_PER_TEAM).map(game => ({ number: number++, game }));
+        result.push({ chain, games, fixtures });
+    }
+    return result;
+}
+
+function getFixtureMarker(chain, game) {
+    if (!chain) return '';
+    if (chain.gameId === game.id) return chain.isPolling ? ' 🟢' : ' ⏰';
+    if ((chain.skippedGameIds || []).includes(game.id)) return ' ⏭️';
+    return '';
+}
+
+function formatFixtureLines(language, chain, games, fixtures) {
+    const lines = fixtures.map(({ number, game }) => t(language, 'fixtures.line', {
+        number,
+        ...formatFixtureDate(language, game.startsAt),
+        home: game.homeTeam.name,
+        guest: game.awayTeam.name,
+        marker: getFixtureMarker(chain, game)
+    }));
+    if (games.length > fixtures.length) {
+        lines.push(t(language, 'fixtures.more', { count: games.length - fixtures.length }));
+    }
+    return lines;
+}
+
+/**
+ * Builds the !spielplan reply. Without a URL the fixtures of all auto-schedule chains of
+ * the group are listed, with skipped and scheduled games marked.
+ * @param {string} chatId - The chat ID.
+ * @param {string} [teamPageUrl] - A team page to show instead of the group's chains.
+ * @returns {Promise<string>} - The reply.
+ * @throws {Error} - With a message in the group's language if there is nothing to show.
+ */
+async function buildFixtureList(chatId, teamPageUrl = null) {
+    const language = getGroupLanguage(chatId);
+
+    if (teamPageUrl) {
+        const games = await fetchUpcomingGames(teamPageUrl);
+        if (games.length === 0) throw new Error(t(language, 'fixtures.noFixtures'));
+        const chain = getAutoScheduleChains(chatId).find(ticker => ticker.teamPageUrl === teamPageUrl) || null;
+        const fixtures = games.slice(0, MAX_FIXTURES_PER_TEAM).map((game, index) => ({ number: index + 1, game }));
+        return `${t(language, 'fixtures.title')}\n\n${formatFixtureLines(language, chain, games, fixtures).join('\n')}`;
+    }
+
+    const chains = getAutoScheduleChains(chatId);
+    if (chains.length === 0) throw new Error(t(language, 'fixtures.noChain'));
+
+    const sections = [];
+    for (const { chain, games, fixtures } of await loadChainFixtures(chains)) {
+        const lines = fixtures.length > 0
+            ? formatFixtureLines(language, chain, games, fixtures)
+            : [t(language, 'fixtures.noFixtures')];
+        if (chains.length > 1) lines.unshift(`*${chain.teamTag || chain.teamPageUrl}*`);
+        sections.push(lines.join('\n'));
+    }
+    return `${t(language, 'fixtures.title')}\n\n${sections.join('\n\n')}\n\n${t(language, 'fixtures.footer')}`;
+}
+
+async function findFixture(chatId, rawNumber) {
+    const language = getGroupLanguage(chatId);
+    const chains = getAutoScheduleChains(chatId);
+    if (chains.length === 0) throw new Error(t(language, 'fixtures.noChain'));
+
+    const chainFixtures = await loadChainFixtures(chains);
+    const count = chainFixtures.reduce((sum, entry) => sum + entry.fixtures.length, 0);
+    const number = parseInt(rawNumber, 10);
+    for (const { chain, games, fixtures } of chainFixtures) {
+        const fixture = fixtures.find(entry => entry.number === number);
+        if (fixture) return { chain, games, game: fixture.game };
+    }
+    throw new Error(t(language, 'fixtures.invalidNumber', { max: count }));
+}
+
+function describeGame(language, game) {
+    return t(language, 'fixtures.game', {
+        ...formatFixtureDate(language, game.startsAt),
+        home: game.homeTeam.name,
+        guest: game.awayTeam.name
+    });
+}
+
+/**
+ * Moves the chain to its first upcoming game that is not skipped, if that is not the
+ * game it has already scheduled. A running game is left alone, the skipped games are
+ * applied when the chain looks for the game after it.
+ * @returns {Promise<string|null>} - A note about the new next game, or null if nothing changed.
+ */
+async function updateChain(language, chain, games) {
+    if (chain.isPolling) {
+        saveSkippedGames(chain);
+        return null;
+    }
+    const nextGame = getNextGameFromSchedule(games, null, chain.skippedGameIds);
+    if (nextGame && nextGame.id === chain.gameId) {
+        saveSkippedGames(chain);
+        return null;
+    }
+    await replanAutoSchedule(chain, nextGame);
+    return nextGame
+        ? t(language, 'fixtures.nextPlanned', { game: describeGame(language, nextGame) })
+        : t(language, 'fixtures.chainEnded');
+}
+
+/**
+ * Handles "!skip <Nr.>": excludes a game from the auto-schedule chain.
+ * @param {string} chatId - The chat ID.
+ * @param {string} rawNumber - The number from !spielplan.
+ * @returns {Promise<string>} - The reply for the group.
+ * @throws {Error} - With a message in the group's language if the game can't be skipped.
+ */
+async function skipFixture(chatId, rawNumber) {
+    const language = getGroupLanguage(chatId);
+    const { chain, games, game } = await findFixture(chatId, rawNumber);
+    const skippedGameIds = chain.skippedGameIds || [];
+    if (skippedGameIds.includes(game.id)) throw new Error(t(language, 'fixtures.alreadySkipped'));
+    if (chain.gameId === game.id && chain.isPolling) throw new Error(t(language, 'fixtures.alreadyRunning'));
+
+    chain.skippedGameIds = [...skippedGameIds, game.id];
+    console.log(`[${chatId}] Spiel ${game.id} wird von der Auto-Planung übersprungen.`);
+    const note = await updateChain(language, chain, games);
+    const reply = t(language, 'fixtures.skipped', { game: describeGame(language, game) });
+    return note ? `${reply}\n${note}` : reply;
+}
+
+/**
+ * Handles "!unskip <Nr.>": takes a skipped game back into the auto-schedule chain.
+ * @param {string} chatId - The chat ID.
+ * @param {string} rawNumber - The number from !spielplan.
+ * @returns {Promise<string>} - The reply for the group.
+ * @throws {Error} - With a message in the group's language if the game was not skipped.
+ */
+async function unskipFixture(chatId, rawNumber) {
+    const language = getGroupLanguage(chatId);
+    const { chain, games, game } = await findFixture(chatId, rawNumber);
+    const skippedGameIds = chain.skippedGameIds || [];
+    if (!skippedGameIds.includes(game.id)) throw new Error(t(language, 'fixtures.notSkipped'));
+
+    chain.skippedGameIds = skippedGameIds.filter(id => id !== game.id);
+    console.log(`[${chatId}] Spiel ${game.id} wird wieder automatisch geplant.`);
+    const note = await updateChain(language, chain, games);
+    const reply = t(language, 'fixtures.unskipped', { game: describeGame(language, game) });
+    return note ? `${reply}\n${note}` : reply;
+}
+
+module.exports = { buildFixtureList, skipFixture, unskipFixture };
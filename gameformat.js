@@ -0,0 +1,164 @@
+// gameformat.js
+const { t, DEFAULT_LANGUAGE } = require('./i18n.js');
+
+const DEFAULT_PERIOD_MINUTES = 30;
+const OVERTIME_PERIOD_MINUTES = 5;
+const REGULAR_PERIODS = 2;
+const SHOOTOUT_PERIOD = 7; // After two overtimes (periods 3-6)
+
+// Half length in minutes per youth class, used until the halftime whistle tells the real length
+const YOUTH_PERIOD_MINUTES = { A: 30, B: 25, C: 25, D: 20, E: 20 };
+
+/**
+ * Reads the minute from an event time like "23:45".
+ * @param {object} ev - The event object.
+ * @returns {number} - The minute, or -1 if the event has no time.
+ */
+function getEventMinute(ev) {
+    return ev && ev.time ? parseInt(ev.time.split(':')[0], 10) : -1;
+}
+
+/**
+ * Finds the youth class (A-E) in an age group or team name,
+ * e.g. "A-Jugend", "mB-Jgd", "wC", "YouthD" or "U13".
+ * @param {string} text - The text to search.
+ * @returns {string|null} - The class letter, or null for adult teams.
+ */
+function getYouthClass(text) {
+    if (!text) return null;
+
+    const classMatch = text.match(/\b([A-E])[-\s]?(?:Jugend|Jgd)/i)
+        || text.match(/\b[mwg]([A-E])\b/)
+        || text.match(/Youth\s?([A-E])\b/i);
+    if (classMatch) return classMatch[1].toUpperCase();
+
+    const ageMatch = text.match(/\bU\s?(\d{1,2})\b/i);
+    if (ageMatch) {
+        const age = parseInt(ageMatch[1], 10);
+        if (age >= 18) return 'A';
+        if (age >= 16) return 'B';
+        if (age >= 14) return 'C';
+        if (age >= 12) return 'D';
+        return 'E';
+    }
+    return null;
+}
+
+/**
+ * Works out the period length of a game. The halftime whistle in the event list is the most
+ * reliable source, before halftime the age group and team names are used.
+ * @param {object} summary - The `gameData.summary` object.
+ * @param {Array} events - The chronological list of events.
+ * @returns {object} - The game format ({ periodMinutes, overtimeMinutes, source }).
+ */
+function resolveGameFormat(summary, events) {
+    const format = { periodMinutes: DEFAULT_PERIOD_MINUTES, overtimeMinutes: OVERTIME_PERIOD_MINUTES, source: 'default' };
+
+    const halftimeEvent = (events || []).find(ev => ev.type === 'StopPeriod');
+    const halftimeMinute = getEventMinute(halftimeEvent);
+    if (halftimeMinute > 0 && halftimeMinute <= DEFAULT_PERIOD_MINUTES) {
+        format.periodMinutes = halftimeMinute;
+        format.source = 'events';
+        return format;
+    }
+
+    if (summary) {
+        const candidates = [summary.ageGroup, summary.homeTeam && summary.homeTeam.name, summary.awayTeam && summary.awayTeam.name];
+        for (const candidate of candidates) {
+            const youthClass = getYouthClass(candidate);
+            if (youthClass) {
+                format.periodMinutes = YOUTH_PERIOD_MINUTES[youthClass];
+                format.source = 'ageGroup';
+                break;
+            }
+        }
+    }
+    return format;
+}
+
+/**
+ * Estimates the period of an event from its minute. Only used for events that cannot be
+ * placed by counting StartPeriod events (e.g. deleted events).
+ */
+function estimatePeriod(ev, gameFormat) {
+    const minute = getEventMinute(ev);
+    if (minute < 0) return 1;
+
+    const format = gameFormat || { periodMinutes: DEFAULT_PERIOD_MINUTES, overtimeMinutes: OVERTIME_PERIOD_MINUTES };
+    let periodEnd = 0;
+    for (let period = 1; period < SHOOTOUT_PERIOD; period++) {
+        periodEnd += (period <= REGULAR_PERIODS) ? format.periodMinutes : format.overtimeMinutes;
+        if (minute < periodEnd || (minute === periodEnd && ev.type === 'StopPeriod')) return period;
+    }
+    return SHOOTOUT_PERIOD;
+}
+
+/**
+ * Adds the period number to every event by counting the StartPeriod events.
+ * 1-2 regular time, 3-4 first overtime, 5-6 second overtime, 7 the 7-meter shootout.
+ * @param {Array} events - The chronological list of events.
+ * @param {object} gameFormat - The format from resolveGameFormat.
+ * @returns {Array} - Copies of the events with a `period` field.
+ */
+function annotatePeriods(events, gameFormat) {
+    let period = 0;
+    return events.map(ev => {
+        if (ev.type === 'StartPeriod') period++;
+        return { ...ev, period: period || estimatePeriod(ev, gameFormat) };
+    });
+}
+
+/**
+ * Returns the announcement for the start or end of a period.
+ * @param {number} period - The period number.
+ * @param {string} kind - Either 'start' or 'stop'.
+ * @param {string} [language] - The language of the group.
+ */
+function getPeriodLabel(period, kind, language = DEFAULT_LANGUAGE) {
+    const clampedPeriod = Math.min(Math.max(period || 1, 1), SHOOTOUT_PERIOD);
+    return t(language, `periods.${clampedPeriod}.${kind}`);
+}
+
+function isScoreTied(score) {
+    if (!score) return true;
+    const [home, away] = score.replace('-', ':').split(':');
+    return parseInt(home, 10) === parseInt(away, 10);
+}
+
+/**
+ * Checks the game state reported by handball.net.
+ */
+function isFinishedState(summary) {
+    return !!summary && summary.state === 'Post';
+}
+
+/**
+ * Decides whether a StopPeriod ends the game. A period followed by another one never does.
+ * The last period ends the game once handball.net reports it as finished, whatever its number:
+ * a 7-meter shootout right after regular time is counted as period 3. Otherwise a decided
+ * score after regular time or an overtime ends the game (league games can end in a draw).
+ * @param {object} ev - The StopPeriod event (with `period`).
+ * @param {Array} events - The annotated chronological list of events.
+ * @param {object} summary - The `gameData.summary` object.
+ * @returns {boolean} - True if the game is over.
+ */
+function isGameOverAt(ev, events, summary) {
+    if (ev.type !== 'StopPeriod') return false;
+    if (events.some(e => e.type === 'StartPeriod' && e.period > ev.period)) return false;
+    if (ev.period >= SHOOTOUT_PERIOD || isFinishedState(summary)) return true;
+    if (ev.period < REGULAR_PERIODS || ev.period % 2 === 1) return false;
+    return !isScoreTied(ev.score);
+}
+
+module.exports = {
+    SHOOTOUT_PERIOD,
+    REGULAR_PERIODS,
+    getEventMinute,
+    resolveGameFormat,
+    estimatePeriod,
+    annotatePeriods,
+    getPeriodLabel,
+    isScoreTied,
+    isFinishedState,
+    isGameOverAt
+};
@@ -0,0 +1,82 @@
+// i18n.js - Message catalogs and locale-aware formatting
+
+const CATALOGS = {
+    de: require('./locales/de.js'),
+    en: require('./locales/en.js')
+};
+
+// Locale used for dates and times per language
+const LOCALES = {
+    de: 'de-DE',
+    en: 'en-GB'
+};
+
+const DEFAULT_LANGUAGE = 'de';
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && node[part] !== undefined) ? node[part] : undefined, catalog);
+}
+
+/**
+ * Returns the message for a key in the given language, with {placeholders} filled in.
+ * Falls back to German if the key is missing in the language.
+ * @param {string} language - The language code, e.g. 'en'.
+ * @param {string} key - The dotted catalog key, e.g. 'ticker.scheduled'.
+ * @param {object} [params] - Values for the placeholders.
+ * @returns {string} - The message.
+ */
+function t(language, key, params = {}) {
+    let text = lookup(CATALOGS[language] || {}, key);
+    if (text === undefined) text = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+    if (text === undefined) return key;
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * Returns the text of an error for a reply. Errors with a code from the `errors` catalog
+ * (e.g. SCHEDULE_UNAVAILABLE from datasource.js) are translated, all others already carry
+ * a translated message.
+ * @param {string} language - The language code.
+ * @param {Error} error - The error.
+ * @returns {string} - The message.
+ */
+function translateError(language, error) {
+    if (error.code && lookup(CATALOGS[DEFAULT_LANGUAGE], `errors.${error.code}`) !== undefined) {
+        return t(language, `errors.${error.code}`);
+    }
+    return error.message;
+}
+
+/**
+ * Returns the locale for date/time formatting, e.g. 'de-DE'.
+ */
+function getLocale(language) {
+    return LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Formats a date (Date, timestamp or ISO string) in the locale of the language.
+ * @param {string} language - The language code.
+ * @param {Date|number|string} date - The date.
+ * @param {object} options - Options for toLocaleDateString.
+ */
+function formatDate(language, date, options) {
+    return new Date(date).toLocaleDateString(getLocale(language), options);
+}
+
+/**
+ * Formats the time of day (hours and minutes) in the locale of the language.
+ */
+function formatTime(language, date) {
+    return new Date(date).toLocaleTimeString(getLocale(language), { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Formats a number with at most one decimal in the locale of the language, e.g. "4,5".
+ */
+function formatNumber(language, value) {
+    return value.toLocaleString(getLocale(language), { maximumFractionDigits: 1 });
+}
+
+module.exports = { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, t, translateError, getLocale, formatDate, formatTime, formatNumber };
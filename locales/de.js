@@ -0,0 +1,303 @@
+// locales/de.js - German messages (default language)
+//
+// Placeholders like {home} are filled in by t() in i18n.js.
+
+module.exports = {
+    // Labels of the handball.net event types, the emojis live in EVENT_MAP (config.js)
+    events: {
+        StartGame: "Spiel gestartet",
+        StartPeriod: "Spielbeginn",
+        StopPeriod: "Periodenende",
+        Goal: "Tor",
+        SevenMeterGoal: "7-Meter Tor",
+        SevenMeterMissed: "7-Meter Fehlwurf",
+        TwoMinutePenalty: "Zeitstrafe",
+        Warning: "Gelbe Karte",
+        Timeout: "Timeout",
+        Disqualification: "Rote Karte",
+        DisqualificationWithReport: "Blaue Karte",
+        default: "Ereignis"
+    },
+
+    // 1-2 regular time, 3-4 first overtime, 5-6 second overtime, 7 the 7-meter shootout
+    periods: {
+        1: { start: "Das Spiel hat begonnen!", stop: "Halbzeit" },
+        2: { start: "Die zweite Halbzeit hat begonnen!", stop: "Ende der regulären Spielzeit" },
+        3: { start: "Die 1. Verlängerung hat begonnen!", stop: "Halbzeit der 1. Verlängerung" },
+        4: { start: "Die zweite Hälfte der 1. Verlängerung hat begonnen!", stop: "Ende der 1. Verlängerung" },
+        5: { start: "Die 2. Verlängerung hat begonnen!", stop: "Halbzeit der 2. Verlängerung" },
+        6: { start: "Die zweite Hälfte der 2. Verlängerung hat begonnen!", stop: "Ende der 2. Verlängerung" },
+        7: { start: "Das Siebenmeterwerfen hat begonnen!", stop: "Ende des Siebenmeterwerfens" }
+    },
+
+    event: {
+        home: "Heim",
+        guest: "Gast",
+        playerNumber: "Nr. {number}",
+        by: "{label} durch {player}",
+        for: "{label} für {target}",
+        gameEnd: "Spielende"
+    },
+
+    ticker: {
+        invalidUrl: "Fehler: Die URL {url} ist keine gültige Spiel-URL.",
+        schedulingInProgress: "⏳ Ticker-Planung für \"{group}\" wird bearbeitet...",
+        legendTitle: "ℹ️ *Ticker-Legende:*",
+        modeRecap: "im Recap-Modus ({minutes}-Minuten-Zusammenfassungen)",
+        modeLive: "mit Live-Updates",
+        scheduled: "✅ Ticker für *{home}* vs *{guest}* ist geplant ({mode}) und startet automatisch am {date} um ca. {time} Uhr.",
+        startingNow: "▶️ Ticker für *{home}* vs *{guest}* wird sofort gestartet. ",
+        startingNowRecap: "Du erhältst alle {minutes} Minuten eine Zusammenfassung. 📬",
+        startingNowLive: "Du erhältst alle Events live! ⚽",
+        schedulingFailed: "Fehler: Die initiale Planung des Tickers ist fehlgeschlagen. Bitte versuchen Sie es erneut.",
+        recapTitle: "Minute {start} - {end}",
+        correction: "✏️ *Korrektur:*",
+        correctionDeleted: "🗑️ *Korrektur:* Dieses Ereignis wurde gestrichen:",
+        correctedScore: "📊 *Korrigierter Spielstand:* {home} *{score}* {guest}",
+        closingMessage: "Vielen Dank fürs Mitfiebern! 🥳\n\nDen Quellcode für diesen Bot könnt ihr hier einsehen:\nhttps://github.com/nambatu/handball.net-whatsapp-liveticker-bot/"
+    },
+
+    autoschedule: {
+        analyzing: "🤖 Analysiere Team-Spielplan... Dies kann einen Moment dauern.",
+        success: "✅ Auto-Planung erfolgreich! Das nächste Spiel wurde gefunden und geplant:\n\n*{home}* vs *{guest}*\nam {date}\num {time} Uhr.\n\nNach Spielende wird automatisch das nächste Spiel geplant.",
+        noGames: "ℹ️ Es wurden keine zukünftigen Spiele für dieses Team gefunden, die geplant werden können.",
+        nextGame: "🤖 Auto-Schedule: Das nächste Spiel wurde gefunden und geplant:\n\n*{home}* vs *{guest}*\nam {date} um {time} Uhr.",
+        seasonDone: "🤖 Auto-Schedule: Alle Spiele für diese Saison sind abgeschlossen. Die automatische Planung ist beendet.",
+        failed: "🤖 Auto-Schedule: Fehler beim Planen des nächsten Spiels: {error}",
+        noGamesOnTeamPage: "Konnte keine Spiele auf der Team-Seite finden."
+    },
+
+    stats: {
+        title: "📊 *Statistiken zum Spiel:*",
+        topScorer: "Topscorer",
+        sevenMeters: "7-Meter",
+        penalties: "Zeitstrafen",
+        yellowCards: "Gelbe Karten",
+        redCards: "Rote Karten",
+        blueCards: "Blaue Karten",
+        nobody: "Niemand",
+        goal: "{count} Tor",
+        goals: "{count} Tore",
+        sevenMeterRatio: "{made} von {total}"
+    },
+
+    ai: {
+        title: "🤖 *KI-Analyse zum Spiel:*",
+        previewTitle: "🤖 *KI-Vorschau:*",
+        unavailable: "Das KI-Modell ist derzeit überlastet. Zur Zeit ist leider keine Analyse möglich."
+    },
+
+    commands: {
+        onlyGroups: "Fehler: Befehle funktionieren nur in Gruppen.",
+        alreadyActive: "Für dieses Spiel läuft oder ist in dieser Gruppe bereits ein Live-Ticker geplant. Stoppen oder resetten Sie ihn zuerst.",
+        startFailed: "Ein kritischer Fehler ist aufgetreten und der Ticker konnte nicht gestartet werden.",
+        noTicker: "In dieser Gruppe läuft derzeit kein Live-Ticker.",
+        tickerNotFound: "Fehler: Kein Ticker mit \"{selector}\" gefunden. Laufende/geplante Ticker:\n\n{list}\n\nFormat: {usage}",
+        stopUsage: "!stop [Nr.|Spiel-ID]",
+        stoppedOne: "Laufender/geplanter Live-Ticker in dieser Gruppe gestoppt.",
+        stoppedMany: "{count} laufende/geplante Live-Ticker in dieser Gruppe gestoppt.",
+        resetDone: "Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.",
+        startUsage: "Fehler: Bitte geben Sie eine gültige URL an. Format:\n\n!start <URL> [recap] [Kürzel]",
+        autoscheduleExists: "Für dieses Team läuft in dieser Gruppe bereits eine Auto-Planung. Bitte `!stop` oder `!reset` zuerst.",
+        autoscheduleUsage: "Fehler: Bitte geben Sie eine Team-URL an. Format:\n\n!autoschedule <Team-URL> [recap] [Kürzel]",
+        modeFormat: "!mode live|recap [Nr.|Spiel-ID]",
+        modeUsage: "Format: !mode live|recap [Nr.|Spiel-ID]\n\nStellt die laufenden und geplanten Ticker dieser Gruppe auf Live-Updates oder Recap-Zusammenfassungen um.",
+        modeSwitchedOne: "🔁 Der Ticker läuft jetzt {mode}.",
+        modeSwitchedMany: "🔁 {count} Ticker laufen jetzt {mode}.",
+        modeUnchanged: "Der Ticker läuft bereits {mode}.",
+        error: "Ein Fehler ist aufgetreten: {error}"
+    },
+
+    filters: {
+        categories: {
+            goals: "tore",
+            sevenMeters: "7m",
+            penalties: "strafen",
+            timeouts: "timeouts",
+            periods: "spielabschnitte"
+        },
+        team: { both: "beide", own: "eigenes", opponent: "gegner" },
+        importance: { 1: "niedrig (alle)", 2: "mittel", 3: "hoch" },
+        allTypes: "alle",
+        ownTeamAuto: "automatisch (nur bei !autoschedule)",
+        overview: "🔎 *Filter dieser Gruppe*\n\n• Typen: *{types}*\n• Team: *{team}*\n• Mindest-Wichtigkeit: *{importance}*\n• Eigenes Team: *{ownTeam}*\n\nÄndern mit:\n!filter typen tore,7m,strafen,timeouts,spielabschnitte|alle\n!filter team eigenes|gegner|beide\n!filter wichtigkeit niedrig|mittel|hoch\n!filter eigenesteam <Teamname>\n!filter reset\n\nDas Spielende mit Endstand wird immer gesendet.",
+        saved: "✅ Filter gespeichert.",
+        resetDone: "Der Filter dieser Gruppe wurde zurückgesetzt, es werden wieder alle Ereignisse gesendet.",
+        unknownType: "Unbekannter Typ \"{type}\". Verfügbar: {available}",
+        invalidTeam: "Team kann nur \"eigenes\", \"gegner\" oder \"beide\" sein.",
+        invalidImportance: "Wichtigkeit kann nur \"niedrig\", \"mittel\" oder \"hoch\" sein.",
+        usage: "Format: !filter [typen|team|wichtigkeit|eigenesteam|reset] <Wert>",
+        ownTeamUnknown: "⚠️ Bei {games} ist das eigene Team nicht bekannt, dort werden die Ereignisse beider Teams gesendet. Lege es mit !filter eigenesteam <Teamname> fest.",
+        error: "Fehler: {error}"
+    },
+
+    status: {
+        title: "📋 *Ticker-Status*",
+        noTickers: "⚪ In dieser Gruppe ist derzeit kein Ticker aktiv oder geplant.",
+        state: "Status: {state} ({mode})",
+        states: { polling: "🟢 läuft", scheduling: "⏳ wird geplant", scheduled: "⏰ geplant" },
+        modes: { live: "Live-Modus", recap: "Recap-Modus" },
+        startsAt: "Anpfiff: {dateTime}",
+        tickerStartsAt: "Ticker startet: {dateTime}",
+        score: "Spielstand: {score}",
+        scoreWithTime: "Spielstand: {score} (Spielzeit {time})",
+        autoSchedule: "Auto-Schedule: {url}",
+        nextGame: "Nächstes Spiel: {game}",
+        nextGameIsThis: "dieses Spiel",
+        noNextGame: "keins, die Saison ist beendet",
+        unknown: "unbekannt",
+        dateTime: "{date} um {time} Uhr"
+    },
+
+    fixtures: {
+        title: "📅 *Spielplan*",
+        line: "{number}. {date}, {time} Uhr: *{home}* vs *{guest}*{marker}",
+        more: "… und {count} weitere Spiele",
+        footer: "🟢 läuft, ⏰ geplant, ⏭️ übersprungen\nMit !skip <Nr.> wird ein Spiel bei der Auto-Planung übersprungen, mit !unskip <Nr.> wieder aufgenommen.",
+        game: "*{home}* vs *{guest}* ({date}, {time} Uhr)",
+        noChain: "In dieser Gruppe läuft keine Auto-Planung. Starte sie mit !autoschedule <Team-URL> oder zeige einen Spielplan mit !spielplan <Team-URL>.",
+        noFixtures: "Keine anstehenden Spiele gefunden.",
+        invalidNumber: "Bitte eine Spielnummer aus !spielplan angeben (1-{max}).",
+        alreadySkipped: "Dieses Spiel wird bereits übersprungen.",
+        notSkipped: "Dieses Spiel wird nicht übersprungen.",
+        alreadyRunning: "Dieses Spiel läuft bereits. Der Ticker kann mit !stop beendet werden.",
+        skipped: "⏭️ {game} wird übersprungen.",
+        unskipped: "✅ {game} wird wieder automatisch geplant.",
+        nextPlanned: "Als nächstes Spiel ist jetzt {game} geplant.",
+        chainEnded: "Es gibt kein weiteres Spiel mehr, die Auto-Planung ist beendet.",
+        skipUsage: "Format: !skip <Nr.> bzw. !unskip <Nr.> (Nummer aus !spielplan)",
+        error: "Fehler: {error}"
+    },
+
+    calendar: {
+        summary: "🤾 {home} - {guest}",
+        result: "Endstand: {score}",
+        link: "Spiel auf handball.net: {url}",
+        caption: "📅 Spielplan von *{team}* ({count} Spiele) zum Importieren in den Kalender. Wer die Datei nach Änderungen erneut importiert, bekommt die vorhandenen Termine aktualisiert statt doppelt.",
+        defaultName: "Spielplan",
+        noTeam: "Für diese Gruppe ist keine Mannschaft bekannt. Erstelle einen Kalender mit !kalender <Team-URL>.",
+        invalidUrl: "Das ist keine gültige Team-URL von handball.net.",
+        noGames: "Im Spielplan dieses Teams wurden keine Spiele gefunden.",
+        fetchFailed: "Der Spielplan konnte nicht von handball.net abgerufen werden.",
+        error: "Fehler: {error}"
+    },
+
+    preview: {
+        title: "🔜 *Vorschau: {home} vs {guest}*",
+        dateTime: "📅 {date}, {time} Uhr",
+        venue: "📍 {venue}",
+        team: "*{team}*{rank}",
+        rank: " (Platz {rank})",
+        form: "Form: {icons} (zuletzt {score} gegen {opponent})",
+        noResults: "Noch keine Ergebnisse in dieser Saison.",
+        headToHead: "⚔️ *Bisherige Duelle:*",
+        headToHeadLine: "{date}: {home} {score} {guest}",
+        resultAgainst: "{score} gegen {opponent}",
+        unknown: "unbekannt"
+    },
+
+    scoreCard: {
+        finalScore: "Endstand",
+        halftime: "Halbzeit {score}",
+        topScorer: "Beste Torschützen",
+        progression: "Spielverlauf",
+        minute: "{minute}'",
+        overtime: "nach Verlängerung",
+        doubleOvertime: "nach 2. Verlängerung",
+        shootout: "nach Siebenmeterwerfen"
+    },
+
+    standings: {
+        title: "📊 *Tabelle*",
+        line: "{rank}. {team}{change} · {games} Sp. · {goals} · {points} Pkt.",
+        ownLine: "👉 *{rank}. {team}*{change} · {games} Sp. · {goals} · *{points} Pkt.*",
+        up: " ⬆️{count}",
+        down: " ⬇️{count}",
+        footer: "⬆️/⬇️ = Plätze gewonnen/verloren seit dem letzten Spieltag",
+        noTeam: "Für diese Gruppe ist keine Mannschaft bekannt. Zeige eine Tabelle mit !tabelle <Team-URL>.",
+        invalidUrl: "Das ist keine gültige Team-URL von handball.net.",
+        notFound: "Für diese Mannschaft wurde keine Tabelle gefunden.",
+        fetchFailed: "Die Tabelle konnte nicht von handball.net abgerufen werden.",
+        error: "Fehler: {error}"
+    },
+
+    seasonStats: {
+        scorersTitle: "🏆 *Torschützenliste {team}* (Saison {season})",
+        statsTitle: "📈 *Saisonstatistik {team}* (Saison {season})",
+        reviewTitle: "🏁 *Saisonrückblick {team}* (Saison {season})",
+        teamSummary: "{games} Spiele: {wins} S, {draws} U, {losses} N · Tore {goalsFor}:{goalsAgainst} (Ø {averageFor}:{averageAgainst})",
+        scorerLine: "{rank}. {name}: *{goals}* (Ø {average} in {games} Sp.){sevenMeters}",
+        sevenMeters: ", 7m {made}/{total}",
+        playerLine: "• *{name}* ({games} Sp.): {goals}, Ø {average} · 7m {sevenMeterGoals}/{sevenMeterAttempts} · {penalties}× 2 Min.{cards}",
+        noGoals: "Noch keine Tore gezählt.",
+        reviewTopScorers: "🥇 *Beste Torschützen:*",
+        reviewSevenMeters: "🎯 7-Meter: {made} von {total} verwandelt",
+        reviewPenalties: "✌🏼 Meiste Zeitstrafen: {name} ({count})",
+        reviewFooter: "Alle Spielerwerte gibt es mit !saisonstats.",
+        noData: "Für diese Gruppe gibt es noch keine Saisonstatistik. Sie wird nach jedem Spiel der eigenen Mannschaft geführt (aus !autoschedule oder !filter eigenesteam).",
+        error: "Fehler: {error}"
+    },
+
+    webhooks: {
+        list: "🔗 *Webhooks dieser Gruppe*",
+        listEmpty: "🔗 Für diese Gruppe sind keine Webhooks eingerichtet.",
+        scopeAll: "alle Ticker der Gruppe",
+        scopeGame: "nur Spiel {gameId}",
+        usage: "Einrichten mit:\n!webhook add <URL> [Nr.|Spiel-ID|Spiel-URL]\n!webhook remove <Nr.|URL>\n\nJedes Ereignis, Anpfiff, Halbzeit, Spielende, Korrekturen und die Spielstatistik werden als JSON an die URL gesendet.",
+        added: "✅ Webhook für {scope} eingerichtet:\n{url}\n\nDie Anfragen werden mit einem eigenen Schlüssel signiert (Header X-Ticker-Signature). Den Schlüssel gibt der Betreiber des Bots über die Admin-API heraus.",
+        removed: "🗑️ Webhook {url} entfernt.",
+        exists: "Dieser Webhook ist bereits eingerichtet.",
+        invalidUrl: "Das ist keine gültige http(s)-URL.",
+        privateUrl: "Webhooks dürfen nur auf öffentlich erreichbare Adressen zeigen, nicht auf localhost oder private Netze.",
+        unresolvableUrl: "Die Adresse der URL konnte nicht aufgelöst werden.",
+        notFound: "Kein Webhook \"{selector}\" gefunden. Die Liste zeigt !webhook.",
+        unknownTicker: "Kein Ticker \"{selector}\" in dieser Gruppe gefunden. Verwende die Nummer aus !status, die Spiel-ID oder die Spiel-URL.",
+        error: "Fehler: {error}"
+    },
+
+    permissions: {
+        denied: "⛔ Diesen Befehl dürfen nur Gruppen-Admins und freigegebene Mitglieder verwenden.",
+        list: "🔐 *Freigegebene Mitglieder*\n\n{users}\n\nGruppen-Admins dürfen immer alle Befehle verwenden.",
+        listEmpty: "🔐 Es sind keine Mitglieder freigegeben. Nur Gruppen-Admins dürfen die Ticker steuern.",
+        usage: "Freigeben mit !erlauben <Nutzer>, entziehen mit !entziehen <Nutzer>.\nNutzer: WhatsApp-Nummer mit Ländervorwahl (z.B. +491701234567) oder @Erwähnung, Telegram-Nutzer-ID oder Matrix-ID (@name:server).",
+        invalidUser: "Fehler: \"{user}\" ist kein gültiger Nutzer.",
+        allowed: "✅ {user} darf jetzt die Ticker dieser Gruppe steuern.",
+        alreadyAllowed: "{user} ist bereits freigegeben.",
+        revoked: "{user} ist nicht mehr freigegeben.",
+        notAllowed: "{user} war nicht freigegeben."
+    },
+
+    settings: {
+        labels: {
+            recapIntervalMinutes: "Recap-Intervall (Minuten)",
+            preGameStartMinutes: "Start vor Anpfiff (Minuten)",
+            previewMinutes: "Vorschau vor Anpfiff (Minuten, 0 = aus)",
+            aiPreview: "KI-Vorschau",
+            aiSummary: "KI-Zusammenfassung",
+            stats: "Statistiken nach Spielende",
+            scoreCard: "Ergebnis-Grafik nach Spielende",
+            table: "Tabelle nach Spielende",
+            closingMessage: "Abschlussnachricht",
+            language: "Sprache"
+        },
+        on: "an",
+        off: "aus",
+        defaultText: "Standard",
+        title: "⚙️ *Einstellungen dieser Gruppe*",
+        help: "Ändern mit: !config <Name> <Wert>\nz.B. !config recap 10, !config ki aus, !config abschluss <Text>, !config sprache en\nZurücksetzen mit: !config reset",
+        saved: "✅ Gespeichert: {name} = *{value}*",
+        savedForNewGames: "Gilt für alle Spiele, die ab jetzt geplant werden.",
+        resetDone: "Die Einstellungen dieser Gruppe wurden auf die Standardwerte zurückgesetzt. Der !filter bleibt erhalten.",
+        unknown: "Unbekannte Einstellung \"{name}\". Verfügbar: {available}",
+        invalidNumber: "{label} muss eine Zahl von {min} bis {max} sein.",
+        invalidBoolean: "{label} kann nur \"an\" oder \"aus\" sein.",
+        invalidChoice: "{label} muss einer dieser Werte sein: {options}",
+        missingText: "Bitte einen Text, \"an\" oder \"aus\" für {label} angeben.",
+        error: "Fehler: {error}"
+    },
+
+    // Errors thrown with a code instead of a message, see translateError
+    errors: {
+        SCHEDULE_UNAVAILABLE: "Spielplan-Daten konnten nicht abgerufen werden."
+    }
+};
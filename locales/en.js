@@ -0,0 +1,301 @@
+// locales/en.js - English messages
+//
+// Keys missing here fall back to the German catalog (locales/de.js).
+
+module.exports = {
+    events: {
+        StartGame: "Game started",
+        StartPeriod: "Throw-off",
+        StopPeriod: "End of period",
+        Goal: "Goal",
+        SevenMeterGoal: "7-meter goal",
+        SevenMeterMissed: "7-meter miss",
+        TwoMinutePenalty: "2-minute suspension",
+        Warning: "Yellow card",
+        Timeout: "Timeout",
+        Disqualification: "Red card",
+        DisqualificationWithReport: "Blue card",
+        default: "Event"
+    },
+
+    periods: {
+        1: { start: "The game has started!", stop: "Halftime" },
+        2: { start: "The second half has started!", stop: "End of regular time" },
+        3: { start: "The 1st overtime has started!", stop: "Halftime of the 1st overtime" },
+        4: { start: "The second half of the 1st overtime has started!", stop: "End of the 1st overtime" },
+        5: { start: "The 2nd overtime has started!", stop: "Halftime of the 2nd overtime" },
+        6: { start: "The second half of the 2nd overtime has started!", stop: "End of the 2nd overtime" },
+        7: { start: "The 7-meter shootout has started!", stop: "End of the 7-meter shootout" }
+    },
+
+    event: {
+        home: "Home",
+        guest: "Away",
+        playerNumber: "No. {number}",
+        by: "{label} by {player}",
+        for: "{label} for {target}",
+        gameEnd: "Full time"
+    },
+
+    ticker: {
+        invalidUrl: "Error: The URL {url} is not a valid game URL.",
+        schedulingInProgress: "⏳ Setting up the ticker for \"{group}\"...",
+        legendTitle: "ℹ️ *Ticker legend:*",
+        modeRecap: "in recap mode ({minutes}-minute summaries)",
+        modeLive: "with live updates",
+        scheduled: "✅ Ticker for *{home}* vs *{guest}* is scheduled ({mode}) and starts automatically on {date} at around {time}.",
+        startingNow: "▶️ Ticker for *{home}* vs *{guest}* is starting right away. ",
+        startingNowRecap: "You will get a summary every {minutes} minutes. 📬",
+        startingNowLive: "You will get every event live! ⚽",
+        schedulingFailed: "Error: The ticker could not be set up. Please try again.",
+        recapTitle: "Minute {start} - {end}",
+        correction: "✏️ *Correction:*",
+        correctionDeleted: "🗑️ *Correction:* This event was removed:",
+        correctedScore: "📊 *Corrected score:* {home} *{score}* {guest}",
+        closingMessage: "Thanks for following along! 🥳\n\nThe source code of this bot is available here:\nhttps://github.com/nambatu/handball.net-whatsapp-liveticker-bot/"
+    },
+
+    autoschedule: {
+        analyzing: "🤖 Analysing the team schedule... This may take a moment.",
+        success: "✅ Auto-scheduling active! The next game was found and scheduled:\n\n*{home}* vs *{guest}*\non {date}\nat {time}.\n\nAfter the final whistle the next game is scheduled automatically.",
+        noGames: "ℹ️ No upcoming games were found for this team.",
+        nextGame: "🤖 Auto-schedule: The next game was found and scheduled:\n\n*{home}* vs *{guest}*\non {date} at {time}.",
+        seasonDone: "🤖 Auto-schedule: All games of this season are done. Auto-scheduling has ended.",
+        failed: "🤖 Auto-schedule: Error while scheduling the next game: {error}",
+        noGamesOnTeamPage: "No games were found on the team page."
+    },
+
+    stats: {
+        title: "📊 *Game statistics:*",
+        topScorer: "Top scorer",
+        sevenMeters: "7-meters",
+        penalties: "2-minute suspensions",
+        yellowCards: "Yellow cards",
+        redCards: "Red cards",
+        blueCards: "Blue cards",
+        nobody: "Nobody",
+        goal: "{count} goal",
+        goals: "{count} goals",
+        sevenMeterRatio: "{made} of {total}"
+    },
+
+    ai: {
+        title: "🤖 *AI game analysis:*",
+        previewTitle: "🤖 *AI preview:*",
+        unavailable: "The AI model is currently overloaded. No analysis is available right now."
+    },
+
+    commands: {
+        onlyGroups: "Error: Commands only work in groups.",
+        alreadyActive: "A ticker for this game is already running or scheduled in this group. Stop or reset it first.",
+        startFailed: "A critical error occurred and the ticker could not be started.",
+        noTicker: "There is no ticker running in this group.",
+        tickerNotFound: "Error: No ticker \"{selector}\" found. Running/scheduled tickers:\n\n{list}\n\nFormat: {usage}",
+        stopUsage: "!stop [No.|game ID]",
+        stoppedOne: "Running/scheduled ticker in this group stopped.",
+        stoppedMany: "{count} running/scheduled tickers in this group stopped.",
+        resetDone: "All ticker data of this group has been reset.",
+        startUsage: "Error: Please provide a valid URL. Format:\n\n!start <URL> [recap] [tag]",
+        autoscheduleExists: "Auto-scheduling for this team is already active in this group. Please use `!stop` or `!reset` first.",
+        autoscheduleUsage: "Error: Please provide a team URL. Format:\n\n!autoschedule <team URL> [recap] [tag]",
+        modeFormat: "!mode live|recap [No.|game ID]",
+        modeUsage: "Format: !mode live|recap [No.|game ID]\n\nSwitches the running and scheduled tickers of this group to live updates or recap summaries.",
+        modeSwitchedOne: "🔁 The ticker now runs {mode}.",
+        modeSwitchedMany: "🔁 {count} tickers now run {mode}.",
+        modeUnchanged: "The ticker already runs {mode}.",
+        error: "An error occurred: {error}"
+    },
+
+    filters: {
+        categories: {
+            goals: "goals",
+            sevenMeters: "7m",
+            penalties: "penalties",
+            timeouts: "timeouts",
+            periods: "periods"
+        },
+        team: { both: "both", own: "own", opponent: "opponent" },
+        importance: { 1: "low (all)", 2: "medium", 3: "high" },
+        allTypes: "all",
+        ownTeamAuto: "automatic (only with !autoschedule)",
+        overview: "🔎 *Filter of this group*\n\n• Types: *{types}*\n• Team: *{team}*\n• Minimum importance: *{importance}*\n• Own team: *{ownTeam}*\n\nChange with:\n!filter types goals,7m,penalties,timeouts,periods|all\n!filter team own|opponent|both\n!filter importance low|medium|high\n!filter ownteam <team name>\n!filter reset\n\nThe end of the game with the final score is always posted.",
+        saved: "✅ Filter saved.",
+        resetDone: "The filter of this group was reset, all events are posted again.",
+        unknownType: "Unknown type \"{type}\". Available: {available}",
+        invalidTeam: "Team can only be \"own\", \"opponent\" or \"both\".",
+        invalidImportance: "Importance can only be \"low\", \"medium\" or \"high\".",
+        usage: "Format: !filter [types|team|importance|ownteam|reset] <value>",
+        ownTeamUnknown: "⚠️ The own team is not known for {games}, the events of both teams are posted there. Set it with !filter ownteam <team name>.",
+        error: "Error: {error}"
+    },
+
+    status: {
+        title: "📋 *Ticker status*",
+        noTickers: "⚪ There is no ticker running or scheduled in this group.",
+        state: "State: {state} ({mode})",
+        states: { polling: "🟢 running", scheduling: "⏳ being scheduled", scheduled: "⏰ scheduled" },
+        modes: { live: "live mode", recap: "recap mode" },
+        startsAt: "Throw-off: {dateTime}",
+        tickerStartsAt: "Ticker starts: {dateTime}",
+        score: "Score: {score}",
+        scoreWithTime: "Score: {score} (game clock {time})",
+        autoSchedule: "Auto-schedule: {url}",
+        nextGame: "Next game: {game}",
+        nextGameIsThis: "this game",
+        noNextGame: "none, the season is over",
+        unknown: "unknown",
+        dateTime: "{date} at {time}"
+    },
+
+    fixtures: {
+        title: "📅 *Fixtures*",
+        line: "{number}. {date}, {time}: *{home}* vs *{guest}*{marker}",
+        more: "… and {count} more games",
+        footer: "🟢 running, ⏰ scheduled, ⏭️ skipped\nUse !skip <no.> to leave a game out of the auto-schedule and !unskip <no.> to take it back.",
+        game: "*{home}* vs *{guest}* ({date}, {time})",
+        noChain: "There is no auto-schedule in this group. Start one with !autoschedule <team URL> or show fixtures with !spielplan <team URL>.",
+        noFixtures: "No upcoming games found.",
+        invalidNumber: "Please give a game number from !spielplan (1-{max}).",
+        alreadySkipped: "This game is already skipped.",
+        notSkipped: "This game is not skipped.",
+        alreadyRunning: "This game is already running. Use !stop to end the ticker.",
+        skipped: "⏭️ {game} will be skipped.",
+        unskipped: "✅ {game} will be scheduled automatically again.",
+        nextPlanned: "The next scheduled game is now {game}.",
+        chainEnded: "There are no more games, the auto-schedule has ended.",
+        skipUsage: "Format: !skip <no.> or !unskip <no.> (number from !spielplan)",
+        error: "Error: {error}"
+    },
+
+    calendar: {
+        summary: "🤾 {home} - {guest}",
+        result: "Final score: {score}",
+        link: "Game on handball.net: {url}",
+        caption: "📅 Fixtures of *{team}* ({count} games) to import into your calendar. Importing the file again after changes updates the existing entries instead of adding them twice.",
+        defaultName: "Fixtures",
+        noTeam: "No team is known for this group. Create a calendar with !calendar <team URL>.",
+        invalidUrl: "This is not a valid handball.net team URL.",
+        noGames: "No games were found in this team's schedule.",
+        fetchFailed: "The schedule could not be fetched from handball.net.",
+        error: "Error: {error}"
+    },
+
+    preview: {
+        title: "🔜 *Preview: {home} vs {guest}*",
+        dateTime: "📅 {date}, {time}",
+        venue: "📍 {venue}",
+        team: "*{team}*{rank}",
+        rank: " (position {rank})",
+        form: "Form: {icons} (last {score} against {opponent})",
+        noResults: "No results this season yet.",
+        headToHead: "⚔️ *Earlier meetings:*",
+        headToHeadLine: "{date}: {home} {score} {guest}",
+        resultAgainst: "{score} against {opponent}",
+        unknown: "unknown"
+    },
+
+    scoreCard: {
+        finalScore: "Final score",
+        halftime: "Halftime {score}",
+        topScorer: "Top scorers",
+        progression: "Score progression",
+        minute: "{minute}'",
+        overtime: "after overtime",
+        doubleOvertime: "after double overtime",
+        shootout: "after penalty shootout"
+    },
+
+    standings: {
+        title: "📊 *Table*",
+        line: "{rank}. {team}{change} · {games} GP · {goals} · {points} pts",
+        ownLine: "👉 *{rank}. {team}*{change} · {games} GP · {goals} · *{points} pts*",
+        up: " ⬆️{count}",
+        down: " ⬇️{count}",
+        footer: "⬆️/⬇️ = places gained/lost since the last matchday",
+        noTeam: "No team is known for this group. Show a table with !table <team URL>.",
+        invalidUrl: "This is not a valid handball.net team URL.",
+        notFound: "No table was found for this team.",
+        fetchFailed: "The table could not be fetched from handball.net.",
+        error: "Error: {error}"
+    },
+
+    seasonStats: {
+        scorersTitle: "🏆 *Top scorers {team}* (season {season})",
+        statsTitle: "📈 *Season statistics {team}* (season {season})",
+        reviewTitle: "🏁 *Season review {team}* (season {season})",
+        teamSummary: "{games} games: {wins} W, {draws} D, {losses} L · goals {goalsFor}:{goalsAgainst} (avg. {averageFor}:{averageAgainst})",
+        scorerLine: "{rank}. {name}: *{goals}* (avg. {average} in {games} GP){sevenMeters}",
+        sevenMeters: ", 7m {made}/{total}",
+        playerLine: "• *{name}* ({games} GP): {goals}, avg. {average} · 7m {sevenMeterGoals}/{sevenMeterAttempts} · {penalties}× 2 min{cards}",
+        noGoals: "No goals counted yet.",
+        reviewTopScorers: "🥇 *Top scorers:*",
+        reviewSevenMeters: "🎯 7-meters: {made} of {total} scored",
+        reviewPenalties: "✌🏼 Most suspensions: {name} ({count})",
+        reviewFooter: "All player values with !saisonstats.",
+        noData: "There are no season statistics for this group yet. They are kept after every game of your own team (from !autoschedule or !filter ownteam).",
+        error: "Error: {error}"
+    },
+
+    webhooks: {
+        list: "🔗 *Webhooks of this group*",
+        listEmpty: "🔗 No webhooks are set up for this group.",
+        scopeAll: "all tickers of the group",
+        scopeGame: "game {gameId} only",
+        usage: "Set up with:\n!webhook add <URL> [no.|game ID|game URL]\n!webhook remove <no.|URL>\n\nEvery event, throw-off, halftime, the final whistle, corrections and the game stats are sent to the URL as JSON.",
+        added: "✅ Webhook for {scope} set up:\n{url}\n\nThe requests are signed with a key of their own (header X-Ticker-Signature). The operator of the bot hands out the key through the admin API.",
+        removed: "🗑️ Webhook {url} removed.",
+        exists: "This webhook is already set up.",
+        invalidUrl: "This is not a valid http(s) URL.",
+        privateUrl: "Webhooks may only point to public addresses, not to localhost or private networks.",
+        unresolvableUrl: "The address of the URL could not be resolved.",
+        notFound: "No webhook \"{selector}\" found. !webhook shows the list.",
+        unknownTicker: "No ticker \"{selector}\" found in this group. Use the number from !status, the game ID or the game URL.",
+        error: "Error: {error}"
+    },
+
+    permissions: {
+        denied: "⛔ Only group admins and allowed members may use this command.",
+        list: "🔐 *Allowed members*\n\n{users}\n\nGroup admins may always use every command.",
+        listEmpty: "🔐 No members are allowed. Only group admins may control the tickers.",
+        usage: "Allow a member with !allow <user>, revoke with !revoke <user>.\nUser: WhatsApp number with country code (e.g. +491701234567) or @mention, Telegram user ID or Matrix ID (@name:server).",
+        invalidUser: "Error: \"{user}\" is not a valid user.",
+        allowed: "✅ {user} may now control the tickers of this group.",
+        alreadyAllowed: "{user} is already allowed.",
+        revoked: "{user} is no longer allowed.",
+        notAllowed: "{user} was not allowed."
+    },
+
+    settings: {
+        labels: {
+            recapIntervalMinutes: "Recap interval (minutes)",
+            preGameStartMinutes: "Start before throw-off (minutes)",
+            previewMinutes: "Preview before throw-off (minutes, 0 = off)",
+            aiPreview: "AI preview",
+            aiSummary: "AI summary",
+            stats: "Statistics after the game",
+            scoreCard: "Score card after the game",
+            table: "Table after the game",
+            closingMessage: "Closing message",
+            language: "Language"
+        },
+        on: "on",
+        off: "off",
+        defaultText: "default",
+        title: "⚙️ *Settings of this group*",
+        help: "Change with: !config <name> <value>\ne.g. !config recap 10, !config ai off, !config closing <text>, !config language de\nReset with: !config reset",
+        saved: "✅ Saved: {name} = *{value}*",
+        savedForNewGames: "Applies to all games scheduled from now on.",
+        resetDone: "The settings of this group were reset to the defaults. The !filter is kept.",
+        unknown: "Unknown setting \"{name}\". Available: {available}",
+        invalidNumber: "{label} must be a number from {min} to {max}.",
+        invalidBoolean: "{label} can only be \"on\" or \"off\".",
+        invalidChoice: "{label} must be one of: {options}",
+        missingText: "Please give a text, \"on\" or \"off\" for {label}.",
+        error: "Error: {error}"
+    },
+
+    // Errors thrown with a code instead of a message, see translateError
+    errors: {
+        SCHEDULE_UNAVAILABLE: "The schedule could not be loaded."
+    }
+};
@@ -0,0 +1,239 @@
+// metrics.js - Health check and Prometheus metrics (optional)
+//
+// Enabled with METRICS_PORT in .env. The server listens on localhost only (METRICS_HOST changes
+// that) and needs no token, so monitoring tools can reach it without setup:
+//
+//   GET /health    200 if every transport is connected and the poller keeps working, 503 otherwise
+//   GET /metrics   Counters and gauges in the Prometheus text format
+//
+// The other modules only report what happened (recordPoll, recordAiRequest, ...), the state of
+// the tickers and the job queue is read when the metrics are requested.
+
+const http = require('http');
+const { getStateKey } = require('./utils.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const STALE_POLL_MINUTES = 5; // A polled game without a successful poll for this long makes /health fail
+const TICKER_STATES = ['polling', 'scheduling', 'scheduled', 'idle'];
+
+const startedAt = Date.now();
+const transportStates = new Map(); // transport name -> { ready, since }
+const gamePollStats = new Map(); // gameId -> { polls, errors, durationSum, lastDuration, firstPollAt, lastSuccessAt }
+const messageCounts = new Map(); // "transport|kind|result" -> count
+const aiRequestCounts = new Map(); // "kind|result" -> count
+const webhookCounts = new Map(); // result -> count
+let lastPollFinishedAt = null;
+
+function increment(counts, key) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+// --- RECORDING ---
+
+/**
+ * Records one poll of a game.
+ * @param {string} gameId - The handball.net game ID.
+ * @param {number} durationMs - How long the request took.
+ * @param {boolean} isSuccess - False if the request failed.
+ */
+function recordPoll(gameId, durationMs, isSuccess) {
+    const now = Date.now();
+    const stats = gamePollStats.get(gameId) || { polls: 0, errors: 0, durationSum: 0, lastDuration: 0, firstPollAt: now, lastSuccessAt: null };
+    stats.polls++;
+    stats.durationSum += durationMs / 1000;
+    stats.lastDuration = durationMs / 1000;
+    if (isSuccess) stats.lastSuccessAt = now;
+    else stats.errors++;
+    gamePollStats.set(gameId, stats);
+    lastPollFinishedAt = now;
+}
+
+/**
+ * Drops the poll statistics of a game nobody follows anymore.
+ */
+function forgetGame(gameId) {
+    gamePollStats.delete(gameId);
+}
+
+/**
+ * Records a request to the AI model.
+ * @param {string} kind - What was generated, 'summary' or 'preview'.
+ * @param {string} result - 'success', 'fallback' (the second model answered) or 'failed'.
+ */
+function recordAiRequest(kind, result) {
+    increment(aiRequestCounts, `${kind}|${result}`);
+}
+
+/**
+ * Records a webhook delivery attempt.
+ * @param {string} result - 'sent', 'retried' (failed, tried again later) or 'dropped' (given up).
+ */
+function recordWebhookDelivery(result) {
+    increment(webhookCounts, result);
+}
+
+/**
+ * Follows the connection state of the transports and counts the messages sent through them.
+ * @param {EventEmitter} transport - The transport from transports/index.js (a single one or the router).
+ */
+function watchTransport(transport) {
+    for (const single of transport.transports || [transport]) {
+        transportStates.set(single.name, { ready: false, since: Date.now() });
+        single.on('ready', () => transportStates.set(single.name, { ready: true, since: Date.now() }));
+        single.on('disconnected', () => transportStates.set(single.name, { ready: false, since: Date.now() }));
+
+        for (const [method, kind] of [['sendMessage', 'text'], ['sendImage', 'image'], ['sendDocument', 'document']]) {
+            const send = single[method];
+            if (!send) continue;
+            single[method] = async (...args) => {
+                try {
+                    const result = await send(...args);
+                    increment(messageCounts, `${single.name}|${kind}|sent`);
+                    return result;
+                } catch (error) {
+                    increment(messageCounts, `${single.name}|${kind}|failed`);
+                    throw error;
+                }
+            };
+        }
+    }
+}
+
+// --- HEALTH ---
+
+function countTickers(activeTickers) {
+    const counts = Object.fromEntries(TICKER_STATES.map(state => [state, 0]));
+    for (const tickerState of activeTickers.values()) counts[getStateKey(tickerState)]++;
+    return counts;
+}
+
+/**
+ * Checks the transports and the poller.
+ * @returns {object} - { healthy, problems, ... } for the /health reply.
+ */
+function getHealth(activeTickers, jobQueue, getActiveWorkers) {
+    const now = Date.now();
+    const staleMs = STALE_POLL_MINUTES * 60000;
+    const problems = [];
+
+    const transports = {};
+    for (const [name, state] of transportStates) {
+        transports[name] = state.ready ? 'ready' : 'disconnected';
+        if (!state.ready) problems.push(`Transport ${name} ist nicht verbunden.`);
+    }
+
+    const polledGameIds = new Set(Array.from(activeTickers.values()).filter(t => t.isPolling).map(t => t.gameId));
+    const staleGames = [...polledGameIds].filter(gameId => {
+        const stats = gamePollStats.get(gameId);
+        return stats && now - (stats.lastSuccessAt || stats.firstPollAt) > staleMs;
+    });
+    if (staleGames.length > 0) problems.push(`Seit ${STALE_POLL_MINUTES} Minuten keine Daten für: ${staleGames.join(', ')}.`);
+    if (polledGameIds.size > 0 && now - (lastPollFinishedAt || startedAt) > staleMs) {
+        problems.push(`Seit ${STALE_POLL_MINUTES} Minuten wurde kein Spiel abgefragt.`);
+    }
+
+    return {
+        healthy: problems.length === 0,
+        problems,
+        uptimeSeconds: Math.round((now - startedAt) / 1000),
+        transports,
+        tickers: countTickers(activeTickers),
+        jobQueue: jobQueue.length,
+        activeWorkers: getActiveWorkers(),
+        lastPollAt: lastPollFinishedAt ? new Date(lastPollFinishedAt).toISOString() : null
+    };
+}
+
+// --- PROMETHEUS FORMAT ---
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatSample(name, labels, value) {
+    const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+    return `${name}${labelText ? `{${labelText}}` : ''} ${value}`;
+}
+
+function formatMetric(name, type, help, samples) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples.map(([labels, value]) => formatSample(name, labels, value))].join('\n');
+}
+
+function formatMetrics(activeTickers, jobQueue, getActiveWorkers) {
+    const tickerCounts = countTickers(activeTickers);
+    const games = [...gamePollStats.entries()];
+    const splitKey = (counts, labelNames) => [...counts.entries()].map(([key, count]) =>
+        [Object.fromEntries(key.split('|').map((value, index) => [labelNames[index], value])), count]);
+
+    return [
+        formatMetric('liveticker_uptime_seconds', 'gauge', 'Seconds since the bot was started.',
+            [[{}, Math.round((Date.now() - startedAt) / 1000)]]),
+        formatMetric('liveticker_transport_ready', 'gauge', '1 if the transport (e.g. the WhatsApp client) is connected.',
+            [...transportStates].map(([name, state]) => [{ transport: name }, state.ready ? 1 : 0])),
+        formatMetric('liveticker_transport_state_since_seconds', 'gauge', 'Unix time of the last connect or disconnect of the transport.',
+            [...transportStates].map(([name, state]) => [{ transport: name }, Math.round(state.since / 1000)])),
+        formatMetric('liveticker_active_tickers', 'gauge', 'Tickers known to the bot.',
+            [[{}, activeTickers.size]]),
+        formatMetric('liveticker_tickers', 'gauge', 'Tickers per state.',
+            TICKER_STATES.map(state => [{ state }, tickerCounts[state]])),
+        formatMetric('liveticker_job_queue_length', 'gauge', 'Jobs waiting for a worker.',
+            [[{}, jobQueue.length]]),
+        formatMetric('liveticker_active_workers', 'gauge', 'Jobs being worked on.',
+            [[{}, getActiveWorkers()]]),
+        [
+            '# HELP liveticker_poll_duration_seconds Duration of the handball.net requests per game.',
+            '# TYPE liveticker_poll_duration_seconds summary',
+            ...games.flatMap(([game, stats]) => [
+                formatSample('liveticker_poll_duration_seconds_sum', { game }, stats.durationSum.toFixed(3)),
+                formatSample('liveticker_poll_duration_seconds_count', { game }, stats.polls)
+            ])
+        ].join('\n'),
+        formatMetric('liveticker_poll_last_duration_seconds', 'gauge', 'Duration of the last handball.net request per game.',
+            games.map(([game, stats]) => [{ game }, stats.lastDuration.toFixed(3)])),
+        formatMetric('liveticker_poll_errors_total', 'counter', 'Failed polls per game.',
+            games.map(([game, stats]) => [{ game }, stats.errors])),
+        formatMetric('liveticker_last_successful_poll_seconds', 'gauge', 'Unix time of the last successful poll per game.',
+            games.filter(([, stats]) => stats.lastSuccessAt).map(([game, stats]) => [{ game }, Math.round(stats.lastSuccessAt / 1000)])),
+        formatMetric('liveticker_messages_total', 'counter', 'Messages sent through the transports.',
+            splitKey(messageCounts, ['transport', 'kind', 'result'])),
+        formatMetric('liveticker_ai_requests_total', 'counter', 'AI requests by result (success, fallback to the second model, failed).',
+            splitKey(aiRequestCounts, ['kind', 'result'])),
+        formatMetric('liveticker_webhook_deliveries_total', 'counter', 'Webhook deliveries by result (sent, retried, dropped).',
+            splitKey(webhookCounts, ['result']))
+    ].join('\n') + '\n';
+}
+
+// --- SERVER ---
+
+/**
+ * Starts the health and metrics server if METRICS_PORT is set.
+ * @param {Map} activeTickers - The activeTickers map.
+ * @param {Array} jobQueue - The job queue.
+ * @param {Function} getActiveWorkers - Returns the number of busy workers.
+ * @returns {http.Server|null} - The server, or null if it is disabled.
+ */
+function startMetricsServer(activeTickers, jobQueue, getActiveWorkers) {
+    const port = parseInt(process.env.METRICS_PORT, 10);
+    if (!port) return null;
+    const host = process.env.METRICS_HOST || DEFAULT_HOST;
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && pathname === '/health') {
+            const health = getHealth(activeTickers, jobQueue, getActiveWorkers);
+            res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ status: health.healthy ? 'ok' : 'error', ...health }, null, 2));
+        } else if (req.method === 'GET' && pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(formatMetrics(activeTickers, jobQueue, getActiveWorkers));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Nicht gefunden. Verfügbar: /health, /metrics\n');
+        }
+    });
+    server.on('error', error => console.error('Metriken: Server-Fehler:', error.message));
+    server.listen(port, host, () => console.log(`Health-Check und Metriken auf http://${host}:${port}`));
+    return server;
+}
+
+module.exports = { recordPoll, forgetGame, recordAiRequest, recordWebhookDelivery, watchTransport, startMetricsServer };
@@ -0,0 +1,96 @@
+// permissions.js - Who may control the tickers of a group
+//
+// Commands that change something (start, stop, reset, settings, ...) need a group admin
+// or a member on the group's allow-list. Commands that only show something stay open.
+
+const { getSection, saveSection } = require('./store.js');
+
+// Commands that change something. The ones in CONTROL_COMMANDS_WITH_ARGS only show
+// the current state when sent without arguments, so everyone may use them that way.
+const CONTROL_COMMANDS = ['!start', '!stop', '!reset', '!autoschedule', '!skip', '!unskip', '!entziehen', '!revoke', '!webhook', '!webhooks'];
+const CONTROL_COMMANDS_WITH_ARGS = ['!config', '!einstellungen', '!settings', '!filter', '!erlauben', '!allow', '!mode', '!modus'];
+
+let allowedUsers = {};
+
+// --- PERSISTENCE ---
+
+/**
+ * Loads the allow-lists ({ chatId: [senderId, ...] }) from the store. Must be called once at startup.
+ */
+function initializePermissions() {
+    allowedUsers = getSection('permissions');
+    if (Object.keys(allowedUsers).length > 0) {
+        console.log(`Freigaben für ${Object.keys(allowedUsers).length} Gruppen geladen.`);
+    } else {
+        console.log('Keine gespeicherten Freigaben gefunden, nur Gruppen-Admins dürfen Ticker steuern.');
+    }
+}
+
+function savePermissions() {
+    saveSection('permissions', allowedUsers);
+}
+
+// --- ALLOW-LIST ---
+
+/**
+ * Returns the members of a group that may control the tickers without being admin.
+ */
+function getAllowedUsers(chatId) {
+    return allowedUsers[chatId] || [];
+}
+
+/**
+ * Adds a member to the allow-list of a group.
+ * @returns {boolean} - False if the member was already on the list.
+ */
+function allowUser(chatId, senderId) {
+    const users = getAllowedUsers(chatId);
+    if (users.includes(senderId)) return false;
+    allowedUsers[chatId] = [...users, senderId];
+    savePermissions();
+    return true;
+}
+
+/**
+ * Removes a member from the allow-list of a group.
+ * @returns {boolean} - False if the member was not on the list.
+ */
+function disallowUser(chatId, senderId) {
+    const users = getAllowedUsers(chatId);
+    if (!users.includes(senderId)) return false;
+    allowedUsers[chatId] = users.filter(id => id !== senderId);
+    if (allowedUsers[chatId].length === 0) delete allowedUsers[chatId];
+    savePermissions();
+    return true;
+}
+
+// --- CHECKS ---
+
+/**
+ * Checks whether a command changes something and therefore needs a permission.
+ * @param {string} command - The command in lower case, e.g. "!stop".
+ * @param {Array} args - All words of the message, including the command.
+ * @returns {boolean} - True for control commands.
+ */
+function requiresPermission(command, args) {
+    if (CONTROL_COMMANDS.includes(command)) return true;
+    return CONTROL_COMMANDS_WITH_ARGS.includes(command) && args.length >= 2;
+}
+
+/**
+ * Checks whether the sender of a message may use control commands: members on the
+ * allow-list always, otherwise only admins of the group.
+ * @param {object} msg - The message from the transport.
+ * @returns {Promise<boolean>} - True if the sender is allowed.
+ */
+async function canControlTickers(msg) {
+    if (getAllowedUsers(msg.chatId).includes(msg.senderId)) return true;
+    try {
+        return await msg.isAdmin();
+    } catch (error) {
+        console.error(`[${msg.chatId}] Admin-Status von ${msg.senderId} konnte nicht geprüft werden:`, error.message);
+        return false;
+    }
+}
+
+module.exports = { initializePermissions, getAllowedUsers, allowUser, disallowUser, requiresPermission, canControlTickers };
@@ -1,28 +1,41 @@
 // polling.js
-const axios = require('axios');
-const { saveSeenTickers, formatEvent, saveScheduledTickers, loadScheduledTickers, formatRecapEventLine, abbreviatePlayerName } = require('./utils.js');
+const { fetchCombined, getSpielplanData, getReplaySpeed } = require('./datasource.js');
+const { saveSeenTickers, formatEvent, saveScheduledTickers, loadScheduledTickers, formatRecapEventLine, abbreviatePlayerName, getEventFingerprint, isEventContentChanged, getEventLabel, getTickerKey, createTeamTag, removeScheduledTicker, updateScheduledTicker } = require('./utils.js');
 const { generateGameSummary, extractGameStats } = require('./ai.js');
 const { EVENT_MAP } = require('./config.js');
+const { getGroupSettings, getGroupLanguage, getClosingMessage } = require('./settings.js');
+const { t, formatDate, formatTime } = require('./i18n.js');
+const { shouldPostEvent } = require('./filters.js');
+const { buildTickerStandings } = require('./standings.js');
+const { recordSeasonGame, buildSeasonReview } = require('./seasonstats.js');
+const { buildGamePreview } = require('./preview.js');
+const { buildScoreCard } = require('./scorecard.js');
+const { recordPoll, forgetGame } = require('./metrics.js');
+const { sendEventWebhooks, sendCorrectionWebhooks, sendFinalStatsWebhooks } = require('./webhooks.js');
+const { resolveGameFormat, annotatePeriods, estimatePeriod, getPeriodLabel, getEventMinute, isGameOverAt, isFinishedState } = require('./gameformat.js');
 
 // --- SHARED STATE (Initialized by app.js) ---
-let activeTickers, jobQueue, client, seenFilePath, scheduleFilePath;
+let activeTickers, jobQueue, transport;
 
 // --- WORKER POOL CONFIG ---
-let lastPolledIndex = -1; 
 let activeWorkers = 0; 
+const gamePolls = new Map(); // gameId -> shared poll state, one poll per game for all chats
 const MAX_WORKERS = 5; 
-const PRE_GAME_START_MINUTES = 5; 
-const RECAP_INTERVAL_MINUTES = 5; 
+const GAME_END_WAIT_MINUTES = 20; // Tied after regular time: wait this long for overtime before ending the ticker
+
+// --- POLLING CADENCE (per game) ---
+const POLL_INTERVAL_LIVE_MS = 10000;      // During active play
+const POLL_INTERVAL_BREAK_MS = 60000;     // Halftime and breaks before overtime
+const POLL_INTERVAL_PRE_GAME_MS = 30000;  // Between activation and throw-off
+const POLL_BACKOFF_MAX_MS = 5 * 60000;    // Upper limit when handball.net keeps failing
 
 /**
  * Initializes the polling module with shared state variables from app.js.
  */
-function initializePolling(tickers, queue, whatsappClient, seenFile, scheduleFile) {
+function initializePolling(tickers, queue, messageTransport) {
     activeTickers = tickers;
     jobQueue = queue;
-    client = whatsappClient;
-    seenFilePath = seenFile;
-    scheduleFilePath = scheduleFile;
+    transport = messageTransport;
 }
 
 // --- HELPER FUNCTIONS (URL Parsers) ---
@@ -62,133 +75,103 @@ function getGameIdFromUrl(meetingPageUrl) {
     }
 }
 
-function buildDataUrl(gameId) {
-    return `https://www.handball.net/a/sportdata/1/games/${gameId}/combined?`;
-}
+// --- END HELPER FUNCTIONS ---
+
+// --- TICKER HELPERS ---
 
 /**
- * REVISED (FINAL): Fetches and extracts the schedule JSON from a team's spielplan page.
- * This version uses the proven logic from our debug.js script.
- * @param {string} teamPageUrl - The URL of the team's schedule page.
- * @returns {Array|null} - An array of game objects, or null if not found.
+ * Returns all tickers of a chat that are currently scheduled or running.
+ * @param {string} chatId - The chat to look up.
+ * @returns {Array} - The ticker states in insertion order.
  */
-async function getSpielplanData(teamPageUrl) {
-    let html = "";
-    try {
-        console.log(`AutoSchedule: Rufe Team-URL ab: ${teamPageUrl}`);
-        const response = await axios.get(teamPageUrl, { 
-            timeout: 10000,
-            // Add a User-Agent to mimic a browser, this is important
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            }
-        });
-        html = response.data;
-        console.log("AutoSchedule: HTML-Antwort empfangen.");
-
-        // 1. Find ALL Next.js script blobs
-        const scriptRegex = /<script>self\.__next_f\.push\(\[1,"(.*?)"]\)</sg;
-        const scriptMatches = html.matchAll(scriptRegex);
-
-        let scheduleArrayString = "";
-        let scriptTagsFound = 0;
-        let scheduleScriptTagIndex = -1;
-
-        // 2. Iterate through all matches to find the one with the schedule
-        for (const match of scriptMatches) {
-            scriptTagsFound++;
-            const potentialDataString = match[1];
-
-            // 3. Unescape this chunk first
-            const dataString = potentialDataString
-                .replace(/\\"/g, '"')  // Unescape quotes
-                .replace(/\\\\/g, '\\'); // Unescape backslashes
-
-            // 4. Check if the *unescaped* string has our key
-            if (dataString && dataString.includes('"schedule":[')) {
-                scheduleScriptTagIndex = scriptTagsFound;
-                
-                // 5. Find the start of the schedule array
-                const scheduleKey = '"schedule":[';
-                const scheduleStartIndex = dataString.indexOf(scheduleKey);
-                
-                // 6. Find the end by matching brackets
-                const scheduleJson = dataString.substring(scheduleStartIndex + scheduleKey.length - 1); 
-                let bracketCount = 0;
-                let scheduleEndIndex = -1;
-                let inString = false;
-
-                for (let i = 0; i < scheduleJson.length; i++) {
-                    const char = scheduleJson[i];
-                    
-                    if (char === '"' && (i === 0 || scheduleJson[i-1] !== '\\')) {
-                        inString = !inString;
-                    }
-                    if (inString) continue;
-                    if (char === '[') {
-                        bracketCount++;
-                    } else if (char === ']') {
-                        bracketCount--;
-                    }
-                    if (bracketCount === 0) {
-                        scheduleEndIndex = i;
-                        break;
-                    }
-                }
+function getChatTickers(chatId) {
+    return Array.from(activeTickers.values()).filter(t =>
+        t.chatId === chatId && (t.isPolling || t.isScheduled || t.isScheduling)
+    );
+}
 
-                if (scheduleEndIndex !== -1) {
-                    scheduleArrayString = scheduleJson.substring(0, scheduleEndIndex + 1);
-                    break; // Found it!
-                } else {
-                     console.error("AutoSchedule: 'schedule' gefunden, aber schließende Klammer ']' fehlt.");
-                }
-            }
-        }
+/**
+ * Sends a message on behalf of a ticker. If the chat follows more than one game,
+ * the message gets the ticker's team tag as prefix so the games can be told apart.
+ * @param {object} tickerState - The ticker that produced the message.
+ * @param {string} message - The message text.
+ */
+async function sendTickerMessage(tickerState, message) {
+    return transport.sendMessage(tickerState.chatId, getMessagePrefix(tickerState) + message);
+}
 
-        console.log(`AutoSchedule: ${scriptTagsFound} script tags durchsucht. 'schedule' in Tag #${scheduleScriptTagIndex} gefunden.`);
+/**
+ * Sends an image on behalf of a ticker, the team tag goes into the caption.
+ * @param {object} tickerState - The ticker that produced the image.
+ * @param {Buffer} png - The PNG image.
+ * @param {string} [caption] - The caption text.
+ */
+async function sendTickerImage(tickerState, png, caption = '') {
+    return transport.sendImage(tickerState.chatId, png, (getMessagePrefix(tickerState) + caption).trim());
+}
 
-        if (!scheduleArrayString) {
-            console.error("AutoSchedule: Konnte 'schedule' JSON in keinem script-Tag finden.");
-            return null;
-        }
+function getMessagePrefix(tickerState) {
+    const hasOtherTickers = getChatTickers(tickerState.chatId).some(t => t !== tickerState);
+    return (hasOtherTickers && tickerState.teamTag) ? `*[${tickerState.teamTag}]* ` : '';
+}
 
-        // 7. Parse it
-        try {
-            const scheduleData = JSON.parse(scheduleArrayString);
-            console.log(`AutoSchedule: JSON erfolgreich geparst. ${scheduleData.length} Spiele gefunden.`);
-            return scheduleData;
-        } catch (e) {
-            console.error(`AutoSchedule: Gefundenes JSON war fehlerhaft:`, e.message);
-            console.error("JSON Snippet (first 200 chars):", scheduleArrayString.substring(0, 200));
-            return null;
-        }
-        
-    } catch (error) {
-        console.error(`AutoSchedule: Kritischer Fehler beim Abrufen der Spielplan-Daten:`, error.message);
-        if (error.response) {
-            console.error(`AutoSchedule: HTTP Status ${error.response.status}`);
-        }
-        if (html) {
-             console.error("AutoSchedule: HTML Snippet (first 500 chars):", html.substring(0, 500));
-        }
-        throw new Error("Spielplan-Daten konnten nicht abgerufen werden.");
+/**
+ * Removes all queued jobs of a ticker.
+ */
+function removeJobsForTicker(tickerKey) {
+    for (let i = jobQueue.length - 1; i >= 0; i--) {
+        if (jobQueue[i].tickerKey !== tickerKey) continue;
+        jobQueue.splice(i, 1);
     }
 }
 
-// --- END HELPER FUNCTIONS ---
+/**
+ * Stops a scheduled or running ticker and ends its auto-schedule chain.
+ * The ticker data (seen events) stays in memory, use !reset to clear it.
+ * @param {object} tickerState - The ticker to stop.
+ * @returns {boolean} - True if the ticker was scheduled or running.
+ */
+function stopTicker(tickerState) {
+    let wasStopped = false;
 
+    if (tickerState.isAutoSchedule) {
+        tickerState.isAutoSchedule = false;
+        console.log(`[${tickerState.tickerKey}] Auto-Schedule Kette gestoppt.`);
+    }
+    if (tickerState.isScheduled || tickerState.isScheduling) {
+        if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+        if (tickerState.previewTimeout) clearTimeout(tickerState.previewTimeout);
+        tickerState.isScheduled = false;
+        tickerState.isScheduling = false;
+        wasStopped = true;
+    }
+    if (tickerState.isPolling) {
+        tickerState.isPolling = false;
+        if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+        wasStopped = true;
+    }
+    removeScheduledTicker(tickerState.chatId, tickerState.gameId);
+    removeJobsForTicker(tickerState.tickerKey);
+    // Otherwise the stopped game would be resumed after a restart
+    saveSeenTickers(activeTickers);
+    return wasStopped;
+}
 
 /**
  * Creates the initial ticker state and adds a 'schedule' job to the queue.
+ * @returns {object|null} - The ticker state, or null if the URL is invalid.
  */
-async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode, isAutoSchedule = false, teamPageUrl = null) {
+async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode, isAutoSchedule = false, teamPageUrl = null, teamTag = null, skippedGameIds = []) {
     const gameId = getGameIdFromUrl(meetingPageUrl);
     if (!gameId) {
-        await client.sendMessage(chatId, `Fehler: Die URL ${meetingPageUrl} ist keine gültige Spiel-URL.`);
-        return;
+        await transport.sendMessage(chatId, t(getGroupLanguage(chatId), 'ticker.invalidUrl', { url: meetingPageUrl }));
+        return null;
     }
 
-    const tickerState = activeTickers.get(chatId) || { seen: new Set() };
+    const tickerKey = getTickerKey(chatId, gameId);
+    const tickerState = activeTickers.get(tickerKey) || { seen: new Set() };
+    tickerState.tickerKey = tickerKey;
+    tickerState.chatId = chatId;
     tickerState.isPolling = false; 
     tickerState.isScheduling = true;
     tickerState.meetingPageUrl = meetingPageUrl; 
@@ -198,11 +181,14 @@ async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode, is
     tickerState.recapEvents = []; 
     tickerState.isAutoSchedule = isAutoSchedule;
     tickerState.teamPageUrl = teamPageUrl; 
-    activeTickers.set(chatId, tickerState); 
+    tickerState.teamTag = teamTag || tickerState.teamTag || null;
+    tickerState.skippedGameIds = skippedGameIds;
+    activeTickers.set(tickerKey, tickerState); 
 
     jobQueue.push({
         type: 'schedule', 
         chatId,
+        tickerKey,
         gameId: gameId, 
         meetingPageUrl: meetingPageUrl,
         groupName,
@@ -210,9 +196,72 @@ async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode, is
         jobId: Date.now()
     });
 
-    console.log(`[${chatId}] Planungs-Job für ${gameId} zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
+    console.log(`[${tickerKey}] Planungs-Job für ${gameId} zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
     if (!isAutoSchedule) { 
-        await client.sendMessage(chatId, `⏳ Ticker-Planung für "${groupName}" wird bearbeitet...`);
+        await transport.sendMessage(chatId, t(getGroupLanguage(chatId), 'ticker.schedulingInProgress', { group: groupName }));
+    }
+    return tickerState;
+}
+
+/**
+ * Returns the games of a team schedule that have not started yet, sorted by start time.
+ * @param {Array} games - The games from getSpielplanData.
+ * @returns {Array} - The upcoming games.
+ */
+function getUpcomingGames(games) {
+    return (games || [])
+        .filter(game => game.state === 'Pre' && game.startsAt)
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+}
+
+/**
+ * Returns the first game of a team schedule that has not started yet.
+ * @param {Array} games - The games from getSpielplanData.
+ * @param {string|null} excludedGameId - A game to skip, e.g. the one that just finished.
+ * @param {Array} skippedGameIds - Games excluded from the chain with !skip.
+ * @returns {object|null} - The game, or null if the season is over.
+ */
+function getNextGameFromSchedule(games, excludedGameId = null, skippedGameIds = []) {
+    return getUpcomingGames(games).find(game =>
+        game.id !== excludedGameId &&
+        !skippedGameIds.includes(game.id)
+    ) || null;
+}
+
+/**
+ * Looks up the next game of a team on its team page (used by !status).
+ */
+async function findNextGame(teamPageUrl, excludedGameId = null, skippedGameIds = []) {
+    return getNextGameFromSchedule(await getSpielplanData(teamPageUrl), excludedGameId, skippedGameIds);
+}
+
+/**
+ * Loads the upcoming games of a team page (used by !spielplan, !skip and !unskip).
+ */
+async function fetchUpcomingGames(teamPageUrl) {
+    return getUpcomingGames(await getSpielplanData(teamPageUrl));
+}
+
+/**
+ * Makes a game the next link of an auto-schedule chain. If the game is already
+ * ticked in the chat, that ticker takes over the chain, otherwise it gets scheduled.
+ */
+async function continueChainWith(nextGame, chatId, groupName, mode, teamPageUrl, teamTag, skippedGameIds) {
+    const existingTicker = activeTickers.get(getTickerKey(chatId, nextGame.id));
+    if (existingTicker && (existingTicker.isPolling || existingTicker.isScheduled || existingTicker.isScheduling)) {
+        // The game is already ticked in this chat (e.g. via !start), just continue the chain from there
+        console.log(`[${existingTicker.tickerKey}] Spiel ist bereits geplant, wird in die Auto-Schedule Kette übernommen.`);
+        existingTicker.isAutoSchedule = true;
+        existingTicker.teamPageUrl = teamPageUrl;
+        existingTicker.teamTag = existingTicker.teamTag || teamTag;
+        existingTicker.skippedGameIds = skippedGameIds;
+        saveSkippedGames(existingTicker);
+    } else {
+        // Construct the game URL from the game ID
+        const gameUrl = `https://www.handball.net/spiele/${nextGame.id}`;
+
+        // Queue the 'schedule' job. This will fetch the full game data (like team names).
+        await queueTickerScheduling(gameUrl, chatId, groupName, mode, true, teamPageUrl, teamTag, skippedGameIds);
     }
 }
 
@@ -220,25 +269,16 @@ async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode, is
  * Main function for the !autoschedule command.
  * This function now correctly finds the next game from the parsed JSON.
  */
-async function autoScheduleNextGame(teamPageUrl, chatId, groupName, mode, finishedGameId = null) {
+async function autoScheduleNextGame(teamPageUrl, chatId, groupName, mode, finishedGameId = null, teamTag = null, skippedGameIds = []) {
     const games = await getSpielplanData(teamPageUrl);
     if (!games || games.length === 0) {
-        throw new Error("Konnte keine Spiele auf der Team-Seite finden.");
+        throw new Error(t(getGroupLanguage(chatId), 'autoschedule.noGamesOnTeamPage'));
     }
 
-    // Find the first game that is "Pre" AND does NOT match the ID of the game we just finished
-    const nextGame = games.find(game => 
-        game.state === 'Pre' && 
-        game.startsAt &&
-        game.id !== finishedGameId // <-- This is the new, crucial check
-    );
+    const nextGame = getNextGameFromSchedule(games, finishedGameId, skippedGameIds);
 
     if (nextGame) {
-        // Construct the game URL from the game ID
-        const gameUrl = `https://www.handball.net/spiele/${nextGame.id}`;
-        
-        // Queue the 'schedule' job. This will fetch the full game data (like team names).
-        await queueTickerScheduling(gameUrl, chatId, groupName, mode, true, teamPageUrl);
+        await continueChainWith(nextGame, chatId, groupName, mode, teamPageUrl, teamTag, skippedGameIds);
         
         // Return the game info so app.js can send a confirmation message
         return {
@@ -252,75 +292,200 @@ async function autoScheduleNextGame(teamPageUrl, chatId, groupName, mode, finish
     return null; // No future games found
 }
 
+/**
+ * Moves an auto-schedule chain to another game, e.g. after its scheduled game was skipped.
+ * The scheduled ticker is cancelled and the chain continues with `nextGame`.
+ * @param {object} tickerState - The scheduled (not yet running) ticker of the chain.
+ * @param {object|null} nextGame - The game from the team page, null ends the chain.
+ */
+async function replanAutoSchedule(tickerState, nextGame) {
+    const { chatId, groupName, mode, teamPageUrl, teamTag } = tickerState;
+    const skippedGameIds = tickerState.skippedGameIds || [];
+    console.log(`[${tickerState.tickerKey}] Auto-Schedule wird neu geplant, nächstes Spiel: ${nextGame ? nextGame.id : 'keins'}.`);
+
+    stopTicker(tickerState);
+    if (tickerState.seen.size === 0) activeTickers.delete(tickerState.tickerKey);
+
+    if (nextGame) {
+        await continueChainWith(nextGame, chatId, groupName, mode, teamPageUrl, teamTag, skippedGameIds);
+    }
+}
+
+/**
+ * Saves the skipped games of a chain, so they survive a restart. A running ticker has no
+ * schedule entry any more (see beginActualPolling), its skips are kept with the running state.
+ */
+function saveSkippedGames(tickerState) {
+    if (tickerState.isPolling) {
+        saveSeenTickers(activeTickers);
+        return;
+    }
+    updateScheduledTicker(tickerState.chatId, tickerState.gameId, { skippedGameIds: tickerState.skippedGameIds || [] });
+}
+
+/**
+ * Plans the preview of a scheduled game (!config vorschau). If the preview time has already
+ * passed, e.g. for a game scheduled shortly before throw-off, it is sent right away.
+ * @param {object} tickerState - The scheduled ticker (uses startsAt and previewSent).
+ */
+function scheduleGamePreview(tickerState) {
+    const { previewMinutes } = getGroupSettings(tickerState.chatId);
+    if (!previewMinutes || tickerState.previewSent || !tickerState.startsAt) return;
+    const startsAt = new Date(tickerState.startsAt).getTime();
+    if (startsAt <= Date.now()) return;
+
+    if (tickerState.previewTimeout) clearTimeout(tickerState.previewTimeout);
+    const delay = Math.max(startsAt - previewMinutes * 60000 - Date.now(), 0);
+    console.log(`[${tickerState.tickerKey}] Vorschau wird in ${Math.round(delay / 60000)} Minuten gesendet.`);
+    tickerState.previewTimeout = setTimeout(() => sendGamePreview(tickerState.tickerKey), delay);
+}
+
+async function sendGamePreview(tickerKey) {
+    const tickerState = activeTickers.get(tickerKey);
+    if (!tickerState || !tickerState.isScheduled || tickerState.previewSent) return;
+    tickerState.previewTimeout = null;
+
+    try {
+        const { gameData } = await fetchGameData(tickerState.gameId);
+        const { homeTeam, awayTeam } = gameData.summary;
+        // Schedule entries of older versions don't have the team IDs, they are needed for form, ranks and head-to-head
+        if (!tickerState.teamIds || !tickerState.teamIds.home) {
+            tickerState.teamIds = { home: homeTeam.id || null, guest: awayTeam.id || null };
+        }
+        const messages = await buildGamePreview(tickerState, gameData.summary);
+        // Marked before sending, a restart must not post the preview twice
+        tickerState.previewSent = true;
+        updateScheduledTicker(tickerState.chatId, tickerState.gameId, { previewSent: true });
+        for (const message of messages) {
+            await sendTickerMessage(tickerState, message);
+        }
+        console.log(`[${tickerKey}] Vorschau gesendet.`);
+    } catch (error) {
+        console.error(`[${tickerKey}] Fehler beim Senden der Vorschau:`, error.message);
+    }
+}
+
 
 /**
  * Activates the actual polling loop for a ticker.
  */
-async function beginActualPolling(chatId) {
-    const tickerState = activeTickers.get(chatId);
+async function beginActualPolling(tickerKey) {
+    const tickerState = activeTickers.get(tickerKey);
     if (!tickerState) {
-        console.warn(`[${chatId}] Ticker-Status nicht gefunden beim Versuch, das Polling zu starten.`);
-        const currentSchedule = loadScheduledTickers(scheduleFilePath);
-         if (currentSchedule[chatId]) {
-             delete currentSchedule[chatId];
-             saveScheduledTickers(currentSchedule, scheduleFilePath);
-             console.log(`[${chatId}] Überreste aus Planungsdatei entfernt.`);
-         }
+        console.warn(`[${tickerKey}] Ticker-Status nicht gefunden beim Versuch, das Polling zu starten.`);
         return;
     }
     if (tickerState.isPolling) {
-        console.log(`[${chatId}] Polling ist bereits aktiv.`);
+        console.log(`[${tickerKey}] Polling ist bereits aktiv.`);
         return;
     }
 
-    console.log(`[${chatId}] Aktiviere Polling (Modus: ${tickerState.mode}).`);
+    console.log(`[${tickerKey}] Aktiviere Polling (Modus: ${tickerState.mode}).`);
     tickerState.isPolling = true; 
     tickerState.isScheduled = false;
     tickerState.recapMinuteCounter = 0; // Reset/init counter
 
-    const currentSchedule = loadScheduledTickers(scheduleFilePath);
-    if (currentSchedule[chatId]) {
-        delete currentSchedule[chatId]; 
-        saveScheduledTickers(currentSchedule, scheduleFilePath); 
-        console.log(`[${chatId}] Aus Planungsdatei entfernt.`);
+    if (removeScheduledTicker(tickerState.chatId, tickerState.gameId)) {
+        console.log(`[${tickerKey}] Aus Planungsdatei entfernt.`);
     }
+    // From now on the ticker is saved as running, so it is resumed after a restart
+    saveSeenTickers(activeTickers);
 
     if (tickerState.mode === 'recap') {
-        try {
-            let legendMessage = "ℹ️ *Ticker-Legende:*\n";
-            for (const key in EVENT_MAP) {
-                if (key === "default" || key === "StartPeriod" || key === "StopPeriod" || key === "StartGame") continue;
-                const eventDetails = EVENT_MAP[key]; 
-                legendMessage += `${eventDetails.emoji} = ${eventDetails.label}\n`;
-            }
-            await client.sendMessage(chatId, legendMessage.trim());
-            console.log(`[${chatId}] Emoji-Legende gesendet (Recap-Modus).`);
-        } catch (error) {
-            console.error(`[${chatId}] Fehler beim Senden der Legende:`, error);
-        }
+        await sendRecapLegend(tickerState);
     }
     
     // NO MORE setInterval - Recaps are now event-driven.
 
-    if (!jobQueue.some(job => job.chatId === chatId && job.type === 'poll')) {
-        jobQueue.unshift({
-            type: 'poll', 
-            chatId,
-            gameId: tickerState.gameId, 
-            tickerState: tickerState, 
-            jobId: Date.now() 
-        });
+    // Poll right away, so a chat joining a game that is already followed elsewhere catches up
+    queuePollJob(tickerState.gameId, true);
+}
+
+/**
+ * Sends the emoji legend used by the recap messages.
+ */
+async function sendRecapLegend(tickerState) {
+    try {
+        const language = getGroupLanguage(tickerState.chatId);
+        let legendMessage = `${t(language, 'ticker.legendTitle')}\n`;
+        for (const key in EVENT_MAP) {
+            if (key === "default" || key === "StartPeriod" || key === "StopPeriod" || key === "StartGame") continue;
+            const eventDetails = EVENT_MAP[key]; 
+            legendMessage += `${eventDetails.emoji} = ${getEventLabel(language, key)}\n`;
+        }
+        await sendTickerMessage(tickerState, legendMessage.trim());
+        console.log(`[${tickerState.tickerKey}] Emoji-Legende gesendet (Recap-Modus).`);
+    } catch (error) {
+        console.error(`[${tickerState.tickerKey}] Fehler beim Senden der Legende:`, error);
+    }
+}
+
+/**
+ * Switches a scheduled or running ticker between live and recap mode (!mode).
+ * Switching to live sends the buffered recap events right away. Switching to recap starts
+ * the window the game is currently in, so the next recap covers the events after the switch.
+ * An auto-schedule chain keeps the new mode for its next games.
+ * @param {object} tickerState - The ticker to switch.
+ * @param {string} newMode - 'live' or 'recap'.
+ * @returns {Promise<boolean>} - False if the ticker already was in this mode.
+ */
+async function switchTickerMode(tickerState, newMode) {
+    const { tickerKey } = tickerState;
+    if (tickerState.mode === newMode) return false;
+    console.log(`[${tickerKey}] Wechsle Modus von ${tickerState.mode} zu ${newMode}.`);
+
+    if (tickerState.isPolling && newMode === 'live') {
+        // Events of the open window would otherwise never be posted
+        const bufferedEvents = tickerState.recapEvents || [];
+        if (bufferedEvents.length > 0) {
+            const lastMinute = Math.max(...bufferedEvents.map(getEventMinute));
+            await sendRecapMessage(tickerKey, tickerState.recapMinuteCounter || 0, lastMinute + 1);
+        }
+    }
+
+    tickerState.mode = newMode;
+    tickerState.recapEvents = [];
+    if (newMode === 'recap') {
+        const { recapIntervalMinutes } = getGroupSettings(tickerState.chatId);
+        const currentMinute = tickerState.lastEventTime ? parseInt(tickerState.lastEventTime.split(':')[0], 10) : 0;
+        tickerState.recapMinuteCounter = Math.floor(currentMinute / recapIntervalMinutes) * recapIntervalMinutes;
+        if (tickerState.isPolling) await sendRecapLegend(tickerState);
     }
+
+    if (tickerState.isPolling) {
+        saveSeenTickers(activeTickers);
+    } else {
+        updateScheduledTicker(tickerState.chatId, tickerState.gameId, { mode: newMode });
+    }
+    return true;
+}
+
+/**
+ * Continues a ticker that was running when the bot stopped (restored by loadSeenTickers).
+ * Unlike beginActualPolling the recap window and buffer are kept and no legend is sent.
+ * Events that happened during the restart are posted with the first poll.
+ */
+function resumePolling(tickerKey) {
+    const tickerState = activeTickers.get(tickerKey);
+    if (!tickerState || tickerState.isPolling) return;
+
+    console.log(`[${tickerKey}] Setze laufenden Ticker fort (Modus: ${tickerState.mode}, Spielstand: ${tickerState.lastKnownScore || '0-0'}).`);
+    tickerState.isPolling = true;
+    tickerState.isScheduled = false;
+    tickerState.isScheduling = false;
+    tickerState.recapEvents = tickerState.recapEvents || [];
+    tickerState.recapMinuteCounter = tickerState.recapMinuteCounter || 0;
+    queuePollJob(tickerState.gameId, true);
 }
 
 /**
  * Sends a recap message for a specific time window.
  */
-async function sendRecapMessage(chatId, startMin, endMin) {
-    const tickerState = activeTickers.get(chatId);
+async function sendRecapMessage(tickerKey, startMin, endMin) {
+    const tickerState = activeTickers.get(tickerKey);
     if (!tickerState || !tickerState.isPolling) return;
 
-    const timeRangeTitle = `Minute ${String(startMin).padStart(2, '0')} - ${String(endMin).padStart(2, '0')}`;
+    const timeRangeTitle = t(getGroupLanguage(tickerState.chatId), 'ticker.recapTitle', { start: String(startMin).padStart(2, '0'), end: String(endMin).padStart(2, '0') });
     
     const allEventsInBuffer = [...tickerState.recapEvents];
     const eventsToSend = [];
@@ -350,18 +515,18 @@ async function sendRecapMessage(chatId, startMin, endMin) {
     // --- END NEW LOGIC ---
 
     if (eventsToSend.length === 0) {
-        console.log(`[${chatId}] Kein Event für Recap ${timeRangeTitle} gefunden. Überspringe.`);
+        console.log(`[${tickerKey}] Kein Event für Recap ${timeRangeTitle} gefunden. Überspringe.`);
         return; 
     }
 
-    console.log(`[${chatId}] Sende ${eventsToSend.length} Events für Recap ${timeRangeTitle}.`);
+    console.log(`[${tickerKey}] Sende ${eventsToSend.length} Events für Recap ${timeRangeTitle}.`);
 
     eventsToSend.sort((a, b) => a.timestamp - b.timestamp); 
     const recapLines = eventsToSend.map(ev => formatRecapEventLine(ev, tickerState));
     const validLines = recapLines.filter(line => line && line.trim() !== '');
 
     if (validLines.length === 0) {
-        console.log(`[${chatId}] Kein Event für Recap ${timeRangeTitle} gefunden (alle Events wurden herausgefiltert).`);
+        console.log(`[${tickerKey}] Kein Event für Recap ${timeRangeTitle} gefunden (alle Events wurden herausgefiltert).`);
         return;
     }
 
@@ -371,42 +536,100 @@ async function sendRecapMessage(chatId, startMin, endMin) {
     const finalMessage = `📬 *${timeRangeTitle}*\n\n${teamHeader}\n${recapBody}`;
 
     try {
-        await client.sendMessage(chatId, finalMessage);
+        await sendTickerMessage(tickerState, finalMessage);
     } catch (error) {
-        console.error(`[${chatId}] Fehler beim Senden der Recap-Nachricht:`, error);
+        console.error(`[${tickerKey}] Fehler beim Senden der Recap-Nachricht:`, error);
         // If sending failed, put the events back in the buffer to try again
         tickerState.recapEvents.unshift(...eventsToSend);
     }
 }
 
 /**
- * Master Scheduler: Runs periodically.
+ * Returns the tickers that currently receive the polled data of a game.
  */
-function masterScheduler() {
-    const pollingTickers = Array.from(activeTickers.values()).filter(t => t.isPolling);
-    if (pollingTickers.length === 0) return; 
+function getGameSubscribers(gameId) {
+    return Array.from(activeTickers.values()).filter(t => t.isPolling && t.gameId === gameId);
+}
+
+/**
+ * Returns the shared poll state of a game, creating it on first use.
+ */
+function getGamePoll(gameId) {
+    if (!gamePolls.has(gameId)) {
+        gamePolls.set(gameId, { gameId, isPollPending: false, nextPollAt: 0, pollErrorCount: 0, gamePhase: 'pre', etag: null, lastModified: null, lastGameData: null });
+    }
+    return gamePolls.get(gameId);
+}
+
+/**
+ * Returns the delay until the next poll of a game, based on the game phase
+ * and the number of failed polls in a row.
+ * @param {object} gamePoll - The shared poll state of the game.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getPollInterval(gamePoll) {
+    let interval;
+    if (gamePoll.pollErrorCount > 0) {
+        interval = Math.min(POLL_INTERVAL_LIVE_MS * Math.pow(2, gamePoll.pollErrorCount), POLL_BACKOFF_MAX_MS);
+    } else if (gamePoll.gamePhase === 'live') {
+        interval = POLL_INTERVAL_LIVE_MS;
+    } else if (gamePoll.gamePhase === 'break') {
+        interval = POLL_INTERVAL_BREAK_MS;
+    } else {
+        interval = POLL_INTERVAL_PRE_GAME_MS;
+    }
+    // A sped-up replay is polled faster, so the same game minutes are covered
+    return interval / getReplaySpeed();
+}
+
+/**
+ * Adds a poll job for a game, unless one is already queued or running.
+ */
+function queuePollJob(gameId, atFront = false) {
+    const gamePoll = getGamePoll(gameId);
+    if (gamePoll.isPollPending) return;
+    gamePoll.isPollPending = true;
+
+    const job = { type: 'poll', gameId, jobId: Date.now() };
+    if (atFront) jobQueue.unshift(job);
+    else jobQueue.push(job);
+    console.log(`[${gameId}] Poll-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
+}
 
-    lastPolledIndex = (lastPolledIndex + 1) % pollingTickers.length;
-    const tickerStateToPoll = pollingTickers[lastPolledIndex];
-    const chatId = [...activeTickers.entries()].find(([key, val]) => val === tickerStateToPoll)?.[0];
+/**
+ * Master Scheduler: Runs every second and queues a poll for every game that is due.
+ * Each game has its own cadence and is polled once, no matter how many chats follow it.
+ */
+function masterScheduler() {
+    const now = Date.now();
+    const polledGameIds = new Set(Array.from(activeTickers.values()).filter(t => t.isPolling).map(t => t.gameId));
 
-    if (chatId && tickerStateToPoll.isPolling && !jobQueue.some(job => job.chatId === chatId && job.type === 'poll')) {
-        jobQueue.push({
-             type: 'poll',
-             chatId,
-             gameId: tickerStateToPoll.gameId, 
-             tickerState: tickerStateToPoll,
-             jobId: Date.now()
-        });
-        console.log(`[${chatId}] Poll-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
+    for (const gameId of polledGameIds) {
+        const gamePoll = getGamePoll(gameId);
+        if (gamePoll.isPollPending || gamePoll.nextPollAt > now) continue;
+        queuePollJob(gameId);
+    }
+    // Forget games nobody follows anymore
+    for (const [gameId, gamePoll] of gamePolls.entries()) {
+        if (!polledGameIds.has(gameId) && !gamePoll.isPollPending) {
+            gamePolls.delete(gameId);
+            forgetGame(gameId);
+        }
     }
 }
 
 /**
- * Dispatcher Loop: Runs frequently.
+ * Returns the number of jobs being worked on, for the metrics.
+ */
+function getActiveWorkers() {
+    return activeWorkers;
+}
+
+/**
+ * Dispatcher Loop: Runs frequently and starts as many jobs as there are free workers.
  */
 function dispatcherLoop() {
-    if (jobQueue.length > 0 && activeWorkers < MAX_WORKERS) {
+    while (jobQueue.length > 0 && activeWorkers < MAX_WORKERS) {
         activeWorkers++; 
         const job = jobQueue.shift(); 
         runWorker(job); 
@@ -414,143 +637,423 @@ function dispatcherLoop() {
 }
 
 /**
- * Executes a single job (either 'schedule' or 'poll') using Axios.
+ * Fetches the combined game data from handball.net.
+ * With `conditional` set, the stored ETag / Last-Modified are sent along and an unchanged
+ * game is answered with a cheap 304 without body.
+ * @param {string} gameId - The handball.net game ID.
+ * @param {object|null} conditional - The shared poll state of the game, or null.
+ * @returns {object} - { gameData, notModified }
+ */
+async function fetchGameData(gameId, conditional = null) {
+    const requestHeaders = {};
+    if (conditional && conditional.lastGameData) {
+        if (conditional.etag) requestHeaders['If-None-Match'] = conditional.etag;
+        if (conditional.lastModified) requestHeaders['If-Modified-Since'] = conditional.lastModified;
+    }
+    const metaRes = await fetchCombined(gameId, requestHeaders);
+
+    if (metaRes.status === 304) {
+        return { gameData: conditional.lastGameData, notModified: true };
+    }
+    if (conditional) {
+        conditional.etag = metaRes.headers ? metaRes.headers.etag || null : null;
+        conditional.lastModified = metaRes.headers ? metaRes.headers['last-modified'] || null : null;
+    }
+    const gameData = metaRes.data.data;
+    if (!gameData || !gameData.summary || !gameData.events) {
+        throw new Error("Ungültige Datenstruktur von API empfangen.");
+    }
+    return { gameData, notModified: false };
+}
+
+/**
+ * Executes a single job: 'schedule' jobs belong to one ticker, 'poll' jobs to a game.
  */
 async function runWorker(job) {
-    const { chatId, jobId, type, gameId, meetingPageUrl } = job; 
-    const tickerState = activeTickers.get(chatId);
-    const timerLabel = `[${chatId}] Job ${jobId} (${type}) Execution Time`;
+    if (job.type === 'poll') return runPollWorker(job);
+
+    const { chatId, tickerKey, jobId, type, gameId, meetingPageUrl } = job; 
+    const tickerState = activeTickers.get(tickerKey);
+    const timerLabel = `[${tickerKey}] Job ${jobId} (${type}) Execution Time`;
     console.time(timerLabel); 
 
-    if (!tickerState || (type === 'poll' && !tickerState.isPolling) || (type === 'schedule' && !tickerState.isScheduling)) {
-        console.log(`[${chatId}] Job ${jobId} (${type}) wird übersprungen, da Ticker-Status ungültig oder geändert.`);
+    if (!tickerState || !tickerState.isScheduling) {
+        console.log(`[${tickerKey}] Job ${jobId} (${type}) wird übersprungen, da Ticker-Status ungültig oder geändert.`);
         activeWorkers--; 
         console.timeEnd(timerLabel);
         return;
     }
 
-    console.log(`[${chatId}] Worker startet Job ${jobId} (${type}). Verbleibende Jobs: ${jobQueue.length}. Aktive Worker: ${activeWorkers}`);
+    console.log(`[${tickerKey}] Worker startet Job ${jobId} (${type}). Verbleibende Jobs: ${jobQueue.length}. Aktive Worker: ${activeWorkers}`);
 
     try {
-        const effectiveGameId = gameId; 
-        if (!effectiveGameId) {
+        if (!gameId) {
             throw new Error("Game ID konnte nicht ermittelt werden.");
         }
-        
-        const dataUrl = buildDataUrl(effectiveGameId);
-        const metaRes = await axios.get(`${dataUrl}&_=${Date.now()}`, { timeout: 10000 });
-        const gameData = metaRes.data.data; 
+        const { gameData } = await fetchGameData(gameId);
         const gameSummary = gameData.summary;
 
-        if (!gameSummary || !gameData.events) {
-            throw new Error("Ungültige Datenstruktur von API empfangen.");
+        const { preGameStartMinutes, recapIntervalMinutes, language } = getGroupSettings(chatId);
+        const scheduledTime = new Date(gameSummary.startsAt);
+        const startTime = new Date(scheduledTime.getTime() - (preGameStartMinutes * 60000));
+        const delay = startTime.getTime() - Date.now();
+        const teamNames = { home: gameSummary.homeTeam.name, guest: gameSummary.awayTeam.name };
+        const startTimeLocale = formatTime(language, startTime);
+        const startDateLocale = formatDate(language, startTime, { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+        tickerState.teamNames = teamNames;
+        tickerState.teamIds = { home: gameSummary.homeTeam.id || null, guest: gameSummary.awayTeam.id || null };
+        tickerState.teamTag = tickerState.teamTag || createTeamTag(teamNames);
+        tickerState.startsAt = gameSummary.startsAt;
+        tickerState.scheduledStartTime = startTime.toISOString();
+        tickerState.meetingPageUrl = meetingPageUrl; 
+        tickerState.ageGroup = gameSummary.ageGroup; 
+        tickerState.lastKnownScore = '0-0'; 
+
+        if (delay > 0) { // Still in future
+            console.log(`[${tickerKey}] Planungs-Job erfolgreich...`);
+            const modeDescriptionScheduled = (tickerState.mode === 'recap') ? t(language, 'ticker.modeRecap', { minutes: recapIntervalMinutes }) : t(language, 'ticker.modeLive');
+            
+            // Only send a schedule confirmation if it's NOT an auto-schedule loop
+            // The auto-schedule loop confirmation is sent from app.js
+            if (!tickerState.isAutoSchedule) {
+                await sendTickerMessage(tickerState, t(language, 'ticker.scheduled', { home: teamNames.home, guest: teamNames.guest, mode: modeDescriptionScheduled, date: startDateLocale, time: startTimeLocale }));                
+            }
+            
+            tickerState.isPolling = false; 
+            tickerState.isScheduling = false;
+            tickerState.isScheduled = true;
+            
+            const currentSchedule = loadScheduledTickers();
+            currentSchedule[chatId] = currentSchedule[chatId] || {};
+            currentSchedule[chatId][gameId] = {
+                meetingPageUrl: tickerState.meetingPageUrl, 
+                startTime: startTime.toISOString(),
+                groupName: tickerState.groupName,
+                mode: tickerState.mode,
+                isAutoSchedule: tickerState.isAutoSchedule,
+                teamPageUrl: tickerState.teamPageUrl,
+                teamTag: tickerState.teamTag,
+                ageGroup: tickerState.ageGroup,
+                teamNames: tickerState.teamNames,
+                teamIds: tickerState.teamIds,
+                gameStartsAt: tickerState.startsAt,
+                skippedGameIds: tickerState.skippedGameIds || [],
+                previewSent: tickerState.previewSent || false
+            };
+            saveScheduledTickers(currentSchedule);
+            tickerState.scheduleTimeout = setTimeout(() => beginActualPolling(tickerKey), delay);
+            scheduleGamePreview(tickerState);
+        } else { // Already started
+            console.log(`[${tickerKey}] Planungs-Job erfolgreich. Spiel beginnt sofort...`);
+            let startMessage = t(language, 'ticker.startingNow', { home: teamNames.home, guest: teamNames.guest });
+            startMessage += (tickerState.mode === 'recap') ? t(language, 'ticker.startingNowRecap', { minutes: recapIntervalMinutes }) : t(language, 'ticker.startingNowLive');
+            
+            if (!tickerState.isAutoSchedule) {
+                await sendTickerMessage(tickerState, startMessage);
+            }
+            tickerState.isScheduling = false;
+            beginActualPolling(tickerKey); 
         }
+    } catch (error) {
+        console.error(`[${tickerKey}] Fehler im Worker-Job ${jobId} (${type}):`, error.message);
+        // Don't send error if it was an auto-schedule, just log it
+        if (!tickerState.isAutoSchedule) {
+           await transport.sendMessage(chatId, t(getGroupLanguage(chatId), 'ticker.schedulingFailed'));
+        } else {
+           console.error(`[${tickerKey}] Auto-Schedule Planungs-Job fehlgeschlagen.`);
+        }
+        activeTickers.delete(tickerKey);
+        removeScheduledTicker(chatId, gameId);
+    } finally {
+        console.timeEnd(timerLabel);
+        activeWorkers--; 
+    }
+}
 
-        // --- Logic for 'schedule' job ---
-        if (type === 'schedule') {
-            const scheduledTime = new Date(gameSummary.startsAt);
-            const startTime = new Date(scheduledTime.getTime() - (PRE_GAME_START_MINUTES * 60000));
-            const delay = startTime.getTime() - Date.now();
-            const teamNames = { home: gameSummary.homeTeam.name, guest: gameSummary.awayTeam.name };
-            const startTimeLocale = startTime.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-            const startDateLocale = startTime.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
-
-            tickerState.teamNames = teamNames;
-            tickerState.meetingPageUrl = meetingPageUrl; 
-            tickerState.ageGroup = gameSummary.ageGroup; 
-            tickerState.lastKnownScore = '0-0'; 
+/**
+ * Polls a game once and feeds the data to every chat that follows it.
+ * Each chat keeps its own mode, seen set and recap state.
+ */
+async function runPollWorker(job) {
+    const { jobId, gameId } = job;
+    const gamePoll = getGamePoll(gameId);
+    const timerLabel = `[${gameId}] Job ${jobId} (poll) Execution Time`;
+    console.time(timerLabel);
+    let pollStartedAt = null; // Set while the request is running
 
-            if (delay > 0) { // Still in future
-                console.log(`[${chatId}] Planungs-Job erfolgreich...`);
-                const modeDescriptionScheduled = (tickerState.mode === 'recap') ? `im Recap-Modus (${RECAP_INTERVAL_MINUTES}-Minuten-Zusammenfassungen)` : "mit Live-Updates";
-                
-                // Only send a schedule confirmation if it's NOT an auto-schedule loop
-                // The auto-schedule loop confirmation is sent from app.js
-                if (!tickerState.isAutoSchedule) {
-                    await client.sendMessage(chatId, `✅ Ticker für *${teamNames.home}* vs *${teamNames.guest}* ist geplant (${modeDescriptionScheduled}) und startet automatisch am ${startDateLocale} um ca. ${startTimeLocale} Uhr.`);                
-                }
-                
-                tickerState.isPolling = false; 
-                tickerState.isScheduled = true;
-                
-                const currentSchedule = loadScheduledTickers(scheduleFilePath);
-                currentSchedule[chatId] = {
-                    meetingPageUrl: tickerState.meetingPageUrl, 
-                    startTime: startTime.toISOString(),
-                    groupName: tickerState.groupName,
-                    mode: tickerState.mode,
-                    isAutoSchedule: tickerState.isAutoSchedule,
-                    teamPageUrl: tickerState.teamPageUrl,
-                    ageGroup: tickerState.ageGroup 
-                };
-                saveScheduledTickers(currentSchedule, scheduleFilePath);
-                tickerState.scheduleTimeout = setTimeout(() => beginActualPolling(chatId), delay);
-            } else { // Already started
-                console.log(`[${chatId}] Planungs-Job erfolgreich. Spiel beginnt sofort...`);
-                let startMessage = `▶️ Ticker für *${teamNames.home}* vs *${teamNames.guest}* wird sofort gestartet. `;
-                startMessage += (tickerState.mode === 'recap') ? `Du erhältst alle ${RECAP_INTERVAL_MINUTES} Minuten eine Zusammenfassung. 📬` : `Du erhältst alle Events live! ⚽`;
-                
-                if (!tickerState.isAutoSchedule) {
-                    await client.sendMessage(chatId, startMessage);
-                }
-                tickerState.isScheduling = false;
-                beginActualPolling(chatId); 
-            }
+    try {
+        if (getGameSubscribers(gameId).length === 0) {
+            console.log(`[${gameId}] Job ${jobId} (poll) wird übersprungen, da kein Ticker mehr aktiv ist.`);
+            return;
         }
-        // --- Logic for 'poll' job ---
-        else if (type === 'poll') {
-             if (!tickerState.teamNames) { 
-                 tickerState.teamNames = { home: gameSummary.homeTeam.name, guest: gameSummary.awayTeam.name }; 
-             }
-             if (!tickerState.ageGroup) {
-                 tickerState.ageGroup = gameSummary.ageGroup;
-             }
-             if (!tickerState.lastKnownScore) {
-                 tickerState.lastKnownScore = '0-0'; 
-             }
-             
-             const newUpdatedAt = gameSummary.updatedAt;
-             if (!tickerState.lastUpdatedAt || newUpdatedAt > tickerState.lastUpdatedAt) { 
-                console.log(`[${chatId}] Neue Version erkannt: ${newUpdatedAt}`);
-                tickerState.lastUpdatedAt = newUpdatedAt;
-                
-                if (await processEvents(gameData, tickerState, chatId)) {
-                    saveSeenTickers(activeTickers, seenFilePath); 
-                }
-            } else {
-                 console.log(`[${chatId}] Keine neue Version erkannt (${newUpdatedAt || 'N/A'}).`);
+        console.log(`[${gameId}] Worker startet Job ${jobId} (poll). Verbleibende Jobs: ${jobQueue.length}. Aktive Worker: ${activeWorkers}`);
+
+        pollStartedAt = Date.now();
+        const { gameData, notModified } = await fetchGameData(gameId, gamePoll);
+        recordPoll(gameId, Date.now() - pollStartedAt, true);
+        pollStartedAt = null; // Errors after this point are not request errors
+        if (notModified) {
+            console.log(`[${gameId}] Keine Änderung (HTTP 304).`);
+        }
+        gamePoll.lastGameData = gameData;
+        gamePoll.pollErrorCount = 0;
+        gamePoll.gamePhase = getGamePhase(gameData.events.slice().reverse());
+
+        // Subscribers are read again, a chat may have stopped while the request was running
+        for (const tickerState of getGameSubscribers(gameId)) {
+            try {
+                await updateTicker(tickerState, gameData);
+            } catch (error) {
+                console.error(`[${tickerState.tickerKey}] Fehler beim Verarbeiten der Spieldaten:`, error);
             }
         }
     } catch (error) {
-        console.error(`[${chatId}] Fehler im Worker-Job ${jobId} (${type}):`, error.message);
-        if (type === 'schedule') {
-             // Don't send error if it was an auto-schedule, just log it
-             if (!tickerState.isAutoSchedule) {
-                await client.sendMessage(chatId, 'Fehler: Die initiale Planung des Tickers ist fehlgeschlagen. Bitte versuchen Sie es erneut.');
-             } else {
-                console.error(`[${chatId}] Auto-Schedule Planungs-Job fehlgeschlagen.`);
-             }
-             activeTickers.delete(chatId);
-             const currentSchedule = loadScheduledTickers(scheduleFilePath);
-             if (currentSchedule[chatId]) {
-                 delete currentSchedule[chatId];
-                 saveScheduledTickers(currentSchedule, scheduleFilePath);
-             }
-        }
+        console.error(`[${gameId}] Fehler im Worker-Job ${jobId} (poll):`, error.message);
+        gamePoll.pollErrorCount++;
+        if (pollStartedAt) recordPoll(gameId, Date.now() - pollStartedAt, false);
     } finally {
+        gamePoll.isPollPending = false;
+        gamePoll.nextPollAt = Date.now() + getPollInterval(gamePoll);
         console.timeEnd(timerLabel);
-        activeWorkers--; 
+        activeWorkers--;
     }
 }
 
+/**
+ * Feeds freshly polled game data to a single ticker.
+ */
+async function updateTicker(tickerState, gameData) {
+    const { tickerKey } = tickerState;
+    const gameSummary = gameData.summary;
+
+    if (!tickerState.teamNames) { 
+        tickerState.teamNames = { home: gameSummary.homeTeam.name, guest: gameSummary.awayTeam.name }; 
+    }
+    if (!tickerState.startsAt) {
+        tickerState.startsAt = gameSummary.startsAt;
+    }
+    if (!tickerState.teamIds) {
+        tickerState.teamIds = { home: gameSummary.homeTeam.id || null, guest: gameSummary.awayTeam.id || null };
+    }
+    if (!tickerState.teamTag) {
+        tickerState.teamTag = createTeamTag(tickerState.teamNames);
+    }
+    if (!tickerState.ageGroup) {
+        tickerState.ageGroup = gameSummary.ageGroup;
+    }
+    if (!tickerState.lastKnownScore) {
+        tickerState.lastKnownScore = '0-0'; 
+    }
+    
+    const newUpdatedAt = gameSummary.updatedAt;
+    if (!tickerState.lastUpdatedAt || newUpdatedAt > tickerState.lastUpdatedAt) { 
+        console.log(`[${tickerKey}] Neue Version erkannt: ${newUpdatedAt}`);
+        tickerState.lastUpdatedAt = newUpdatedAt;
+        
+        if (await processEvents(gameData, tickerState)) {
+            saveSeenTickers(activeTickers); 
+        }
+    } else {
+        console.log(`[${tickerKey}] Keine neue Version erkannt (${newUpdatedAt || 'N/A'}).`);
+        // A tied game may end without a new event, so the end condition is checked anyway
+        if (tickerState.pendingGameEndSince && await processEvents(gameData, tickerState)) {
+            saveSeenTickers(activeTickers);
+        }
+    }
+}
+
+/**
+ * Builds the buffered recap entry for an event, with the player/team detail already resolved.
+ * @param {object} ev - The event object (score already filled in).
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {object} gameData - The full data object from the API (for lineup lookups).
+ * @returns {object} - The event with an added 'preformattedDetail' string.
+ */
+function buildRecapEvent(ev, tickerState, gameData) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const lineup = gameData ? gameData.lineup : null;
+    const team = ev.team ? ev.team.toLowerCase() : null; 
+    const teamName = ev.team === 'Home' ? tickerState.teamNames.home : tickerState.teamNames.guest;
+    let detailStr = ""; 
+    const numMatch = (ev.message || '').match(/(\d+)\./);
+    const playerNumber = numMatch ? parseInt(numMatch[1], 10) : null;
+    let playerName = null;
+    if (playerNumber && team && lineup && lineup[team]) {
+        const player = lineup[team].find(p => p.number === playerNumber);
+        if (player) {
+            playerName = abbreviatePlayerName(player.firstname, player.lastname); 
+        }
+    }
+    switch (ev.type) {
+        case "Goal": case "SevenMeterGoal":
+            if (playerName) detailStr = `${playerName}`;
+            else if (playerNumber) detailStr = t(language, 'event.playerNumber', { number: playerNumber });
+            break;
+        case "SevenMeterMissed": case "TwoMinutePenalty": case "Warning": case "Disqualification": case "DisqualificationWithReport":
+            if (playerName) detailStr = `${playerName} (*${teamName}*)`;
+            else if (playerNumber) detailStr = `${t(language, 'event.playerNumber', { number: playerNumber })} (*${teamName}*)`;
+            else detailStr = `*${teamName}*`;
+            break;
+        case "Timeout":
+            detailStr = `*${teamName}*`;
+            break;
+        case "StartPeriod":
+            detailStr = getPeriodLabel(ev.period, 'start', language);
+            break;
+        case "StopPeriod":
+            detailStr = ev.isGameEnd ? t(language, 'event.gameEnd') : getPeriodLabel(ev.period, 'stop', language);
+            break;
+        default: detailStr = ""; 
+    }
+    return { ...ev, preformattedDetail: detailStr };
+}
+
+/**
+ * Compares the current events with the fingerprints of the events already seen.
+ * Updates the stored fingerprints and returns what was edited or deleted since the last poll.
+ * @param {Array} events - The chronological list of all current events.
+ * @param {object} tickerState - The state object for the ticker.
+ * @returns {Array} - Corrections as { type: 'edited'|'deleted', before, after }.
+ */
+function detectCorrections(events, tickerState) {
+    if (!tickerState.fingerprints) tickerState.fingerprints = {};
+    const fingerprints = tickerState.fingerprints;
+    const corrections = [];
+    const currentIds = new Set();
+
+    for (const ev of events) {
+        currentIds.add(String(ev.id));
+        if (!tickerState.seen.has(ev.id)) continue; // New events are handled by processEvents
+
+        const fingerprint = getEventFingerprint(ev);
+        const previous = fingerprints[ev.id];
+        // A changed score alone is recalculated by handball.net, see isEventContentChanged
+        if (previous && isEventContentChanged(previous, fingerprint)) {
+            corrections.push({ type: 'edited', before: { id: ev.id, ...JSON.parse(previous) }, after: ev });
+        }
+        fingerprints[ev.id] = fingerprint;
+    }
+
+    // An empty event list is most likely a broken response, not a mass deletion
+    if (events.length === 0) return corrections;
+
+    for (const id of Object.keys(fingerprints)) {
+        if (currentIds.has(id)) continue;
+        corrections.push({ type: 'deleted', before: { id, ...JSON.parse(fingerprints[id]) }, after: null });
+        delete fingerprints[id];
+        // Forget the ID, so the event is announced again if it gets restored
+        for (const seenId of tickerState.seen) {
+            if (String(seenId) === id) tickerState.seen.delete(seenId);
+        }
+    }
+    return corrections;
+}
+
+/**
+ * Publishes a correction. In live mode a "Korrektur" message is sent. In recap mode the
+ * buffered event is fixed, or a correction line is sent if the recap already went out.
+ */
+async function handleCorrection(correction, tickerState, gameData, events) {
+    const { tickerKey } = tickerState;
+    const isDeletion = correction.type === 'deleted';
+    const ev = isDeletion ? correction.before : correction.after;
+    const eventWithScore = { ...ev, score: ev.score || tickerState.lastKnownScore };
+    if (!eventWithScore.period) eventWithScore.period = estimatePeriod(ev, tickerState.gameFormat);
+    if (ev.type === "StopPeriod") eventWithScore.isGameEnd = !isDeletion && isGameOverAt(eventWithScore, events, gameData.summary);
+    console.log(`[${tickerKey}] Korrektur erkannt (${correction.type}) für Event ${ev.id} (${ev.type}).`);
+    sendCorrectionWebhooks(tickerState, correction.type, eventWithScore, gameData);
+
+    // Corrections are only posted if the group would have seen the event before or after the change
+    const isFiltered = !shouldPostEvent(eventWithScore, tickerState) && !shouldPostEvent(correction.before, tickerState);
+    if (isFiltered && !(tickerState.mode === 'recap' && tickerState.recapEvents.some(e => String(e.id) === String(ev.id)))) {
+        return;
+    }
+
+    let msg = "";
+    if (tickerState.mode === 'live') {
+        msg = formatEvent(eventWithScore, tickerState, gameData);
+    } else if (tickerState.mode === 'recap') {
+        const bufferIndex = tickerState.recapEvents.findIndex(e => String(e.id) === String(ev.id));
+        if (bufferIndex > -1) {
+            // Not sent yet, so the buffer can simply be fixed
+            if (isDeletion || !shouldPostEvent(eventWithScore, tickerState)) tickerState.recapEvents.splice(bufferIndex, 1);
+            else tickerState.recapEvents[bufferIndex] = buildRecapEvent(eventWithScore, tickerState, gameData);
+            return;
+        }
+        if (!isDeletion && getEventMinute(ev) >= (tickerState.recapMinuteCounter || 0)) {
+            // Filtered out before and its recap window is still open, so it just joins the buffer
+            if (shouldPostEvent(eventWithScore, tickerState)) tickerState.recapEvents.push(buildRecapEvent(eventWithScore, tickerState, gameData));
+            return;
+        }
+        msg = formatRecapEventLine(buildRecapEvent(eventWithScore, tickerState, gameData), tickerState);
+    }
+    if (!msg) return;
+
+    const header = t(getGroupLanguage(tickerState.chatId), isDeletion ? 'ticker.correctionDeleted' : 'ticker.correction');
+    try {
+        await sendTickerMessage(tickerState, `${header}\n${msg}`);
+    } catch (error) {
+        console.error(`[${tickerKey}] Fehler beim Senden der Korrektur für Event ${ev.id}:`, error);
+    }
+}
+
+/**
+ * Sends the score after corrections changed it.
+ */
+async function sendCorrectedScore(tickerState) {
+    const [home, guest] = tickerState.lastKnownScore.split(/[:-]/);
+    const teamNames = tickerState.teamNames || {};
+    const language = getGroupLanguage(tickerState.chatId);
+    try {
+        await sendTickerMessage(tickerState, t(language, 'ticker.correctedScore', {
+            home: teamNames.home || t(language, 'event.home'),
+            guest: teamNames.guest || t(language, 'event.guest'),
+            score: `${home}:${guest}`
+        }));
+    } catch (error) {
+        console.error(`[${tickerState.tickerKey}] Fehler beim Senden des korrigierten Spielstands:`, error);
+    }
+}
+
+/**
+ * Derives the game phase from the last period event: 'pre' before throw-off,
+ * 'break' after a StopPeriod (halftime, before overtime) and 'live' during play.
+ */
+function getGamePhase(events) {
+    const periodEvents = events.filter(ev => ev.type === "StartPeriod" || ev.type === "StopPeriod");
+    if (periodEvents.length === 0) return 'pre';
+    return periodEvents[periodEvents.length - 1].type === "StopPeriod" ? 'break' : 'live';
+}
+
 /**
  * Processes events, handles modes, calls AI, sends final stats, schedules cleanup.
  */
-async function processEvents(gameData, tickerState, chatId) {
+async function processEvents(gameData, tickerState) {
     if (!gameData || !Array.isArray(gameData.events)) return false;
     
+    const { tickerKey } = tickerState;
     let newUnseenEventsProcessed = false;
-    const events = gameData.events.slice().reverse();
+    const chronologicalEvents = gameData.events.slice().reverse();
+    tickerState.gameFormat = resolveGameFormat(gameData.summary, chronologicalEvents);
+    const events = annotatePeriods(chronologicalEvents, tickerState.gameFormat);
+
+    // --- Corrections: edited or deleted events since the last poll ---
+    const corrections = detectCorrections(events, tickerState);
+    if (corrections.length > 0) {
+        newUnseenEventsProcessed = true;
+        // Goals may have been removed or changed, so take the score from the corrected list
+        const previousScore = tickerState.lastKnownScore || '0-0';
+        const lastScoredEvent = [...events].reverse().find(e => e.score && tickerState.seen.has(e.id));
+        tickerState.lastKnownScore = lastScoredEvent ? lastScoredEvent.score : '0-0';
+        for (const correction of corrections) {
+            await handleCorrection(correction, tickerState, gameData, events);
+        }
+        // The later goals are not announced again, one message tells the corrected score
+        if (tickerState.lastKnownScore.replace('-', ':') !== previousScore.replace('-', ':')) {
+            await sendCorrectedScore(tickerState);
+        }
+    }
 
     let lastKnownScore = tickerState.lastKnownScore || '0-0';
 
@@ -558,80 +1061,65 @@ async function processEvents(gameData, tickerState, chatId) {
         if (tickerState.seen.has(ev.id)) continue; 
 
         tickerState.seen.add(ev.id);
+        tickerState.fingerprints[ev.id] = getEventFingerprint(ev);
         newUnseenEventsProcessed = true;
+        if (ev.time) tickerState.lastEventTime = ev.time; // Game clock for !status
 
         if (ev.score) {
             lastKnownScore = ev.score;
         }
 
         const eventWithScore = { ...ev, score: ev.score || lastKnownScore };
+        const isGameEnd = isGameOverAt(eventWithScore, events, gameData.summary);
+        if (ev.type === "StopPeriod") {
+            eventWithScore.isGameEnd = isGameEnd;
+            // After regular time another period may follow (overtime or a shootout), or the game ends in a draw.
+            // The end of an odd period is waited for as well, a shootout may follow regular time directly.
+            if (!isGameEnd && ev.period >= 2) {
+                console.log(`[${tickerKey}] Periode ${ev.period} beendet. Warte auf weiteren Spielabschnitt oder Spielende.`);
+                tickerState.pendingGameEndSince = Date.now();
+            }
+        }
+        if (ev.type === "StartPeriod") {
+            tickerState.pendingGameEndSince = null;
+        }
+
+        // Webhooks get every event, no matter the mode or the group's filter
+        sendEventWebhooks(tickerState, eventWithScore, gameData);
         
+        // Events the group filtered out (!filter) are neither posted nor added to the recap
+        const isWanted = shouldPostEvent(eventWithScore, tickerState);
+
         let msg = "";
-        if (tickerState.mode === 'live') {
+        if (tickerState.mode === 'live' && isWanted) {
             msg = formatEvent(eventWithScore, tickerState, gameData); 
         }
 
         if (tickerState.mode === 'live' && msg) {
             try {
-                console.log(`[${chatId}] Sende neues Event (Live):`, msg);
-                await client.sendMessage(chatId, msg);
+                console.log(`[${tickerKey}] Sende neues Event (Live):`, msg);
+                await sendTickerMessage(tickerState, msg);
             } catch (sendError) {
-                console.error(`[${chatId}] Fehler beim Senden der Nachricht für Event ${ev.id}:`, sendError);
+                console.error(`[${tickerKey}] Fehler beim Senden der Nachricht für Event ${ev.id}:`, sendError);
             }
         }
         else if (tickerState.mode === 'recap') {
             // Add event to buffer
             const ignoredEvents = ["StartGame"];
-            if (!ignoredEvents.includes(ev.type)) {
-                // (Your existing, correct logic for formatting detailStr)
-                const lineup = gameData ? gameData.lineup : null;
-                const team = ev.team ? ev.team.toLowerCase() : null; 
-                const teamName = ev.team === 'Home' ? tickerState.teamNames.home : tickerState.teamNames.guest;
-                let detailStr = ""; 
-                const numMatch = ev.message.match(/(\d+)\./);
-                const playerNumber = numMatch ? parseInt(numMatch[1], 10) : null;
-                let playerName = null;
-                if (playerNumber && team && lineup && lineup[team]) {
-                    const player = lineup[team].find(p => p.number === playerNumber);
-                    if (player) {
-                        playerName = abbreviatePlayerName(player.firstname, player.lastname); 
-                    }
-                }
-                switch (ev.type) {
-                    case "Goal": case "SevenMeterGoal":
-                        if (playerName) detailStr = `${playerName}`;
-                        else if (playerNumber) detailStr = `Nr. ${playerNumber}`;
-                        break;
-                    case "SevenMeterMissed": case "TwoMinutePenalty": case "Warning": case "Disqualification": case "DisqualificationWithReport":
-                        if (playerName) detailStr = `${playerName} (*${teamName}*)`;
-                        else if (playerNumber) detailStr = `Nr. ${playerNumber} (*${teamName}*)`;
-                        else detailStr = `*${teamName}*`;
-                        break;
-                    case "Timeout":
-                        detailStr = `*${teamName}*`;
-                        break;
-                    case "StartPeriod":
-                        detailStr = (ev.time === "00:00") ? "Das Spiel hat begonnen!" : "Die zweite Halbzeit hat begonnen!";
-                        break;
-                    case "StopPeriod":
-                         const minute = ev.time ? parseInt(ev.time.split(':')[0], 10) : 0;
-                         if (minute > 30) detailStr = `Spielende`;
-                         else detailStr = `Halbzeit`;
-                        break;
-                    default: detailStr = ""; 
-                }
-                console.log(`[${chatId}] Speichere Event-Objekt für Recap (ID: ${ev.id}, Typ: ${ev.type})`);
-                tickerState.recapEvents.push({ ...eventWithScore, preformattedDetail: detailStr });
+            if (!ignoredEvents.includes(ev.type) && isWanted) {
+                console.log(`[${tickerKey}] Speichere Event-Objekt für Recap (ID: ${ev.id}, Typ: ${ev.type})`);
+                tickerState.recapEvents.push(buildRecapEvent(eventWithScore, tickerState, gameData));
             }
         }
         
         // --- NEW EVENT-DRIVEN RECAP TRIGGER ---
         if (tickerState.mode === 'recap') {
-            const evMin = ev.time ? parseInt(ev.time.split(':')[0], 10) : -1;
+            const evMin = getEventMinute(ev);
             
             if (evMin > -1) {
+                const { recapIntervalMinutes } = getGroupSettings(tickerState.chatId);
                 let currentWindowStart = tickerState.recapMinuteCounter || 0;
-                let recapWindowEnd = currentWindowStart + RECAP_INTERVAL_MINUTES;
+                let recapWindowEnd = currentWindowStart + recapIntervalMinutes;
 
                 // Check if this event (or a StopPeriod) has crossed the window boundary
                 while (evMin >= recapWindowEnd || (ev.type === "StopPeriod" && evMin > currentWindowStart)) {
@@ -643,13 +1131,13 @@ async function processEvents(gameData, tickerState, chatId) {
                         effectiveEndMin = evMin;
                     }
 
-                    console.log(`[${chatId}] Event (${ev.type} @ ${evMin}min) löst Recap-Sendung für ${currentWindowStart}-${effectiveEndMin}min aus.`);
-                    await sendRecapMessage(chatId, currentWindowStart, effectiveEndMin);
+                    console.log(`[${tickerKey}] Event (${ev.type} @ ${evMin}min) löst Recap-Sendung für ${currentWindowStart}-${effectiveEndMin}min aus.`);
+                    await sendRecapMessage(tickerKey, currentWindowStart, effectiveEndMin);
                     
                     // Update the counter and check for the *next* window
                     tickerState.recapMinuteCounter = effectiveEndMin;
                     currentWindowStart = effectiveEndMin;
-                    recapWindowEnd = currentWindowStart + RECAP_INTERVAL_MINUTES;
+                    recapWindowEnd = currentWindowStart + recapIntervalMinutes;
 
                     // If it was a critical stop, we are done with this event.
                     if (ev.type === "StopPeriod") {
@@ -661,73 +1149,28 @@ async function processEvents(gameData, tickerState, chatId) {
         // --- END NEW TRIGGER ---
 
 
-        if (ev.type === "StopPeriod") {
-            const minute = ev.time ? parseInt(ev.time.split(':')[0], 10) : 0;
-            if (minute > 30) { 
-                console.log(`[${chatId}] Spielende-Event empfangen. Ticker wird gestoppt.`);
-                tickerState.isPolling = false;
-                // No more recapIntervalId to clear
-
-                const index = jobQueue.findIndex(job => job.chatId === chatId);
-                if (index > -1) jobQueue.splice(index, 1);
-
-                try {
-                    const statsMessage = await extractGameStats(gameData.lineup, tickerState.teamNames, events);
-                    setTimeout(async () => {
-                         try { await client.sendMessage(chatId, statsMessage); }
-                         catch(e) { console.error(`[${chatId}] Fehler beim Senden der Spielstatistiken:`, e); }
-                    }, 1000); 
-                } catch (e) { console.error(`[${chatId}] Fehler beim Erstellen der Spielstatistiken:`, e); }
-
-                try {
-                    const summary = await generateGameSummary(events, tickerState.teamNames, tickerState.groupName, gameData.lineup);
-                    setTimeout(async () => {
-                         if (summary) {
-                             try { await client.sendMessage(chatId, summary); }
-                             catch(e) { console.error(`[${chatId}] Fehler beim Senden der AI-Zusammenfassung:`, e); }
-                         }
-                    }, 2000); 
-                } catch (e) { console.error(`[${chatId}] Fehler beim Generieren der AI-Zusammenfassung:`, e); }
-
-                setTimeout(async () => {
-                    const finalMessage = "Vielen Dank fürs Mitfiebern! 🥳\n\nDen Quellcode für diesen Bot könnt ihr hier einsehen:\nhttps://github.com/nambatu/handball.net-whatsapp-liveticker-bot/";
-                    try { await client.sendMessage(chatId, finalMessage); }
-                    catch (e) { console.error(`[${chatId}] Fehler beim Senden der Abschlussnachricht: `, e); }
-                }, 4000); 
+        if (ev.type === "StopPeriod" && isGameEnd) {
+            console.log(`[${tickerKey}] Spielende-Event empfangen (Periode ${ev.period}). Ticker wird gestoppt.`);
+            tickerState.lastKnownScore = lastKnownScore;
+            await finishGame(gameData, tickerState, events);
+            break; 
+        }
+    }
 
-                // SCHEDULE CLEANUP & AUTO-SCHEDULE HOOK
-                setTimeout(async () => {
-                    if (activeTickers.has(chatId)) {
-                        activeTickers.delete(chatId);
-                        saveSeenTickers(activeTickers, seenFilePath);
-                        console.log(`[${chatId}] Ticker-Daten automatisch bereinigt.`);
-                    }
-                    
-                    if (tickerState.isAutoSchedule) {
-                        console.log(`[${chatId}] Auto-Schedule: Suche nach dem nächsten Spiel...`);
-                        try {
-                            const nextGame = await autoScheduleNextGame(
-                                tickerState.teamPageUrl, 
-                                chatId, 
-                                tickerState.groupName, 
-                                tickerState.mode,
-                                tickerState.gameId // Pass the finished game ID
-                            );
-                            
-                            if (nextGame) {
-                                await client.sendMessage(chatId, `🤖 Auto-Schedule: Das nächste Spiel wurde gefunden und geplant:\n\n*${nextGame.homeTeam.name}* vs *${nextGame.awayTeam.name}*\nam ${new Date(nextGame.startsAt).toLocaleDateString('de-DE', {weekday: 'short', day: '2-digit', month: '2-digit'})} um ${new Date(nextGame.startsAt).toLocaleTimeString('de-DE', {hour: '2-digit', minute: '2-digit'})} Uhr.`);
-                            } else {
-                                await client.sendMessage(chatId, `🤖 Auto-Schedule: Alle Spiele für diese Saison sind abgeschlossen. Die automatische Planung ist beendet.`);
-                            }
-                        } catch (e) {
-                            console.error(`[${chatId}] Auto-Schedule-Fehler:`, e);
-                            await client.sendMessage(chatId, `🤖 Auto-Schedule: Fehler beim Planen des nächsten Spiels: ${e.message}`);
-                        }
-                    }
-                    
-                }, 30000); 
-                break; 
-            }
+    // --- No further period started: end once handball.net reports the game as finished ---
+    if (tickerState.isPolling && tickerState.pendingGameEndSince) {
+        const waitedTooLong = Date.now() - tickerState.pendingGameEndSince > GAME_END_WAIT_MINUTES * 60000;
+        if (isFinishedState(gameData.summary) || waitedTooLong) {
+            console.log(`[${tickerKey}] Kein weiterer Spielabschnitt (${waitedTooLong ? 'Wartezeit abgelaufen' : 'Spiel beendet'}). Ticker wird gestoppt.`);
+            const lastEvent = events[events.length - 1];
+            const endEvent = { type: "StopPeriod", score: lastKnownScore, period: lastEvent ? lastEvent.period : 2, isGameEnd: true };
+            try {
+                await sendTickerMessage(tickerState, formatEvent(endEvent, tickerState, gameData));
+            } catch (e) { console.error(`[${tickerKey}] Fehler beim Senden der Spielende-Nachricht:`, e); }
+            sendEventWebhooks(tickerState, endEvent, gameData);
+            tickerState.lastKnownScore = lastKnownScore;
+            await finishGame(gameData, tickerState, events);
+            newUnseenEventsProcessed = true;
         }
     }
     
@@ -736,13 +1179,149 @@ async function processEvents(gameData, tickerState, chatId) {
     return newUnseenEventsProcessed;
 }
 
+/**
+ * Ends a ticker after the final whistle: sends stats, AI summary and the closing message,
+ * then cleans up and continues the auto-schedule chain.
+ * @param {object} gameData - The full data object from the API.
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {Array} events - The annotated chronological list of all events.
+ */
+async function finishGame(gameData, tickerState, events) {
+    const { tickerKey } = tickerState;
+    tickerState.pendingGameEndSince = null;
+
+    // Events in the last minute (e.g. a 7-meter shootout) never cross a window boundary, so flush them now
+    if (tickerState.mode === 'recap' && tickerState.recapEvents.length > 0) {
+        const lastMinute = Math.max(...tickerState.recapEvents.map(getEventMinute));
+        await sendRecapMessage(tickerKey, tickerState.recapMinuteCounter || 0, lastMinute + 1);
+    }
+    tickerState.isPolling = false;
+    // No more recapIntervalId to clear
+
+    removeJobsForTicker(tickerKey);
+    const settings = getGroupSettings(tickerState.chatId);
+
+    try {
+        recordSeasonGame(tickerState, gameData, events);
+    } catch (e) { console.error(`[${tickerKey}] Fehler beim Speichern der Saisonstatistik:`, e); }
+
+    try {
+        sendFinalStatsWebhooks(tickerState, gameData, events);
+    } catch (e) { console.error(`[${tickerKey}] Fehler bei den Webhooks der Spielstatistik:`, e); }
+
+    // Sent right away, so the card arrives before the stats text
+    if (settings.scoreCard) {
+        try {
+            const scoreCard = await buildScoreCard(tickerState, gameData, events, transport);
+            await sendTickerImage(tickerState, scoreCard);
+        } catch (e) { console.error(`[${tickerKey}] Fehler bei der Ergebnis-Grafik:`, e.message); }
+    }
+
+    if (settings.stats) {
+        try {
+            const statsMessage = await extractGameStats(gameData.lineup, tickerState.teamNames, events, settings.language);
+            setTimeout(async () => {
+                 try { await sendTickerMessage(tickerState, statsMessage); }
+                 catch(e) { console.error(`[${tickerKey}] Fehler beim Senden der Spielstatistiken:`, e); }
+            }, 1000); 
+        } catch (e) { console.error(`[${tickerKey}] Fehler beim Erstellen der Spielstatistiken:`, e); }
+    }
+
+    if (settings.table) {
+        try {
+            const standingsMessage = await buildTickerStandings(tickerState);
+            if (standingsMessage) {
+                setTimeout(async () => {
+                    try { await sendTickerMessage(tickerState, standingsMessage); }
+                    catch (e) { console.error(`[${tickerKey}] Fehler beim Senden der Tabelle:`, e); }
+                }, 1500);
+            }
+        } catch (e) { console.error(`[${tickerKey}] Fehler beim Abrufen der Tabelle:`, e.message); }
+    }
+
+    if (settings.aiSummary) {
+        try {
+            const summary = await generateGameSummary(events, tickerState.teamNames, tickerState.groupName, gameData.lineup, tickerState.gameFormat, settings.language);
+            setTimeout(async () => {
+                 if (summary) {
+                     try { await sendTickerMessage(tickerState, summary); }
+                     catch(e) { console.error(`[${tickerKey}] Fehler beim Senden der AI-Zusammenfassung:`, e); }
+                 }
+            }, 2000); 
+        } catch (e) { console.error(`[${tickerKey}] Fehler beim Generieren der AI-Zusammenfassung:`, e); }
+    }
+
+    const finalMessage = getClosingMessage(tickerState.chatId);
+    if (finalMessage) {
+        setTimeout(async () => {
+            try { await sendTickerMessage(tickerState, finalMessage); }
+            catch (e) { console.error(`[${tickerKey}] Fehler beim Senden der Abschlussnachricht: `, e); }
+        }, 4000);
+    } 
+
+    // SCHEDULE CLEANUP & AUTO-SCHEDULE HOOK
+    setTimeout(async () => {
+        if (activeTickers.has(tickerKey)) {
+            activeTickers.delete(tickerKey);
+            saveSeenTickers(activeTickers);
+            console.log(`[${tickerKey}] Ticker-Daten automatisch bereinigt.`);
+        }
+        
+        if (tickerState.isAutoSchedule) {
+            console.log(`[${tickerKey}] Auto-Schedule: Suche nach dem nächsten Spiel...`);
+            try {
+                const nextGame = await autoScheduleNextGame(
+                    tickerState.teamPageUrl, 
+                    tickerState.chatId, 
+                    tickerState.groupName, 
+                    tickerState.mode,
+                    tickerState.gameId, // Pass the finished game ID
+                    tickerState.teamTag,
+                    tickerState.skippedGameIds || []
+                );
+                
+                const language = getGroupLanguage(tickerState.chatId);
+                if (nextGame) {
+                    await sendTickerMessage(tickerState, t(language, 'autoschedule.nextGame', {
+                        home: nextGame.homeTeam.name,
+                        guest: nextGame.awayTeam.name,
+                        date: formatDate(language, nextGame.startsAt, { weekday: 'short', day: '2-digit', month: '2-digit' }),
+                        time: formatTime(language, nextGame.startsAt)
+                    }));
+                } else {
+                    await sendTickerMessage(tickerState, t(language, 'autoschedule.seasonDone'));
+                    const seasonReview = buildSeasonReview(tickerState);
+                    if (seasonReview) await sendTickerMessage(tickerState, seasonReview);
+                }
+            } catch (e) {
+                console.error(`[${tickerKey}] Auto-Schedule-Fehler:`, e);
+                await sendTickerMessage(tickerState, t(getGroupLanguage(tickerState.chatId), 'autoschedule.failed', { error: e.message }));
+            }
+        }
+        
+    }, 30000); 
+}
+
 // --- Exports ---
 module.exports = {
     initializePolling,
     masterScheduler,
     dispatcherLoop,
+    getActiveWorkers,
     startPolling: queueTickerScheduling,
     beginActualPolling,
+    resumePolling,
+    scheduleGamePreview,
+    switchTickerMode,
+    getChatTickers,
+    sendTickerMessage,
+    stopTicker,
+    removeJobsForTicker,
     getGameIdFromUrl,
-    autoScheduleNextGame 
+    autoScheduleNextGame,
+    replanAutoSchedule,
+    saveSkippedGames,
+    findNextGame,
+    fetchUpcomingGames,
+    getNextGameFromSchedule
 };
\ No newline at end of file
@@ -0,0 +1,212 @@
+// preview.js - Preview message some time before a game (!config vorschau)
+//
+// Date and venue come from the game data, recent results and earlier meetings from the
+// schedules of both teams and the league positions from the table. Whatever can't be found
+// is left out, the preview is sent anyway.
+
+const { getSpielplanData, getTeamPageUrl } = require('./datasource.js');
+const { getTableData } = require('./standings.js');
+const { generateGamePreview } = require('./ai.js');
+const { t, formatDate, formatTime } = require('./i18n.js');
+const { getGroupSettings } = require('./settings.js');
+const { getVenue } = require('./utils.js');
+
+const FORM_GAMES = 5;
+
+function isGoalCount(value) {
+    return value !== undefined && value !== null && value !== '' && !isNaN(Number(value));
+}
+
+/**
+ * Reads the final score of a game from the schedule.
+ * @returns {{home: number, guest: number}|null} - Null if the game is not finished.
+ */
+function getResult(game) {
+    if (game.state !== 'Post' || !isGoalCount(game.homeGoals) || !isGoalCount(game.awayGoals)) return null;
+    return { home: Number(game.homeGoals), guest: Number(game.awayGoals) };
+}
+
+function getTeamId(team) {
+    return team ? team.id : null;
+}
+
+function sortByDate(games) {
+    return games.slice().sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+}
+
+/**
+ * Returns the finished games of a team, oldest first, seen from the team's side.
+ */
+function getTeamResults(games, teamId) {
+    return sortByDate(games)
+        .filter(game => getResult(game) && (getTeamId(game.homeTeam) === teamId || getTeamId(game.awayTeam) === teamId))
+        .map(game => {
+            const result = getResult(game);
+            const isHome = getTeamId(game.homeTeam) === teamId;
+            return {
+                goalsFor: isHome ? result.home : result.guest,
+                goalsAgainst: isHome ? result.guest : result.home,
+                opponent: isHome ? game.awayTeam.name : game.homeTeam.name
+            };
+        });
+}
+
+function getOutcomeIcon(result) {
+    if (result.goalsFor > result.goalsAgainst) return '✅';
+    if (result.goalsFor < result.goalsAgainst) return '❌';
+    return '➖';
+}
+
+function getHeadToHead(games, homeId, guestId, gameId) {
+    const teamIds = [homeId, guestId];
+    return sortByDate(games).filter(game => game.id !== gameId && getResult(game)
+        && teamIds.includes(getTeamId(game.homeTeam)) && teamIds.includes(getTeamId(game.awayTeam))
+        && getTeamId(game.homeTeam) !== getTeamId(game.awayTeam));
+}
+
+// --- DATA ---
+
+async function loadSchedule(tickerKey, teamId) {
+    if (!teamId) return [];
+    try {
+        return await getSpielplanData(getTeamPageUrl(teamId, 'spielplan')) || [];
+    } catch (error) {
+        console.error(`[${tickerKey}] Vorschau: Spielplan von ${teamId} nicht abrufbar:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Looks up the league positions of both teams. The table of the guest is only fetched if
+ * the guest is not in the table of the home team (e.g. a cup game).
+ * @returns {object} - { teamId: rank }
+ */
+async function loadRanks(tickerKey, teamIds) {
+    const ranks = {};
+    for (const teamId of [teamIds.home, teamIds.guest]) {
+        if (!teamId || ranks[teamId]) continue;
+        try {
+            for (const row of await getTableData(teamId) || []) {
+                if (row.teamId && !ranks[row.teamId]) ranks[row.teamId] = row.rank;
+            }
+        } catch (error) {
+            console.error(`[${tickerKey}] Vorschau: Tabelle von ${teamId} nicht abrufbar:`, error.message);
+        }
+    }
+    return ranks;
+}
+
+/**
+ * Collects everything the preview shows.
+ */
+async function loadPreviewData(tickerState, summary) {
+    const { tickerKey } = tickerState;
+    const teamIds = tickerState.teamIds || {};
+    const homeGames = await loadSchedule(tickerKey, teamIds.home);
+    const guestGames = await loadSchedule(tickerKey, teamIds.guest);
+    const allGames = [...homeGames, ...guestGames.filter(game => !homeGames.some(other => other.id === game.id))];
+
+    return {
+        startsAt: summary.startsAt || tickerState.startsAt,
+        venue: getVenue(summary),
+        ranks: await loadRanks(tickerKey, teamIds),
+        homeResults: teamIds.home ? getTeamResults(homeGames, teamIds.home).slice(-FORM_GAMES) : [],
+        guestResults: teamIds.guest ? getTeamResults(guestGames, teamIds.guest).slice(-FORM_GAMES) : [],
+        headToHead: (teamIds.home && teamIds.guest) ? getHeadToHead(allGames, teamIds.home, teamIds.guest, tickerState.gameId) : []
+    };
+}
+
+// --- FORMATTING ---
+
+function formatScore(goalsFor, goalsAgainst) {
+    return `${goalsFor}:${goalsAgainst}`;
+}
+
+function formatTeamBlock(language, teamName, rank, results) {
+    const header = t(language, 'preview.team', {
+        team: teamName,
+        rank: rank ? t(language, 'preview.rank', { rank }) : ''
+    });
+    if (results.length === 0) return `${header}\n${t(language, 'preview.noResults')}`;
+
+    const last = results[results.length - 1];
+    return `${header}\n${t(language, 'preview.form', {
+        icons: results.map(getOutcomeIcon).join(' '),
+        score: formatScore(last.goalsFor, last.goalsAgainst),
+        opponent: last.opponent
+    })}`;
+}
+
+function formatHeadToHeadLine(language, game) {
+    const result = getResult(game);
+    return t(language, 'preview.headToHeadLine', {
+        date: formatDate(language, game.startsAt, { day: '2-digit', month: '2-digit' }),
+        home: game.homeTeam.name,
+        guest: game.awayTeam.name,
+        score: formatScore(result.home, result.guest)
+    });
+}
+
+function formatPreview(language, teamNames, teamIds, data) {
+    const lines = [
+        t(language, 'preview.title', { home: teamNames.home, guest: teamNames.guest }),
+        t(language, 'preview.dateTime', {
+            date: formatDate(language, data.startsAt, { weekday: 'short', day: '2-digit', month: '2-digit' }),
+            time: formatTime(language, data.startsAt)
+        })
+    ];
+    if (data.venue) lines.push(t(language, 'preview.venue', { venue: data.venue }));
+    lines.push('', formatTeamBlock(language, teamNames.home, data.ranks[teamIds.home], data.homeResults));
+    lines.push('', formatTeamBlock(language, teamNames.guest, data.ranks[teamIds.guest], data.guestResults));
+    if (data.headToHead.length > 0) {
+        lines.push('', t(language, 'preview.headToHead'), ...data.headToHead.map(game => formatHeadToHeadLine(language, game)));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Turns the preview data into plain text for the AI prompt.
+ */
+function buildAiPreviewData(language, tickerState, data) {
+    const { teamNames } = tickerState;
+    const teamIds = tickerState.teamIds || {};
+    const unknown = t(language, 'preview.unknown');
+    const formatResults = results => results.length > 0
+        ? results.map(result => t(language, 'preview.resultAgainst', { score: formatScore(result.goalsFor, result.goalsAgainst), opponent: result.opponent })).join(', ')
+        : unknown;
+    return {
+        teamNames,
+        groupName: tickerState.groupName,
+        dateTime: `${formatDate(language, data.startsAt, { weekday: 'long', day: '2-digit', month: '2-digit' })}, ${formatTime(language, data.startsAt)}`,
+        venue: data.venue || unknown,
+        homeRank: data.ranks[teamIds.home] || unknown,
+        guestRank: data.ranks[teamIds.guest] || unknown,
+        homeForm: formatResults(data.homeResults),
+        guestForm: formatResults(data.guestResults),
+        headToHead: data.headToHead.length > 0
+            ? data.headToHead.map(game => formatHeadToHeadLine(language, game)).join(', ')
+            : unknown
+    };
+}
+
+/**
+ * Builds the preview messages of a scheduled game: the preview itself and, if the group
+ * switched it on, the AI preview.
+ * @param {object} tickerState - The scheduled ticker (uses teamNames, teamIds, gameId).
+ * @param {object} summary - The current `gameData.summary` of the game.
+ * @returns {Promise<Array>} - The messages to send, in order.
+ */
+async function buildGamePreview(tickerState, summary) {
+    const { language, aiPreview } = getGroupSettings(tickerState.chatId);
+    const teamNames = tickerState.teamNames || { home: summary.homeTeam.name, guest: summary.awayTeam.name };
+    const data = await loadPreviewData(tickerState, summary);
+    const messages = [formatPreview(language, teamNames, tickerState.teamIds || {}, data)];
+
+    if (aiPreview) {
+        const aiMessage = await generateGamePreview(buildAiPreviewData(language, { ...tickerState, teamNames }, data), language);
+        if (aiMessage) messages.push(aiMessage);
+    }
+    return messages;
+}
+
+module.exports = { buildGamePreview };
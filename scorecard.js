@@ -0,0 +1,237 @@
+// scorecard.js - Final score graphic sent after the game (!config grafik)
+//
+// The card is an HTML page with an inline SVG chart, rendered to a PNG in the headless Chromium
+// that whatsapp-web.js already runs. Without WhatsApp one Chromium is started on the first card
+// and kept for the following ones. The card contains no fonts, images or scripts from the
+// internet, so rendering works offline.
+
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const { t } = require('./i18n.js');
+const { getStatsForPrompt } = require('./ai.js');
+const { getGroupLanguage } = require('./settings.js');
+
+const DEFAULT_CHROMIUM_PATH = '/usr/bin/chromium';
+const CARD_WIDTH = 960;
+const CARD_HEIGHT = 720;
+const CHART = { width: 880, height: 260, left: 40, right: 16, top: 12, bottom: 28 };
+const COLORS = { home: '#42a5f5', guest: '#ef5350' };
+const RENDER_TIMEOUT_MS = 30000;
+
+let ownBrowser = null; // Promise of the Chromium started for the cards, if the transport has none
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function parseScore(score) {
+    const [home, guest] = (score || '0-0').replace(':', '-').split('-').map(value => parseInt(value, 10) || 0);
+    return { home, guest };
+}
+
+function getEventMinutes(ev) {
+    if (!ev.time) return 0;
+    const [minutes, seconds] = ev.time.split(':').map(value => parseInt(value, 10) || 0);
+    return minutes + seconds / 60;
+}
+
+// --- GAME DATA ---
+
+/**
+ * Collects what the card shows from the finished game.
+ * @returns {object} - { finalScore, halftimeScore, decision, periodMinutes, duration, progression }
+ */
+function getCardData(tickerState, events) {
+    const periodEnds = events.filter(ev => ev.type === 'StopPeriod' && ev.score);
+    const halftimeEvent = periodEnds.find(ev => ev.period === 1);
+    const finalEvent = periodEnds[periodEnds.length - 1];
+    const lastPeriod = finalEvent ? finalEvent.period : 2;
+    const periodMinutes = tickerState.gameFormat ? tickerState.gameFormat.periodMinutes : 30;
+
+    let decision = null;
+    if (lastPeriod >= 7) decision = 'shootout';
+    else if (lastPeriod >= 5) decision = 'doubleOvertime';
+    else if (lastPeriod >= 3) decision = 'overtime';
+
+    // Every change of the score, the line chart is drawn from these points
+    const progression = [];
+    let lastScore = { home: 0, guest: 0 };
+    for (const ev of events) {
+        if (!ev.score) continue;
+        const score = parseScore(ev.score);
+        if (score.home === lastScore.home && score.guest === lastScore.guest) continue;
+        progression.push({ minute: getEventMinutes(ev), ...score });
+        lastScore = score;
+    }
+    const lastMinute = progression.length > 0 ? progression[progression.length - 1].minute : 0;
+
+    return {
+        finalScore: parseScore(finalEvent ? finalEvent.score : tickerState.lastKnownScore),
+        halftimeScore: halftimeEvent ? parseScore(halftimeEvent.score) : null,
+        decision,
+        periodMinutes,
+        duration: Math.max(periodMinutes * 2, Math.ceil(lastMinute)),
+        progression
+    };
+}
+
+// --- TEMPLATE ---
+
+/**
+ * Draws the score progression of both teams as step lines.
+ */
+function buildChartSvg(language, data, teamNames) {
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const maxGoals = Math.max(1, data.finalScore.home, data.finalScore.guest,
+        ...data.progression.map(point => Math.max(point.home, point.guest)));
+    const goalStep = maxGoals > 20 ? 10 : 5;
+    const goalLimit = Math.ceil(maxGoals / goalStep) * goalStep;
+    const x = minute => (CHART.left + Math.min(minute, data.duration) / data.duration * plotWidth).toFixed(1);
+    const y = goals => (CHART.top + plotHeight - goals / goalLimit * plotHeight).toFixed(1);
+
+    const gridLines = [];
+    for (let goals = 0; goals <= goalLimit; goals += goalStep) {
+        gridLines.push(`<line x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(goals)}" y2="${y(goals)}" class="grid"/>`);
+        gridLines.push(`<text x="${CHART.left - 8}" y="${y(goals)}" class="axis" text-anchor="end" dominant-baseline="middle">${goals}</text>`);
+    }
+    for (let minute = 0; minute <= data.duration; minute += 10) {
+        gridLines.push(`<text x="${x(minute)}" y="${CHART.height - 8}" class="axis" text-anchor="middle">${escapeHtml(t(language, 'scoreCard.minute', { minute }))}</text>`);
+    }
+    const halftimeLine = `<line x1="${x(data.periodMinutes)}" x2="${x(data.periodMinutes)}" y1="${CHART.top}" y2="${CHART.top + plotHeight}" class="halftime"/>`;
+
+    const buildLine = side => {
+        const points = [`${x(0)},${y(0)}`];
+        let goals = 0;
+        for (const point of data.progression) {
+            if (point[side] === goals) continue;
+            points.push(`${x(point.minute)},${y(goals)}`, `${x(point.minute)},${y(point[side])}`);
+            goals = point[side];
+        }
+        points.push(`${x(data.duration)},${y(goals)}`);
+        return `<polyline points="${points.join(' ')}" fill="none" stroke="${COLORS[side]}" stroke-width="4" stroke-linejoin="round"/>`;
+    };
+
+    return `<svg width="${CHART.width}" height="${CHART.height}" viewBox="0 0 ${CHART.width} ${CHART.height}" xmlns="http://www.w3.org/2000/svg">
+        <title>${escapeHtml(`${teamNames.home} - ${teamNames.guest}`)}</title>
+        ${gridLines.join('\n        ')}
+        ${halftimeLine}
+        ${buildLine('guest')}
+        ${buildLine('home')}
+    </svg>`;
+}
+
+function buildCardHtml(language, teamNames, data, gameStats) {
+    const score = `${data.finalScore.home}:${data.finalScore.guest}`;
+    const details = [];
+    if (data.halftimeScore) details.push(t(language, 'scoreCard.halftime', { score: `${data.halftimeScore.home}:${data.halftimeScore.guest}` }));
+    if (data.decision) details.push(t(language, `scoreCard.${data.decision}`));
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { width: ${CARD_WIDTH}px; height: ${CARD_HEIGHT}px; font-family: 'DejaVu Sans', 'Liberation Sans', Arial, sans-serif; color: #eceff1;
+        background: linear-gradient(160deg, #102a43 0%, #0b1724 100%); padding: 32px 40px; }
+    .label { text-align: center; font-size: 18px; letter-spacing: 4px; text-transform: uppercase; color: #90a4ae; }
+    .result { display: flex; align-items: center; justify-content: space-between; margin: 16px 0 4px; }
+    .team { width: 330px; font-size: 28px; font-weight: bold; line-height: 1.2; overflow-wrap: break-word; }
+    .team.home { text-align: right; color: ${COLORS.home}; }
+    .team.guest { text-align: left; color: ${COLORS.guest}; }
+    .score { font-size: 84px; font-weight: bold; white-space: nowrap; }
+    .details { text-align: center; font-size: 20px; color: #b0bec5; min-height: 26px; }
+    .scorers { display: flex; justify-content: space-between; margin: 20px 0 12px; font-size: 18px; }
+    .scorers div { width: 48%; }
+    .scorers div:last-child { text-align: right; }
+    .scorers span { display: block; font-size: 14px; color: #90a4ae; text-transform: uppercase; letter-spacing: 2px; margin-bottom: 4px; }
+    .chart-title { font-size: 14px; color: #90a4ae; text-transform: uppercase; letter-spacing: 2px; margin-bottom: 6px; }
+    .grid { stroke: #ffffff; stroke-opacity: 0.12; }
+    .halftime { stroke: #ffffff; stroke-opacity: 0.45; stroke-dasharray: 6 6; }
+    .axis { fill: #90a4ae; font-size: 14px; }
+</style></head><body>
+    <div class="label">${escapeHtml(t(language, 'scoreCard.finalScore'))}</div>
+    <div class="result">
+        <div class="team home">${escapeHtml(teamNames.home)}</div>
+        <div class="score">${score}</div>
+        <div class="team guest">${escapeHtml(teamNames.guest)}</div>
+    </div>
+    <div class="details">${escapeHtml(details.join(' · '))}</div>
+    <div class="scorers">
+        <div><span>${escapeHtml(t(language, 'scoreCard.topScorer'))}</span>${escapeHtml(gameStats.homeTopScorer)}</div>
+        <div><span>${escapeHtml(t(language, 'scoreCard.topScorer'))}</span>${escapeHtml(gameStats.guestTopScorer)}</div>
+    </div>
+    <div class="chart-title">${escapeHtml(t(language, 'scoreCard.progression'))}</div>
+    ${buildChartSvg(language, data, teamNames)}
+</body></html>`;
+}
+
+// --- RENDERING ---
+
+/**
+ * Uses the Chromium configured for WhatsApp, or the one that came with puppeteer if there is none.
+ */
+function getChromiumPath() {
+    if (process.env.CHROMIUM_PATH) return process.env.CHROMIUM_PATH;
+    return fs.existsSync(DEFAULT_CHROMIUM_PATH) ? DEFAULT_CHROMIUM_PATH : undefined;
+}
+
+/**
+ * Returns the browser of the transport (see transports/index.js), or starts one that is kept
+ * for later cards. A crashed browser is started again on the next card.
+ * @param {object} transport - The transport.
+ * @returns {Promise<object>} - A puppeteer browser.
+ */
+async function getBrowser(transport) {
+    const transportBrowser = transport && transport.getBrowser ? transport.getBrowser() : null;
+    if (transportBrowser && transportBrowser.isConnected()) return transportBrowser;
+
+    if (!ownBrowser) {
+        console.log('Ergebnis-Grafik: Starte Chromium.');
+        ownBrowser = puppeteer.launch({
+            headless: true,
+            timeout: RENDER_TIMEOUT_MS,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+            executablePath: getChromiumPath()
+        }).then(browser => {
+            browser.on('disconnected', () => { ownBrowser = null; });
+            return browser;
+        }).catch(error => {
+            ownBrowser = null;
+            throw error;
+        });
+    }
+    return ownBrowser;
+}
+
+async function renderPng(html, transport) {
+    const browser = await getBrowser(transport);
+    const page = await browser.newPage();
+    try {
+        await page.setViewport({ width: CARD_WIDTH, height: CARD_HEIGHT, deviceScaleFactor: 2 });
+        await page.setContent(html, { waitUntil: 'load', timeout: RENDER_TIMEOUT_MS });
+        return Buffer.from(await page.screenshot({ type: 'png' }));
+    } finally {
+        await page.close();
+    }
+}
+
+/**
+ * Renders the score card of a finished game.
+ * @param {object} tickerState - The finished ticker (uses teamNames, gameFormat, lastKnownScore).
+ * @param {object} gameData - The game data (uses `lineup` for the top scorers).
+ * @param {Array} events - The annotated chronological list of events.
+ * @param {object} [transport] - The transport, its browser is used if it has one.
+ * @returns {Promise<Buffer>} - The PNG image.
+ */
+async function buildScoreCard(tickerState, gameData, events, transport = null) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const teamNames = tickerState.teamNames;
+    const gameStats = getStatsForPrompt(gameData.lineup || {}, teamNames, events, language);
+    const html = buildCardHtml(language, teamNames, getCardData(tickerState, events), gameStats);
+    return renderPng(html, transport);
+}
+
+module.exports = { buildScoreCard };
@@ -0,0 +1,335 @@
+// seasonstats.js - Player statistics over all ticked games of a season (!torschuetzen, !saisonstats)
+//
+// After every game, the goals, 7-meters, penalties and cards of the group's own team are
+// stored per player and game. The totals are added up when they are shown, so a game that
+// is ticked twice (e.g. after !reset) only counts once. A game of a new season starts over.
+
+const { t, formatNumber } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { getOwnSide, getTeamIdFromUrl } = require('./filters.js');
+const { getFullPlayerName, getPlayerNumber } = require('./utils.js');
+const { getSection, saveSection } = require('./store.js');
+const { SHOOTOUT_PERIOD } = require('./gameformat.js');
+
+const MAX_LEADERBOARD_PLAYERS = 15;
+const REVIEW_TOP_SCORERS = 3;
+
+// Which counters of the scoring player an event increases
+const PLAYER_EVENT_COUNTERS = {
+    Goal: ['goals'],
+    SevenMeterGoal: ['goals', 'sevenMeterGoals', 'sevenMeterAttempts'],
+    SevenMeterMissed: ['sevenMeterAttempts'],
+    TwoMinutePenalty: ['penalties'],
+    Warning: ['yellowCards'],
+    Disqualification: ['redCards'],
+    DisqualificationWithReport: ['blueCards']
+};
+const COUNTERS = ['goals', 'sevenMeterGoals', 'sevenMeterAttempts', 'penalties', 'yellowCards', 'redCards', 'blueCards'];
+
+function createPlayerStats(name, number) {
+    const stats = { name, number };
+    for (const counter of COUNTERS) stats[counter] = 0;
+    return stats;
+}
+
+/**
+ * The season starts in July, e.g. a game in March 2026 belongs to the season 2025/26.
+ * @returns {number} - The year the season started.
+ */
+function getSeasonStartYear(date) {
+    const day = new Date(date);
+    return day.getMonth() >= 6 ? day.getFullYear() : day.getFullYear() - 1;
+}
+
+function formatSeason(startYear) {
+    return `${startYear}/${String(startYear + 1).slice(2)}`;
+}
+
+/**
+ * Finds the group's own team in a ticker.
+ * @returns {{key: string, side: string, name: string, opponent: string}|null} - Null if the own team is unknown.
+ */
+function getFollowedTeam(tickerState) {
+    const ownSide = getOwnSide(tickerState);
+    if (!ownSide) return null;
+    const side = ownSide === 'Home' ? 'home' : 'guest';
+    const teamNames = tickerState.teamNames || {};
+    const teamIds = tickerState.teamIds || {};
+    const name = teamNames[side] || null;
+    return {
+        key: teamIds[side] || getTeamIdFromUrl(tickerState.teamPageUrl) || name,
+        side: ownSide,
+        name,
+        opponent: teamNames[side === 'home' ? 'guest' : 'home'] || null
+    };
+}
+
+/**
+ * Counts the events of one team per player.
+ * @param {Array} lineup - The players of the team (`gameData.lineup.home` or `.away`).
+ * @param {Array} events - The chronological list of all game events.
+ * @param {string} teamSide - 'Home' or 'Away'.
+ * @returns {object} - { playerKey: stats } for every player in the lineup or with an event.
+ */
+function collectPlayerStats(lineup, events, teamSide) {
+    const players = {};
+    const getPlayer = number => {
+        const player = (lineup || []).find(p => p.number === number);
+        const name = player ? getFullPlayerName(player) : null;
+        // The name identifies a player over the season, shirt numbers may change
+        const key = name ? name.toLowerCase() : `#${number}`;
+        if (!players[key]) players[key] = createPlayerStats(name, number);
+        return players[key];
+    };
+
+    for (const player of lineup || []) {
+        if (getFullPlayerName(player)) getPlayer(player.number);
+    }
+    for (const ev of events) {
+        const counters = PLAYER_EVENT_COUNTERS[ev.type];
+        const playerNumber = getPlayerNumber(ev);
+        if (ev.team !== teamSide || !counters || !playerNumber) continue;
+        const stats = getPlayer(playerNumber);
+        for (const counter of counters) stats[counter]++;
+    }
+    return players;
+}
+
+// --- PERSISTENCE ---
+
+/**
+ * Stores the player statistics of a finished game for the group's own team.
+ * @param {object} tickerState - The finished ticker.
+ * @param {object} gameData - The full data object from the API.
+ * @param {Array} events - The annotated chronological list of all events.
+ * @returns {boolean} - False if the game was not counted (own team unknown or an older season).
+ */
+function recordSeasonGame(tickerState, gameData, events) {
+    const { tickerKey, chatId } = tickerState;
+    const team = getFollowedTeam(tickerState);
+    if (!team || !team.key) {
+        console.log(`[${tickerKey}] Saisonstatistik: Eigene Mannschaft unbekannt, Spiel wird nicht gezählt.`);
+        return false;
+    }
+
+    const startsAt = tickerState.startsAt || (gameData.summary && gameData.summary.startsAt) || Date.now();
+    const season = getSeasonStartYear(startsAt);
+    const allStats = getSection('seasonStats');
+    const chatStats = allStats[chatId] || {};
+    let teamStats = chatStats[team.key];
+    if (teamStats && season < teamStats.season) {
+        console.log(`[${tickerKey}] Saisonstatistik: Spiel gehört zu einer früheren Saison und wird nicht gezählt.`);
+        return false;
+    }
+    if (!teamStats || season > teamStats.season) {
+        teamStats = { season, games: {} };
+    }
+
+    // Goals of a 7-meter shootout decide the game, but they are not goals of the season
+    const gameEvents = events.filter(ev => !ev.period || ev.period < SHOOTOUT_PERIOD);
+    let finalScore = tickerState.lastKnownScore || '0-0';
+    if (gameEvents.length < events.length) {
+        const lastScoredEvent = [...gameEvents].reverse().find(ev => ev.score);
+        if (lastScoredEvent) finalScore = lastScoredEvent.score;
+    }
+    const [homeGoals, guestGoals] = finalScore.split(/[:-]/).map(Number);
+    const isHome = team.side === 'Home';
+    const lineup = gameData.lineup ? gameData.lineup[isHome ? 'home' : 'away'] : [];
+    teamStats.teamName = team.name;
+    teamStats.games[tickerState.gameId] = {
+        startsAt,
+        opponent: team.opponent,
+        goalsFor: isHome ? homeGoals : guestGoals,
+        goalsAgainst: isHome ? guestGoals : homeGoals,
+        players: collectPlayerStats(lineup, gameEvents, team.side)
+    };
+
+    chatStats[team.key] = teamStats;
+    allStats[chatId] = chatStats;
+    saveSection('seasonStats', allStats);
+    console.log(`[${tickerKey}] Saisonstatistik: Spiel ${tickerState.gameId} gespeichert (${Object.keys(teamStats.games).length} Spiele in der Saison ${formatSeason(season)}).`);
+    return true;
+}
+
+// --- TOTALS ---
+
+/**
+ * Adds up the games of a team's season.
+ * @returns {{team: object, players: Array}} - Team record and one total per player (with `games` played).
+ */
+function getSeasonTotals(teamStats) {
+    const team = { games: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0 };
+    const players = {};
+    for (const game of Object.values(teamStats.games)) {
+        team.games++;
+        team.goalsFor += game.goalsFor;
+        team.goalsAgainst += game.goalsAgainst;
+        if (game.goalsFor > game.goalsAgainst) team.wins++;
+        else if (game.goalsFor < game.goalsAgainst) team.losses++;
+        else team.draws++;
+
+        for (const [key, stats] of Object.entries(game.players)) {
+            const total = players[key] || { ...createPlayerStats(stats.name, stats.number), games: 0 };
+            total.games++;
+            for (const counter of COUNTERS) total[counter] += stats[counter] || 0;
+            players[key] = total;
+        }
+    }
+    return { team, players: Object.values(players) };
+}
+
+function sortByGoals(players) {
+    return players.slice().sort((a, b) =>
+        b.goals - a.goals || a.games - b.games || (a.name || '').localeCompare(b.name || ''));
+}
+
+// --- FORMATTING ---
+
+function getPlayerName(language, player) {
+    return player.name || t(language, 'event.playerNumber', { number: player.number });
+}
+
+function formatGoals(language, count) {
+    return t(language, count === 1 ? 'stats.goal' : 'stats.goals', { count });
+}
+
+function formatAverage(language, value, games) {
+    return formatNumber(language, games > 0 ? value / games : 0);
+}
+
+function formatTeamSummary(language, team) {
+    return t(language, 'seasonStats.teamSummary', {
+        ...team,
+        averageFor: formatAverage(language, team.goalsFor, team.games),
+        averageAgainst: formatAverage(language, team.goalsAgainst, team.games)
+    });
+}
+
+function formatTitle(language, key, teamStats) {
+    return t(language, key, { team: teamStats.teamName || '', season: formatSeason(teamStats.season) });
+}
+
+function formatScorerLines(language, players, limit) {
+    const scorers = sortByGoals(players).filter(player => player.goals > 0).slice(0, limit);
+    if (scorers.length === 0) return [t(language, 'seasonStats.noGoals')];
+
+    let rank = 0;
+    return scorers.map((player, index) => {
+        // Players with the same number of goals share a rank
+        if (index === 0 || player.goals !== scorers[index - 1].goals) rank = index + 1;
+        return t(language, 'seasonStats.scorerLine', {
+            rank,
+            name: getPlayerName(language, player),
+            goals: formatGoals(language, player.goals),
+            average: formatAverage(language, player.goals, player.games),
+            games: player.games,
+            sevenMeters: player.sevenMeterAttempts > 0
+                ? t(language, 'seasonStats.sevenMeters', { made: player.sevenMeterGoals, total: player.sevenMeterAttempts })
+                : ''
+        });
+    });
+}
+
+function formatCards(player) {
+    const cards = [['🟨', player.yellowCards], ['🟥', player.redCards], ['🟦', player.blueCards]]
+        .filter(([, count]) => count > 0)
+        .map(([icon, count]) => `${icon}${count}`);
+    return cards.length > 0 ? ` · ${cards.join(' ')}` : '';
+}
+
+function formatPlayerLine(language, player) {
+    return t(language, 'seasonStats.playerLine', {
+        name: getPlayerName(language, player),
+        games: player.games,
+        goals: formatGoals(language, player.goals),
+        average: formatAverage(language, player.goals, player.games),
+        sevenMeterGoals: player.sevenMeterGoals,
+        sevenMeterAttempts: player.sevenMeterAttempts,
+        penalties: player.penalties,
+        cards: formatCards(player)
+    });
+}
+
+function getChatSeasons(chatId) {
+    const chatStats = getSection('seasonStats')[chatId] || {};
+    const seasons = Object.values(chatStats).filter(teamStats => Object.keys(teamStats.games).length > 0);
+    if (seasons.length === 0) throw new Error(t(getGroupLanguage(chatId), 'seasonStats.noData'));
+    return seasons;
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Builds the !torschuetzen reply: the season's top scorers of every team the group follows.
+ * @param {string} chatId - The chat ID.
+ * @returns {string} - The reply.
+ * @throws {Error} - With a message in the group's language if no game was counted yet.
+ */
+function buildTopScorers(chatId) {
+    const language = getGroupLanguage(chatId);
+    return getChatSeasons(chatId).map(teamStats => {
+        const { team, players } = getSeasonTotals(teamStats);
+        return [
+            formatTitle(language, 'seasonStats.scorersTitle', teamStats),
+            formatTeamSummary(language, team),
+            '',
+            ...formatScorerLines(language, players, MAX_LEADERBOARD_PLAYERS)
+        ].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Builds the !saisonstats reply: totals and averages of every player of the season.
+ * @param {string} chatId - The chat ID.
+ * @returns {string} - The reply.
+ * @throws {Error} - With a message in the group's language if no game was counted yet.
+ */
+function buildSeasonStats(chatId) {
+    const language = getGroupLanguage(chatId);
+    return getChatSeasons(chatId).map(teamStats => {
+        const { team, players } = getSeasonTotals(teamStats);
+        return [
+            formatTitle(language, 'seasonStats.statsTitle', teamStats),
+            formatTeamSummary(language, team),
+            '',
+            ...sortByGoals(players).map(player => formatPlayerLine(language, player))
+        ].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Builds the season review that is posted when an auto-schedule chain has no games left.
+ * @param {object} tickerState - The last ticker of the chain.
+ * @returns {string|null} - The review, or null if no game of the team was counted.
+ */
+function buildSeasonReview(tickerState) {
+    const team = getFollowedTeam(tickerState);
+    const chatStats = getSection('seasonStats')[tickerState.chatId] || {};
+    const teamStats = team ? chatStats[team.key] : null;
+    if (!teamStats || Object.keys(teamStats.games).length === 0) return null;
+
+    const language = getGroupLanguage(tickerState.chatId);
+    const { team: record, players } = getSeasonTotals(teamStats);
+    const lines = [
+        formatTitle(language, 'seasonStats.reviewTitle', teamStats),
+        '',
+        formatTeamSummary(language, record),
+        '',
+        t(language, 'seasonStats.reviewTopScorers'),
+        ...formatScorerLines(language, players, REVIEW_TOP_SCORERS)
+    ];
+
+    const sevenMeterGoals = players.reduce((sum, player) => sum + player.sevenMeterGoals, 0);
+    const sevenMeterAttempts = players.reduce((sum, player) => sum + player.sevenMeterAttempts, 0);
+    if (sevenMeterAttempts > 0) {
+        lines.push('', t(language, 'seasonStats.reviewSevenMeters', { made: sevenMeterGoals, total: sevenMeterAttempts }));
+    }
+    const mostPenalties = players.slice().sort((a, b) => b.penalties - a.penalties)[0];
+    if (mostPenalties && mostPenalties.penalties > 0) {
+        lines.push(t(language, 'seasonStats.reviewPenalties', { name: getPlayerName(language, mostPenalties), count: mostPenalties.penalties }));
+    }
+    lines.push('', t(language, 'seasonStats.reviewFooter'));
+    return lines.join('\n');
+}
+
+module.exports = { COUNTERS, collectPlayerStats, recordSeasonGame, buildTopScorers, buildSeasonStats, buildSeasonReview };
@@ -0,0 +1,211 @@
+// settings.js - Per-group configuration
+
+const { t, DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('./i18n.js');
+const { getSection, saveSection } = require('./store.js');
+
+// Used for every group that has not changed a setting
+const DEFAULT_SETTINGS = {
+    recapIntervalMinutes: 5,
+    preGameStartMinutes: 5,
+    previewMinutes: 60, // 0 = no preview
+    aiPreview: false,
+    aiSummary: true,
+    stats: true,
+    scoreCard: true,
+    table: true,
+    closingMessage: null, // null = default text, '' = no closing message, otherwise a custom text
+    language: DEFAULT_LANGUAGE,
+    eventFilter: null // managed with !filter, see filters.js
+};
+
+// Names used with !config. `names` are shown in the overview, all aliases are accepted in every language.
+const SETTING_DEFINITIONS = {
+    recapIntervalMinutes: { names: { de: 'recap', en: 'recap' }, aliases: ['recap', 'recapintervall'], type: 'number', min: 1, max: 30 },
+    preGameStartMinutes: { names: { de: 'vorlauf', en: 'pregame' }, aliases: ['vorlauf', 'vorlaufzeit', 'pregame'], type: 'number', min: 0, max: 60 },
+    previewMinutes: { names: { de: 'vorschau', en: 'preview' }, aliases: ['vorschau', 'preview'], type: 'number', min: 0, max: 1440 },
+    aiPreview: { names: { de: 'kivorschau', en: 'aipreview' }, aliases: ['kivorschau', 'aipreview'], type: 'boolean' },
+    aiSummary: { names: { de: 'ki', en: 'ai' }, aliases: ['ki', 'zusammenfassung', 'ai', 'summary'], type: 'boolean' },
+    stats: { names: { de: 'statistik', en: 'stats' }, aliases: ['statistik', 'stats'], type: 'boolean' },
+    scoreCard: { names: { de: 'grafik', en: 'graphic' }, aliases: ['grafik', 'graphic', 'scorecard'], type: 'boolean' },
+    table: { names: { de: 'tabelle', en: 'table' }, aliases: ['tabelle', 'table'], type: 'boolean' },
+    closingMessage: { names: { de: 'abschluss', en: 'closing' }, aliases: ['abschluss', 'abschlussnachricht', 'closing'], type: 'text' },
+    language: { names: { de: 'sprache', en: 'language' }, aliases: ['sprache', 'language'], type: 'choice', options: SUPPORTED_LANGUAGES }
+};
+
+const TRUE_WORDS = ['an', 'ein', 'ja', 'on', 'yes', 'true'];
+const FALSE_WORDS = ['aus', 'nein', 'off', 'no', 'false'];
+const DEFAULT_WORDS = ['standard', 'default'];
+
+let groupSettings = {};
+
+// --- PERSISTENCE ---
+
+/**
+ * Loads the settings ({ chatId: { key: value } }) from the store. Must be called once at startup.
+ */
+function initializeSettings() {
+    groupSettings = getSection('settings');
+    if (Object.keys(groupSettings).length > 0) {
+        console.log(`Einstellungen für ${Object.keys(groupSettings).length} Gruppen geladen.`);
+    } else {
+        console.log('Keine gespeicherten Gruppeneinstellungen gefunden, verwende Standardwerte.');
+    }
+}
+
+function saveSettings() {
+    saveSection('settings', groupSettings);
+}
+
+// --- ACCESS ---
+
+/**
+ * Returns the effective settings of a group (defaults merged with the group's changes).
+ * @param {string} chatId - The chat ID.
+ * @returns {object} - The settings.
+ */
+function getGroupSettings(chatId) {
+    return { ...DEFAULT_SETTINGS, ...(groupSettings[chatId] || {}) };
+}
+
+/**
+ * Returns the language of a group, e.g. 'de'.
+ */
+function getGroupLanguage(chatId) {
+    return getGroupSettings(chatId).language;
+}
+
+/**
+ * Returns the closing message of a group, or null if it is switched off.
+ */
+function getClosingMessage(chatId) {
+    const { closingMessage, language } = getGroupSettings(chatId);
+    if (closingMessage === '') return null;
+    return closingMessage || t(language, 'ticker.closingMessage');
+}
+
+function getSettingLabel(language, key) {
+    return t(language, `settings.labels.${key}`);
+}
+
+function findSettingKey(name) {
+    const lowerName = (name || '').toLowerCase();
+    return Object.keys(SETTING_DEFINITIONS).find(key => SETTING_DEFINITIONS[key].aliases.includes(lowerName)) || null;
+}
+
+/**
+ * Parses and stores a setting given with !config.
+ * @param {string} chatId - The chat ID.
+ * @param {string} name - The setting name or alias, e.g. "recap".
+ * @param {string} rawValue - The value as typed by the user.
+ * @returns {{key: string, value: *}} - The stored setting.
+ * @throws {Error} - With a message in the group's language if the name or value is invalid.
+ */
+function setGroupSetting(chatId, name, rawValue) {
+    const language = getGroupLanguage(chatId);
+    const key = findSettingKey(name);
+    if (!key) {
+        const available = Object.values(SETTING_DEFINITIONS).map(d => d.names[language] || d.names[DEFAULT_LANGUAGE]).join(', ');
+        throw new Error(t(language, 'settings.unknown', { name, available }));
+    }
+    const definition = SETTING_DEFINITIONS[key];
+    const label = getSettingLabel(language, key);
+    const valueText = (rawValue || '').trim();
+    const lowerValue = valueText.toLowerCase();
+    let value;
+
+    if (definition.type === 'number') {
+        value = parseInt(valueText, 10);
+        if (isNaN(value) || value < definition.min || value > definition.max) {
+            throw new Error(t(language, 'settings.invalidNumber', { label, min: definition.min, max: definition.max }));
+        }
+    } else if (definition.type === 'boolean') {
+        if (TRUE_WORDS.includes(lowerValue)) value = true;
+        else if (FALSE_WORDS.includes(lowerValue)) value = false;
+        else throw new Error(t(language, 'settings.invalidBoolean', { label }));
+    } else if (definition.type === 'choice') {
+        if (!definition.options.includes(lowerValue)) {
+            throw new Error(t(language, 'settings.invalidChoice', { label, options: definition.options.join(', ') }));
+        }
+        value = lowerValue;
+    } else {
+        if (!valueText) throw new Error(t(language, 'settings.missingText', { label }));
+        if (FALSE_WORDS.includes(lowerValue)) value = '';
+        else if (TRUE_WORDS.includes(lowerValue) || DEFAULT_WORDS.includes(lowerValue)) value = null;
+        else value = valueText;
+    }
+
+    groupSettings[chatId] = groupSettings[chatId] || {};
+    if (value === DEFAULT_SETTINGS[key]) {
+        delete groupSettings[chatId][key];
+    } else {
+        groupSettings[chatId][key] = value;
+    }
+    if (Object.keys(groupSettings[chatId]).length === 0) delete groupSettings[chatId];
+    saveSettings();
+    return { key, value };
+}
+
+/**
+ * Stores a value without the !config parsing, for settings with their own command (e.g. !filter).
+ * @param {string} chatId - The chat ID.
+ * @param {string} key - The settings key.
+ * @param {*} value - The value, null restores the default.
+ */
+function saveGroupValue(chatId, key, value) {
+    groupSettings[chatId] = groupSettings[chatId] || {};
+    if (value === null || value === undefined) {
+        delete groupSettings[chatId][key];
+    } else {
+        groupSettings[chatId][key] = value;
+    }
+    if (Object.keys(groupSettings[chatId]).length === 0) delete groupSettings[chatId];
+    saveSettings();
+}
+
+/**
+ * Restores the defaults of the !config settings for a group. Values managed by other
+ * commands (the !filter of the group) are kept.
+ */
+function resetGroupSettings(chatId) {
+    const kept = Object.entries(groupSettings[chatId] || {}).filter(([key]) => !SETTING_DEFINITIONS[key]);
+    if (kept.length > 0) groupSettings[chatId] = Object.fromEntries(kept);
+    else delete groupSettings[chatId];
+    saveSettings();
+}
+
+// --- FORMATTING ---
+
+function formatSettingValue(language, key, value) {
+    const definition = SETTING_DEFINITIONS[key];
+    if (definition.type === 'boolean') return t(language, value ? 'settings.on' : 'settings.off');
+    if (definition.type === 'text') {
+        if (value === '') return t(language, 'settings.off');
+        return value ? `"${value}"` : t(language, 'settings.defaultText');
+    }
+    return String(value);
+}
+
+/**
+ * Builds the !config overview of a group, in the group's language.
+ */
+function formatGroupSettings(chatId) {
+    const settings = getGroupSettings(chatId);
+    const language = settings.language;
+    const lines = Object.entries(SETTING_DEFINITIONS).map(([key, definition]) =>
+        `• ${getSettingLabel(language, key)}: *${formatSettingValue(language, key, settings[key])}* (\`${definition.names[language] || definition.names[DEFAULT_LANGUAGE]}\`)`
+    );
+    return `${t(language, 'settings.title')}\n\n${lines.join('\n')}\n\n${t(language, 'settings.help')}`;
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    initializeSettings,
+    getGroupSettings,
+    getGroupLanguage,
+    getClosingMessage,
+    setGroupSetting,
+    saveGroupValue,
+    resetGroupSettings,
+    formatSettingValue,
+    formatGroupSettings
+};
@@ -0,0 +1,198 @@
+// standings.js - League table of a team (!tabelle and the post after each game)
+//
+// The table is read from the team's table page on handball.net, the same way as the schedule.
+// The ranks of the last matchday are kept in the store, so the post can show how the teams
+// moved since then.
+
+const { fetchTeamPage, findFlightArray, getTeamPageUrl } = require('./datasource.js');
+const { t } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { getOwnSide, getTeamIdFromUrl } = require('./filters.js');
+const { getSection, saveSection } = require('./store.js');
+
+// Keys the table rows may be stored under in the flight data
+const TABLE_KEYS = ['table', 'rows', 'standings'];
+
+function firstDefined(...values) {
+    return values.find(value => value !== undefined && value !== null);
+}
+
+function isTableRow(row) {
+    return !!row && typeof row === 'object' && (row.team || row.teamName) && firstDefined(row.points, row.rank) !== undefined;
+}
+
+function isTable(rows) {
+    return Array.isArray(rows) && rows.length > 1 && rows.every(isTableRow);
+}
+
+function formatPair(value, against) {
+    if (value === undefined || value === null) return '-';
+    if (against === undefined || against === null) return String(value);
+    return `${value}:${against}`;
+}
+
+function normalizeRow(row, index) {
+    const team = typeof row.team === 'object' && row.team ? row.team : { name: row.team || row.teamName };
+    return {
+        rank: Number(firstDefined(row.rank, row.position, index + 1)),
+        teamId: team.id || null,
+        teamName: team.name || '?',
+        games: Number(firstDefined(row.games, row.matches, row.played, 0)),
+        goals: formatPair(row.goals, row.goalsAgainst),
+        points: formatPair(row.points, row.pointsAgainst)
+    };
+}
+
+/**
+ * Fetches the league table of a team.
+ * @param {string} teamId - The handball.net team ID, e.g. "nuliga.bhv.1678372".
+ * @returns {Promise<Array|null>} - The rows ({ rank, teamId, teamName, games, goals, points }), or null if the page has none.
+ */
+async function getTableData(teamId) {
+    const tablePageUrl = getTeamPageUrl(teamId, 'tabelle');
+    console.log(`Tabelle: Rufe ${tablePageUrl} ab.`);
+    const html = await fetchTeamPage(tablePageUrl);
+    for (const key of TABLE_KEYS) {
+        const rows = findFlightArray(html, key, isTable);
+        if (rows) {
+            console.log(`Tabelle: ${rows.length} Mannschaften gefunden.`);
+            return rows.map(normalizeRow).sort((a, b) => a.rank - b.rank);
+        }
+    }
+    console.error(`Tabelle: Keine Tabelle auf ${tablePageUrl} gefunden.`);
+    return null;
+}
+
+// --- RANK CHANGES ---
+
+function getRowKey(row) {
+    return row.teamId || row.teamName;
+}
+
+/**
+ * Remembers the ranks of the current matchday and returns the ranks of the one before.
+ * A new matchday is detected by the number of games played, fewer games mean a new season.
+ * @param {string} teamId - The team whose table it is.
+ * @param {Array} rows - The current table.
+ * @returns {object} - { rowKey: rank } of the previous matchday, empty if unknown.
+ */
+function updateRankHistory(teamId, rows) {
+    const history = getSection('standings');
+    const entry = history[teamId];
+    const playedGames = rows.reduce((sum, row) => sum + (row.games || 0), 0);
+    if (entry && entry.playedGames === playedGames) return entry.previousRanks || {};
+
+    const previousRanks = (entry && playedGames > entry.playedGames) ? entry.ranks : null;
+    history[teamId] = {
+        playedGames,
+        ranks: Object.fromEntries(rows.map(row => [getRowKey(row), row.rank])),
+        previousRanks
+    };
+    saveSection('standings', history);
+    return previousRanks || {};
+}
+
+// --- FORMATTING ---
+
+function formatRankChange(language, row, previousRanks) {
+    const previousRank = previousRanks[getRowKey(row)];
+    if (!previousRank || previousRank === row.rank) return '';
+    return previousRank > row.rank
+        ? t(language, 'standings.up', { count: previousRank - row.rank })
+        : t(language, 'standings.down', { count: row.rank - previousRank });
+}
+
+function isOwnRow(row, ownTeam) {
+    if (!ownTeam) return false;
+    if (ownTeam.id && row.teamId) return row.teamId === ownTeam.id;
+    return !!ownTeam.name && row.teamName === ownTeam.name;
+}
+
+function formatStandings(language, rows, ownTeam, previousRanks) {
+    let hasChanges = false;
+    const lines = rows.map(row => {
+        const change = formatRankChange(language, row, previousRanks);
+        if (change) hasChanges = true;
+        return t(language, isOwnRow(row, ownTeam) ? 'standings.ownLine' : 'standings.line', {
+            rank: row.rank,
+            team: row.teamName,
+            change,
+            games: row.games,
+            goals: row.goals,
+            points: row.points
+        });
+    });
+    const footer = hasChanges ? `\n\n${t(language, 'standings.footer')}` : '';
+    return `${t(language, 'standings.title')}\n\n${lines.join('\n')}${footer}`;
+}
+
+async function buildStandings(language, teamId, ownTeam) {
+    let rows;
+    try {
+        rows = await getTableData(teamId);
+    } catch (error) {
+        console.error(`Tabelle: Fehler beim Abrufen der Tabelle von ${teamId}:`, error.message);
+        throw new Error(t(language, 'standings.fetchFailed'));
+    }
+    if (!rows) throw new Error(t(language, 'standings.notFound'));
+    return formatStandings(language, rows, ownTeam, updateRankHistory(teamId, rows));
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Finds the table to show for a ticker: the one of the group's own team, or the one of the
+ * home team if the group's team is unknown (then nothing is highlighted).
+ * @returns {{teamId: string, ownTeam: object|null}|null} - Null if no team ID is known.
+ */
+function getTickerTable(tickerState) {
+    const urlTeamId = getTeamIdFromUrl(tickerState.teamPageUrl);
+    const teamIds = tickerState.teamIds || {};
+    const ownSide = getOwnSide(tickerState);
+    if (ownSide) {
+        const side = ownSide === 'Home' ? 'home' : 'guest';
+        const teamId = teamIds[side] || urlTeamId;
+        const name = tickerState.teamNames ? tickerState.teamNames[side] : null;
+        if (teamId) return { teamId, ownTeam: { id: teamId, name } };
+    }
+    if (urlTeamId) return { teamId: urlTeamId, ownTeam: { id: urlTeamId, name: null } };
+    if (teamIds.home) return { teamId: teamIds.home, ownTeam: null };
+    return null;
+}
+
+/**
+ * Builds the table post for the end of a game.
+ * @param {object} tickerState - The finished ticker.
+ * @returns {Promise<string|null>} - The message, or null if the ticker's teams are unknown.
+ * @throws {Error} - If the table can't be fetched or found.
+ */
+async function buildTickerStandings(tickerState) {
+    const table = getTickerTable(tickerState);
+    if (!table) return null;
+    return buildStandings(getGroupLanguage(tickerState.chatId), table.teamId, table.ownTeam);
+}
+
+/**
+ * Builds the !tabelle reply. Without a URL the table of the group's team is shown, taken
+ * from its tickers (own team first).
+ * @param {string} chatId - The chat ID.
+ * @param {Array} chatTickers - The tickers of the group.
+ * @param {string} [teamPageUrl] - A team page whose table should be shown instead.
+ * @returns {Promise<string>} - The reply.
+ * @throws {Error} - With a message in the group's language if there is no table to show.
+ */
+async function buildStandingsReply(chatId, chatTickers, teamPageUrl = null) {
+    const language = getGroupLanguage(chatId);
+    if (teamPageUrl) {
+        const teamId = getTeamIdFromUrl(teamPageUrl);
+        if (!teamId) throw new Error(t(language, 'standings.invalidUrl'));
+        return buildStandings(language, teamId, { id: teamId, name: null });
+    }
+
+    const tables = chatTickers.map(getTickerTable).filter(Boolean);
+    const table = tables.find(entry => entry.ownTeam) || tables[0];
+    if (!table) throw new Error(t(language, 'standings.noTeam'));
+    return buildStandings(language, table.teamId, table.ownTeam);
+}
+
+module.exports = { getTableData, buildStandingsReply, buildTickerStandings };
@@ -0,0 +1,83 @@
+// status.js - Builds the !status reply of a group
+
+const { t, formatDate, formatTime } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { findNextGame, getChatTickers } = require('./polling.js');
+const { getStateKey } = require('./utils.js');
+
+function formatDateTime(language, date) {
+    return t(language, 'status.dateTime', {
+        date: formatDate(language, date, { weekday: 'short', day: '2-digit', month: '2-digit' }),
+        time: formatTime(language, date)
+    });
+}
+
+/**
+ * Describes the next game of an auto-schedule chain. A scheduled ticker is the next
+ * game itself, for a running one the team page is checked.
+ */
+async function describeNextGame(language, tickerState) {
+    if (!tickerState.isPolling) return t(language, 'status.nextGameIsThis');
+    try {
+        const nextGame = await findNextGame(tickerState.teamPageUrl, tickerState.gameId, tickerState.skippedGameIds || []);
+        if (!nextGame) return t(language, 'status.noNextGame');
+        return `*${nextGame.homeTeam.name}* vs *${nextGame.awayTeam.name}*, ${formatDateTime(language, nextGame.startsAt)}`;
+    } catch (error) {
+        console.error(`[${tickerState.tickerKey}] Nächstes Spiel für !status nicht gefunden:`, error.message);
+        return t(language, 'status.unknown');
+    }
+}
+
+async function formatTickerStatus(language, tickerState, index) {
+    const teams = tickerState.teamNames
+        ? `*${tickerState.teamNames.home}* vs *${tickerState.teamNames.guest}*`
+        : tickerState.gameId;
+    const tag = tickerState.teamTag ? ` [${tickerState.teamTag}]` : '';
+    const lines = [`${index + 1}. ${teams}${tag}`];
+
+    lines.push(t(language, 'status.state', {
+        state: t(language, `status.states.${getStateKey(tickerState)}`),
+        mode: t(language, `status.modes.${tickerState.mode === 'recap' ? 'recap' : 'live'}`)
+    }));
+    if (tickerState.startsAt) {
+        lines.push(t(language, 'status.startsAt', { dateTime: formatDateTime(language, tickerState.startsAt) }));
+    }
+    if (tickerState.isScheduled && tickerState.scheduledStartTime) {
+        lines.push(t(language, 'status.tickerStartsAt', { dateTime: formatDateTime(language, tickerState.scheduledStartTime) }));
+    }
+    if (tickerState.isPolling) {
+        const score = (tickerState.lastKnownScore || '0-0').replace('-', ':');
+        lines.push(tickerState.lastEventTime
+            ? t(language, 'status.scoreWithTime', { score, time: tickerState.lastEventTime })
+            : t(language, 'status.score', { score }));
+    }
+    if (tickerState.isAutoSchedule && tickerState.teamPageUrl) {
+        lines.push(t(language, 'status.autoSchedule', { url: tickerState.teamPageUrl }));
+        lines.push(t(language, 'status.nextGame', { game: await describeNextGame(language, tickerState) }));
+    }
+    return lines.join('\n   ');
+}
+
+/**
+ * Builds the !status reply: every ticker of the group with state, mode, teams,
+ * start time, score and game clock, and the auto-schedule chain if there is one.
+ * Tickers restored from the schedule file after a restart are included. Stopped and finished
+ * tickers are left out, the numbers match the ones the commands accept (e.g. !stop 2).
+ * @param {string} chatId - The chat ID.
+ * @returns {Promise<string>} - The reply.
+ */
+async function buildChatStatus(chatId) {
+    const language = getGroupLanguage(chatId);
+    const chatTickers = getChatTickers(chatId).filter(ticker => ticker.gameId);
+    if (chatTickers.length === 0) {
+        return t(language, 'status.noTickers');
+    }
+
+    const entries = [];
+    for (const [index, tickerState] of chatTickers.entries()) {
+        entries.push(await formatTickerStatus(language, tickerState, index));
+    }
+    return `${t(language, 'status.title')}\n\n${entries.join('\n\n')}`;
+}
+
+module.exports = { buildChatStatus };
@@ -0,0 +1,178 @@
+// store.js - Persistent state of the bot (tickers, seen events, schedules, per-group data)
+//
+// Everything is kept in one store made of two files:
+//   bot_state.json      Snapshot of all sections. Replaced atomically (temp file, fsync, rename).
+//   bot_state.journal   Append-only log of the changes since the snapshot, one transaction per line.
+// A transaction is appended and fsynced before it counts. On startup the snapshot is loaded and the
+// journal replayed, a half-written last line (power loss during a write) is ignored. Once the journal
+// is long enough, a new snapshot is written and the journal starts over.
+//
+// Sections map keys (usually chat IDs) to values. Every transaction stores the complete new value of
+// each changed key, so replaying a journal twice gives the same result.
+
+const fs = require('fs');
+
+const SCHEMA_VERSION = 1;
+const SECTIONS = ['tickers', 'schedule', 'settings', 'permissions', 'standings', 'seasonStats', 'calendar', 'webhooks'];
+const MAX_JOURNAL_ENTRIES = 500;
+
+// MIGRATIONS[n] turns the sections of schema version n into version n + 1
+const MIGRATIONS = {};
+
+let sections = createEmptySections();
+let snapshotPath = null;
+let journalPath = null;
+let journalEntries = 0;
+
+function createEmptySections() {
+    return Object.fromEntries(SECTIONS.map(section => [section, {}]));
+}
+
+// --- FILES ---
+
+function writeFileDurably(filePath, content, flags = 'w') {
+    const fd = fs.openSync(filePath, flags);
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function writeSnapshot() {
+    const tempPath = `${snapshotPath}.tmp`;
+    writeFileDurably(tempPath, JSON.stringify({ schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), sections }));
+    fs.renameSync(tempPath, snapshotPath);
+    // A crash before this line only means the journal is replayed once more on the new snapshot
+    writeFileDurably(journalPath, '');
+    journalEntries = 0;
+}
+
+function applyChanges(target, changes) {
+    for (const { section, key, value } of changes) {
+        target[section] = target[section] || {};
+        if (value === undefined) delete target[section][key];
+        else target[section][key] = value;
+    }
+}
+
+function replayJournal(target) {
+    if (!fs.existsSync(journalPath)) return 0;
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(line => line.trim());
+    let replayed = 0;
+    for (const [index, line] of lines.entries()) {
+        try {
+            applyChanges(target, JSON.parse(line).changes);
+            replayed++;
+        } catch (e) {
+            console.warn(`Store: Journal-Eintrag ${index + 1} von ${lines.length} ist unvollständig und wird verworfen.`);
+            break;
+        }
+    }
+    return replayed;
+}
+
+function migrate(data) {
+    let version = data.schemaVersion;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Der Datenspeicher hat Version ${version}, dieser Bot kennt nur bis Version ${SCHEMA_VERSION}. Bitte den Bot aktualisieren.`);
+    }
+    while (version < SCHEMA_VERSION) {
+        if (!MIGRATIONS[version]) throw new Error(`Keine Migration von Schema-Version ${version} vorhanden.`);
+        console.log(`Store: Migriere Daten von Schema-Version ${version} auf ${version + 1}.`);
+        data.sections = MIGRATIONS[version](data.sections);
+        version++;
+    }
+    return { ...createEmptySections(), ...data.sections };
+}
+
+/**
+ * Takes over the JSON files of older versions. They are renamed to "*.migrated" afterwards.
+ * @returns {boolean} - True if at least one file was imported.
+ */
+function importLegacyFiles(legacyFiles) {
+    const imported = [];
+    for (const [section, filePath] of Object.entries(legacyFiles)) {
+        if (!filePath || !fs.existsSync(filePath)) continue;
+        try {
+            sections[section] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            imported.push(filePath);
+            console.log(`Store: ${filePath} übernommen (${Object.keys(sections[section]).length} Einträge).`);
+        } catch (e) {
+            console.error(`Store: ${filePath} ist beschädigt und wird nicht übernommen:`, e.message);
+        }
+    }
+    if (imported.length === 0) return false;
+
+    writeSnapshot();
+    for (const filePath of imported) fs.renameSync(filePath, `${filePath}.migrated`);
+    return true;
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Opens the store. Must be called once at startup, before any other module reads its data.
+ * Without a store yet, the JSON files of older versions are imported once.
+ * @param {string} filePath - Path of the snapshot, the journal is stored next to it.
+ * @param {object} legacyFiles - Old JSON files per section, e.g. { schedule: 'scheduled_tickers.json' }.
+ * @throws {Error} - If the snapshot is unreadable or was written by a newer version.
+ */
+function initializeStore(filePath, legacyFiles = {}) {
+    snapshotPath = filePath;
+    journalPath = filePath.replace(/\.json$/, '') + '.journal';
+    sections = createEmptySections();
+
+    if (!fs.existsSync(snapshotPath) && !fs.existsSync(journalPath)) {
+        if (!importLegacyFiles(legacyFiles)) console.log('Store: Kein gespeicherter Zustand gefunden, starte mit leerem Speicher.');
+        return;
+    }
+
+    // Without a snapshot (crash before the first one), the journal alone holds the data of this version
+    const data = fs.existsSync(snapshotPath)
+        ? JSON.parse(fs.readFileSync(snapshotPath, 'utf8'))
+        : { schemaVersion: SCHEMA_VERSION, sections: createEmptySections() };
+    const hasJournal = fs.existsSync(journalPath) && fs.statSync(journalPath).size > 0;
+    const replayed = replayJournal(data.sections);
+    sections = migrate(data);
+    console.log(`Store: Zustand geladen (Schema-Version ${SCHEMA_VERSION}, ${replayed} Journal-Einträge nachgespielt).`);
+    // Also drops a half-written last line, new entries must not be appended to it
+    if (hasJournal || data.schemaVersion !== SCHEMA_VERSION) writeSnapshot();
+}
+
+/**
+ * Returns a copy of a section, e.g. all schedules: { chatId: { gameId: entry } }.
+ */
+function getSection(section) {
+    return structuredClone(sections[section] || {});
+}
+
+/**
+ * Stores a section. Only the keys that changed are written to the journal, as one transaction.
+ * @param {string} section - The section name, e.g. 'schedule'.
+ * @param {object} data - The complete new content of the section.
+ */
+function saveSection(section, data) {
+    const current = sections[section] || {};
+    const changes = [];
+    for (const key of new Set([...Object.keys(current), ...Object.keys(data)])) {
+        const value = data[key] === null ? undefined : data[key];
+        if (JSON.stringify(current[key]) === JSON.stringify(value)) continue;
+        changes.push({ section, key, value: value === undefined ? undefined : structuredClone(value) });
+    }
+    if (changes.length === 0) return;
+
+    applyChanges(sections, changes);
+    if (!journalPath) return; // Not initialized (e.g. in scripts), keep the data in memory only
+    try {
+        // JSON.stringify drops `value: undefined`, which marks the key as deleted
+        writeFileDurably(journalPath, JSON.stringify({ changes }) + '\n', 'a');
+        journalEntries++;
+        if (journalEntries >= MAX_JOURNAL_ENTRIES) writeSnapshot();
+    } catch (e) {
+        console.error(`Store: Fehler beim Speichern von "${section}":`, e);
+    }
+}
+
+module.exports = { SCHEMA_VERSION, initializeStore, getSection, saveSection };
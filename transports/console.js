@@ -0,0 +1,78 @@
+// transports/console.js
+const EventEmitter = require('events');
+const readline = require('readline');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CHAT_PREFIX = 'console:';
+
+/**
+ * Creates the console transport. Outgoing messages are printed with their chat ID,
+ * lines typed into the terminal are handled like commands sent in a group.
+ *
+ *   !start <URL>              -> sent in the default group "console:konsole"
+ *   @eltern !start <URL>      -> sent in the group "console:eltern"
+ *
+ * @returns {EventEmitter} - A transport, see transports/index.js for the interface.
+ */
+function createConsoleTransport() {
+    const transport = new EventEmitter();
+    const defaultGroup = process.env.CONSOLE_GROUP || 'konsole';
+    let lineReader = null;
+
+    const handleLine = (line) => {
+        const input = line.trim();
+        if (!input) return;
+
+        const groupMatch = input.match(/^@(\S+)\s+(.*)$/);
+        const groupName = groupMatch ? groupMatch[1] : defaultGroup;
+        const body = groupMatch ? groupMatch[2] : input;
+        if (!body.startsWith('!')) {
+            console.log('Konsole: Nur Befehle mit "!" werden verarbeitet, z.B. "!start <URL>" oder "@gruppe !stop".');
+            return;
+        }
+
+        const chatId = CHAT_PREFIX + groupName;
+        transport.emit('message', {
+            chatId,
+            body,
+            groupName,
+            isGroup: true,
+            senderId: 'console',
+            reply: text => transport.sendMessage(chatId, text),
+            // Whoever types in the terminal runs the bot
+            isAdmin: async () => true
+        });
+    };
+
+    transport.name = 'console';
+    transport.initialize = async () => {
+        lineReader = readline.createInterface({ input: process.stdin });
+        lineReader.on('line', handleLine);
+        console.log(`Konsolen-Transport bereit. Befehle eingeben (Gruppe "${defaultGroup}"), "@<gruppe> !befehl" für andere Gruppen.`);
+        transport.emit('ready');
+    };
+    transport.sendMessage = async (chatId, text) => {
+        console.log(`\n💬 [${chatId}]\n${text}\n`);
+    };
+    // Images and files can't be shown in a terminal, so they are saved to the temp directory
+    transport.sendImage = async (chatId, png, caption = '') => {
+        const filePath = path.join(os.tmpdir(), `spielstand-${Date.now()}.png`);
+        fs.writeFileSync(filePath, png);
+        console.log(`\n🖼️ [${chatId}] Bild gespeichert: ${filePath}${caption ? `\n${caption}` : ''}\n`);
+    };
+    transport.sendDocument = async (chatId, content, filename, mimeType, caption = '') => {
+        const filePath = path.join(os.tmpdir(), filename);
+        fs.writeFileSync(filePath, content);
+        console.log(`\n📎 [${chatId}] Datei gespeichert: ${filePath}${caption ? `\n${caption}` : ''}\n`);
+    };
+    transport.destroy = async () => {
+        if (lineReader) lineReader.close();
+    };
+    transport.ownsChat = chatId => chatId.startsWith(CHAT_PREFIX);
+    transport.toUserId = (chatId, text) => text || null;
+    return transport;
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,118 @@
+// transports/index.js
+//
+// A transport connects the ticker to a messaging platform. Every transport is an
+// EventEmitter with the same interface, so app.js and polling.js never talk to a
+// platform directly:
+//
+//   name                       Short name for logs, e.g. 'whatsapp'.
+//   initialize()               Connects. Emits 'ready' once messages can be sent.
+//   sendMessage(chatId, text)  Sends a text with WhatsApp-style *bold* markup.
+//   sendImage(chatId, png, caption)
+//                              Sends a PNG image (a Buffer) with an optional caption.
+//   sendDocument(chatId, content, filename, mimeType, caption)
+//                              Sends a file (a Buffer) as a document with an optional caption.
+//   destroy()                  Disconnects.
+//   ownsChat(chatId)           True if the chat ID belongs to this transport.
+//   toUserId(chatId, text)     Turns a user given in a command (e.g. phone number) into
+//                              a sender ID, or null if the text is not a valid user.
+//   getBrowser()               Optional. The puppeteer browser the transport runs anyway,
+//                              or null. Used to render images without a second Chromium.
+//
+//   Event 'ready'              The transport is connected. The router emits it once per
+//                              connected transport (argument: the transport).
+//   Event 'disconnected'       The connection was lost (arguments: reason, transport).
+//   Event 'message'            A command was received:
+//                              { chatId, body, groupName, isGroup, senderId, reply(text), isAdmin() }
+//                              isAdmin() resolves to true if the sender is an admin of the group.
+//
+// Chat IDs are namespaced per platform (WhatsApp "...@g.us", Telegram "tg:...", Matrix
+// "matrix:..."), so several transports can run side by side behind one router.
+
+const EventEmitter = require('events');
+
+// Loaded on demand, so e.g. the console transport works without whatsapp-web.js/Chromium
+const TRANSPORT_FACTORIES = {
+    whatsapp: () => require('./whatsapp.js').createWhatsAppTransport(),
+    console: () => require('./console.js').createConsoleTransport(),
+    telegram: () => require('./telegram.js').createTelegramTransport(),
+    matrix: () => require('./matrix.js').createMatrixTransport()
+};
+
+function createSingleTransport(name) {
+    const factory = TRANSPORT_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unbekannter Transport "${name}". Verfügbar: ${Object.keys(TRANSPORT_FACTORIES).join(', ')}`);
+    }
+    return factory();
+}
+
+/**
+ * Combines several transports into one. Messages are sent through the transport that
+ * owns the chat ID. 'ready' is passed on for every transport that connects, so a platform
+ * that fails to start (e.g. a wrong token) doesn't keep the others from restoring their tickers.
+ * @param {EventEmitter[]} transports - The transports to combine.
+ * @returns {EventEmitter} - A transport with the same interface.
+ */
+function createTransportRouter(transports) {
+    const router = new EventEmitter();
+
+    for (const transport of transports) {
+        transport.on('message', msg => router.emit('message', msg));
+        transport.on('disconnected', reason => router.emit('disconnected', reason, transport));
+        transport.on('ready', () => router.emit('ready', transport));
+    }
+
+    const findTransport = chatId => transports.find(transport => transport.ownsChat(chatId));
+
+    router.name = transports.map(transport => transport.name).join('+');
+    router.transports = transports; // The single transports, e.g. for their connection state
+    router.initialize = async () => {
+        await Promise.all(transports.map(transport =>
+            Promise.resolve(transport.initialize()).catch(error => {
+                console.error(`Transport ${transport.name} konnte nicht gestartet werden:`, error.message);
+            })
+        ));
+    };
+    router.sendMessage = (chatId, text) => {
+        const transport = findTransport(chatId);
+        if (!transport) return Promise.reject(new Error(`Kein Transport für Chat ${chatId} gefunden.`));
+        return transport.sendMessage(chatId, text);
+    };
+    router.sendImage = (chatId, png, caption) => {
+        const transport = findTransport(chatId);
+        if (!transport) return Promise.reject(new Error(`Kein Transport für Chat ${chatId} gefunden.`));
+        return transport.sendImage(chatId, png, caption);
+    };
+    router.sendDocument = (chatId, content, filename, mimeType, caption) => {
+        const transport = findTransport(chatId);
+        if (!transport) return Promise.reject(new Error(`Kein Transport für Chat ${chatId} gefunden.`));
+        return transport.sendDocument(chatId, content, filename, mimeType, caption);
+    };
+    router.destroy = async () => {
+        await Promise.all(transports.map(transport => transport.destroy()));
+    };
+    router.ownsChat = chatId => Boolean(findTransport(chatId));
+    router.toUserId = (chatId, text) => {
+        const transport = findTransport(chatId);
+        return transport ? transport.toUserId(chatId, text) : null;
+    };
+    router.getBrowser = () => {
+        const transport = transports.find(candidate => candidate.getBrowser && candidate.getBrowser());
+        return transport ? transport.getBrowser() : null;
+    };
+    return router;
+}
+
+/**
+ * Creates the transports selected with TRANSPORTS (or TRANSPORT) in .env, default: whatsapp.
+ * Several transports are separated by commas, e.g. "whatsapp,telegram,matrix".
+ * @param {string} names - The transport name(s).
+ * @returns {EventEmitter} - The transport (a router if more than one was selected).
+ */
+function createTransport(names) {
+    const nameList = (names || 'whatsapp').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const transports = [...new Set(nameList)].map(createSingleTransport);
+    return transports.length === 1 ? transports[0] : createTransportRouter(transports);
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,33 @@
+// transports/markup.js
+//
+// The ticker writes WhatsApp markup (*bold*, ~strikethrough~). These helpers convert it
+// for platforms that use HTML (Telegram, Matrix) or plain text.
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Converts WhatsApp markup to HTML: *bold* -> <b>, ~strike~ -> <s>.
+ * Line breaks are kept as "\n" (Telegram), use `lineBreak` to replace them (Matrix: "<br>").
+ * @param {string} text - The message with WhatsApp markup.
+ * @param {string} [lineBreak] - Replacement for "\n".
+ * @returns {string} - The HTML.
+ */
+function whatsappToHtml(text, lineBreak = '\n') {
+    return escapeHtml(text)
+        .replace(/\*([^*\n]+)\*/g, '<b>$1</b>')
+        .replace(/~([^~\n]+)~/g, '<s>$1</s>')
+        .replace(/\n/g, lineBreak);
+}
+
+/**
+ * Removes WhatsApp markup, for plain text fallbacks.
+ */
+function whatsappToPlain(text) {
+    return text
+        .replace(/\*([^*\n]+)\*/g, '$1')
+        .replace(/~([^~\n]+)~/g, '$1');
+}
+
+module.exports = { whatsappToHtml, whatsappToPlain };
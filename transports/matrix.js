@@ -0,0 +1,189 @@
+// transports/matrix.js
+const EventEmitter = require('events');
+const axios = require('axios');
+const { whatsappToHtml, whatsappToPlain } = require('./markup.js');
+
+const CHAT_PREFIX = 'matrix:';
+const SYNC_TIMEOUT_MS = 30000;
+const RETRY_DELAY_MS = 5000;
+const ADMIN_POWER_LEVEL = 50; // Moderators and admins
+const IMAGE_FILENAME = 'spielstand.png';
+
+/**
+ * Creates the Matrix transport (client-server API with /sync long polling).
+ * Needs MATRIX_HOMESERVER (e.g. https://matrix.org) and MATRIX_ACCESS_TOKEN in .env.
+ * Invitations are accepted automatically. Chat IDs are prefixed with "matrix:",
+ * e.g. "matrix:!abcdef:matrix.org".
+ * @returns {EventEmitter} - A transport, see transports/index.js for the interface.
+ */
+function createMatrixTransport() {
+    const homeserver = (process.env.MATRIX_HOMESERVER || '').replace(/\/$/, '');
+    const accessToken = process.env.MATRIX_ACCESS_TOKEN;
+    if (!homeserver || !accessToken) {
+        throw new Error("MATRIX_HOMESERVER oder MATRIX_ACCESS_TOKEN fehlt in der .env Datei.");
+    }
+    const api = axios.create({
+        baseURL: `${homeserver}/_matrix/client/v3`,
+        headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    const transport = new EventEmitter();
+    const roomNames = new Map();
+    let isRunning = false;
+    let ownUserId = null;
+    let syncToken = null;
+    let transactionCounter = 0;
+    const memberCounts = new Map(); // roomId -> joined members, a room with the bot and one user is a direct chat
+    const directRoomIds = new Set(); // Rooms marked as direct chats in the bot's m.direct account data
+
+    const getRoomName = async (roomId) => {
+        if (roomNames.has(roomId)) return roomNames.get(roomId);
+        let name = roomId;
+        try {
+            const response = await api.get(`/rooms/${encodeURIComponent(roomId)}/state/m.room.name`);
+            name = response.data.name || roomId;
+        } catch (e) {
+            // Rooms without a name keep their ID
+        }
+        roomNames.set(roomId, name);
+        return name;
+    };
+
+    const getPowerLevel = async (roomId, userId) => {
+        const response = await api.get(`/rooms/${encodeURIComponent(roomId)}/state/m.room.power_levels`);
+        const powerLevels = response.data || {};
+        const users = powerLevels.users || {};
+        return userId in users ? users[userId] : (powerLevels.users_default || 0);
+    };
+
+    const sendText = async (roomId, text, replyToEventId = null) => {
+        const content = {
+            msgtype: 'm.text',
+            body: whatsappToPlain(text),
+            format: 'org.matrix.custom.html',
+            formatted_body: whatsappToHtml(text, '<br>')
+        };
+        if (replyToEventId) content['m.relates_to'] = { 'm.in_reply_to': { event_id: replyToEventId } };
+        const transactionId = `${Date.now()}-${transactionCounter++}`;
+        await api.put(`/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${transactionId}`, content);
+    };
+
+    // Files are uploaded to the media repository first, the event only carries the mxc:// URI
+    const sendFile = async (roomId, msgtype, content, filename, mimeType, caption) => {
+        const upload = await axios.post(`${homeserver}/_matrix/media/v3/upload`, content, {
+            params: { filename },
+            headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': mimeType },
+            maxBodyLength: Infinity
+        });
+        const transactionId = `${Date.now()}-${transactionCounter++}`;
+        await api.put(`/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${transactionId}`, {
+            msgtype,
+            body: filename,
+            url: upload.data.content_uri,
+            info: { mimetype: mimeType, size: content.length }
+        });
+        if (caption) await sendText(roomId, caption);
+    };
+
+    const updateDirectRooms = (data) => {
+        const events = (data.account_data && data.account_data.events) || [];
+        const directEvent = events.find(event => event.type === 'm.direct');
+        if (!directEvent) return;
+        directRoomIds.clear();
+        for (const roomIds of Object.values(directEvent.content || {})) {
+            for (const roomId of roomIds) directRoomIds.add(roomId);
+        }
+    };
+
+    const isGroupRoom = async (roomId, room) => {
+        if (directRoomIds.has(roomId)) return false;
+        const summaryCount = room.summary && room.summary['m.joined_member_count'];
+        if (summaryCount) memberCounts.set(roomId, summaryCount);
+        if (!memberCounts.has(roomId)) {
+            try {
+                const response = await api.get(`/rooms/${encodeURIComponent(roomId)}/joined_members`);
+                memberCounts.set(roomId, Object.keys(response.data.joined || {}).length);
+            } catch (e) {
+                console.error(`Matrix: Mitglieder von Raum ${roomId} konnten nicht gelesen werden:`, e.message);
+                return true;
+            }
+        }
+        return memberCounts.get(roomId) > 2;
+    };
+
+    const handleSync = async (data) => {
+        const rooms = data.rooms || {};
+        for (const roomId of Object.keys(rooms.invite || {})) {
+            try {
+                await api.post(`/join/${encodeURIComponent(roomId)}`, {});
+                console.log(`Matrix: Einladung in Raum ${roomId} angenommen.`);
+            } catch (e) {
+                console.error(`Matrix: Konnte Raum ${roomId} nicht beitreten:`, e.message);
+            }
+        }
+        updateDirectRooms(data);
+        for (const [roomId, room] of Object.entries(rooms.join || {})) {
+            const timelineEvents = (room.timeline && room.timeline.events) || [];
+            // Someone joined or left, the member count is read again when needed
+            if (timelineEvents.some(event => event.type === 'm.room.member')) memberCounts.delete(roomId);
+            for (const event of timelineEvents) {
+                if (event.type !== 'm.room.message' || event.sender === ownUserId) continue;
+                const body = event.content && event.content.body ? event.content.body.trim() : '';
+                if (!body.startsWith('!')) continue;
+
+                transport.emit('message', {
+                    chatId: CHAT_PREFIX + roomId,
+                    body,
+                    groupName: await getRoomName(roomId),
+                    isGroup: await isGroupRoom(roomId, room),
+                    senderId: CHAT_PREFIX + event.sender,
+                    reply: text => sendText(roomId, text, event.event_id),
+                    isAdmin: async () => (await getPowerLevel(roomId, event.sender)) >= ADMIN_POWER_LEVEL
+                });
+            }
+        }
+    };
+
+    const syncLoop = async () => {
+        while (isRunning) {
+            try {
+                const response = await api.get('/sync', {
+                    params: { since: syncToken, timeout: SYNC_TIMEOUT_MS },
+                    timeout: SYNC_TIMEOUT_MS + 10000
+                });
+                syncToken = response.data.next_batch;
+                await handleSync(response.data);
+            } catch (error) {
+                if (!isRunning) break;
+                console.error('Matrix: Fehler beim Synchronisieren:', error.message);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+            }
+        }
+    };
+
+    transport.name = 'matrix';
+    transport.initialize = async () => {
+        const whoami = await api.get('/account/whoami');
+        ownUserId = whoami.data.user_id;
+        // The first sync only provides the starting point, old messages are not handled again
+        const initialSync = await api.get('/sync', { params: { timeout: 0, filter: JSON.stringify({ room: { timeline: { limit: 1 } } }) } });
+        syncToken = initialSync.data.next_batch;
+        updateDirectRooms(initialSync.data);
+        console.log(`Matrix-Client ${ownUserId} ist bereit!`);
+        isRunning = true;
+        transport.emit('ready');
+        syncLoop();
+    };
+    transport.sendMessage = (chatId, text) => sendText(chatId.slice(CHAT_PREFIX.length), text);
+    transport.sendImage = (chatId, png, caption = '') =>
+        sendFile(chatId.slice(CHAT_PREFIX.length), 'm.image', png, IMAGE_FILENAME, 'image/png', caption);
+    transport.sendDocument = (chatId, content, filename, mimeType, caption = '') =>
+        sendFile(chatId.slice(CHAT_PREFIX.length), 'm.file', content, filename, mimeType, caption);
+    transport.destroy = async () => {
+        isRunning = false;
+    };
+    transport.ownsChat = chatId => chatId.startsWith(CHAT_PREFIX);
+    transport.toUserId = (chatId, text) => /^@[^:\s]+:\S+$/.test(text || '') ? CHAT_PREFIX + text : null;
+    return transport;
+}
+
+module.exports = { createMatrixTransport };
@@ -0,0 +1,115 @@
+// transports/telegram.js
+const EventEmitter = require('events');
+const axios = require('axios');
+const { whatsappToHtml } = require('./markup.js');
+
+const CHAT_PREFIX = 'tg:';
+const LONG_POLL_SECONDS = 30;
+const RETRY_DELAY_MS = 5000;
+const IMAGE_FILENAME = 'spielstand.png';
+
+/**
+ * Creates the Telegram transport (Bot API with long polling).
+ * Needs TELEGRAM_BOT_TOKEN in .env. Commands work with "!" and with Telegram's "/" prefix.
+ * Chat IDs are prefixed with "tg:", e.g. "tg:-1001234567890".
+ * @returns {EventEmitter} - A transport, see transports/index.js for the interface.
+ */
+function createTelegramTransport() {
+    const token = process.env.TELEGRAM_BOT_TOKEN;
+    if (!token) {
+        throw new Error("TELEGRAM_BOT_TOKEN fehlt in der .env Datei.");
+    }
+    const apiUrl = `https://api.telegram.org/bot${token}`;
+    const transport = new EventEmitter();
+    let isRunning = false;
+    let nextUpdateId = 0;
+
+    const callApi = async (method, params, timeout = 10000) => {
+        const response = await axios.post(`${apiUrl}/${method}`, params, { timeout });
+        return response.data.result;
+    };
+
+    const handleUpdate = (update) => {
+        const message = update.message;
+        if (!message || !message.text) return;
+
+        // "/start@MeinBot url" -> "!start url"
+        let body = message.text.trim();
+        if (body.startsWith('/')) body = '!' + body.slice(1).replace(/^(\S+)@\S+/, '$1');
+        if (!body.startsWith('!')) return;
+
+        const chatId = CHAT_PREFIX + message.chat.id;
+        transport.emit('message', {
+            chatId,
+            body,
+            groupName: message.chat.title || message.chat.username || String(message.chat.id),
+            isGroup: message.chat.type === 'group' || message.chat.type === 'supergroup',
+            senderId: CHAT_PREFIX + (message.from ? message.from.id : 'unknown'),
+            reply: text => sendText(message.chat.id, text, message.message_id),
+            isAdmin: async () => {
+                if (!message.from) return false;
+                const member = await callApi('getChatMember', { chat_id: message.chat.id, user_id: message.from.id });
+                return member.status === 'creator' || member.status === 'administrator';
+            }
+        });
+    };
+
+    const pollUpdates = async () => {
+        while (isRunning) {
+            try {
+                const updates = await callApi('getUpdates', { offset: nextUpdateId, timeout: LONG_POLL_SECONDS, allowed_updates: ['message'] }, (LONG_POLL_SECONDS + 10) * 1000);
+                for (const update of updates) {
+                    nextUpdateId = update.update_id + 1;
+                    handleUpdate(update);
+                }
+            } catch (error) {
+                if (!isRunning) break;
+                console.error('Telegram: Fehler beim Abrufen der Updates:', error.message);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+            }
+        }
+    };
+
+    const sendText = (telegramChatId, text, replyToMessageId = null) => callApi('sendMessage', {
+        chat_id: telegramChatId,
+        text: whatsappToHtml(text),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        ...(replyToMessageId ? { reply_to_message_id: replyToMessageId } : {})
+    });
+
+    // Files are uploaded as multipart form data, the caption uses the same HTML as texts
+    const sendFile = (method, field, chatId, content, filename, mimeType, caption) => {
+        const form = new FormData();
+        form.append('chat_id', chatId.slice(CHAT_PREFIX.length));
+        form.append(field, new Blob([content], { type: mimeType }), filename);
+        if (caption) {
+            form.append('caption', whatsappToHtml(caption));
+            form.append('parse_mode', 'HTML');
+        }
+        return callApi(method, form, 30000);
+    };
+
+    transport.name = 'telegram';
+    transport.initialize = async () => {
+        const bot = await callApi('getMe', {});
+        console.log(`Telegram-Bot @${bot.username} ist bereit!`);
+        isRunning = true;
+        transport.emit('ready');
+        pollUpdates();
+    };
+    transport.sendMessage = (chatId, text) => sendText(chatId.slice(CHAT_PREFIX.length), text);
+    transport.sendImage = (chatId, png, caption = '') =>
+        sendFile('sendPhoto', 'photo', chatId, png, IMAGE_FILENAME, 'image/png', caption);
+    transport.sendDocument = (chatId, content, filename, mimeType, caption = '') =>
+        sendFile('sendDocument', 'document', chatId, content, filename, mimeType, caption);
+    transport.destroy = async () => {
+        isRunning = false;
+    };
+    transport.ownsChat = chatId => chatId.startsWith(CHAT_PREFIX);
+    // The Bot API can't look up @usernames, so users are given by their numeric ID
+    transport.toUserId = (chatId, text) => /^\d+$/.test(text || '') ? CHAT_PREFIX + text : null;
+    return transport;
+}
+
+module.exports = { createTelegramTransport };
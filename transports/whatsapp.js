@@ -0,0 +1,80 @@
+// transports/whatsapp.js
+const EventEmitter = require('events');
+const qrcode = require('qrcode-terminal');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+
+const IMAGE_FILENAME = 'spielstand.png';
+
+/**
+ * Creates the WhatsApp transport (whatsapp-web.js with a headless Chromium).
+ * Chromium is expected at /usr/bin/chromium, CHROMIUM_PATH in .env overrides it.
+ * @returns {EventEmitter} - A transport, see transports/index.js for the interface.
+ */
+function createWhatsAppTransport() {
+    const transport = new EventEmitter();
+    const client = new Client({
+        authStrategy: new LocalAuth(),
+        puppeteer: {
+            headless: true, 
+            timeout: 180000,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],        
+            executablePath: process.env.CHROMIUM_PATH || '/usr/bin/chromium' 
+        }
+    });
+
+    client.on('qr', qr => {
+        qrcode.generate(qr, { small: true });
+        console.log('QR-Code generiert. Scannen Sie diesen mit WhatsApp.');
+    });
+
+    client.on('ready', () => {
+        console.log('WhatsApp-Client ist bereit!');
+        transport.emit('ready');
+    });
+
+    client.on('disconnected', reason => transport.emit('disconnected', reason));
+
+    client.on('message', async msg => {
+        if (!msg.body.startsWith('!')) return;
+
+        const chat = await msg.getChat();
+        const senderId = msg.author || msg.from; // 'author' is set for group messages
+        transport.emit('message', {
+            chatId: chat.id._serialized,
+            body: msg.body,
+            groupName: chat.name,
+            isGroup: chat.isGroup,
+            senderId,
+            reply: text => msg.reply(text),
+            isAdmin: async () => {
+                const participant = (chat.participants || []).find(p => p.id._serialized === senderId);
+                return Boolean(participant && (participant.isAdmin || participant.isSuperAdmin));
+            }
+        });
+    });
+
+    transport.name = 'whatsapp';
+    transport.initialize = () => client.initialize();
+    transport.sendMessage = (chatId, text) => client.sendMessage(chatId, text);
+    transport.sendImage = (chatId, png, caption = '') => {
+        const media = new MessageMedia('image/png', png.toString('base64'), IMAGE_FILENAME);
+        return client.sendMessage(chatId, media, caption ? { caption } : {});
+    };
+    transport.sendDocument = (chatId, content, filename, mimeType, caption = '') => {
+        const media = new MessageMedia(mimeType, content.toString('base64'), filename);
+        return client.sendMessage(chatId, media, { sendMediaAsDocument: true, ...(caption ? { caption } : {}) });
+    };
+    transport.destroy = () => client.destroy();
+    // The score cards are rendered in the Chromium that is running for WhatsApp anyway
+    transport.getBrowser = () => client.pupBrowser || null;
+    transport.ownsChat = chatId => /@(g|c)\.us$/.test(chatId);
+    // "+49 170 1234567" is split into several words, so only "+491701234567" or "@491701234567" (mention) work
+    transport.toUserId = (chatId, text) => {
+        const number = (text || '').replace(/^[@+]/, '');
+        if (/^\d{6,15}@(c\.us|lid)$/.test(number)) return number;
+        return /^\d{6,15}$/.test(number) ? `${number}@c.us` : null;
+    };
+    return transport;
+}
+
+module.exports = { createWhatsAppTransport };
@@ -1,63 +1,191 @@
 // utils.js
 
-const fs = require('fs');
 const path = require('path');
 const { EVENT_MAP } = require('./config.js'); // Import event definitions
+const { getPeriodLabel } = require('./gameformat.js');
+const { t } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { getSection, saveSection } = require('./store.js');
 
-// --- DATA PERSISTENCE (UNCHANGED) ---
+// --- DATA PERSISTENCE (store.js sections 'tickers' and 'schedule') ---
 
-function loadSeenTickers(activeTickers, seenFilePath) {
+// Saved with the seen events of a running ticker, so the game can be resumed after a restart
+const RUNNING_STATE_KEYS = [
+    'meetingPageUrl', 'groupName', 'mode', 'isAutoSchedule', 'teamPageUrl', 'teamTag', 'skippedGameIds',
+    'teamNames', 'teamIds', 'startsAt', 'ageGroup', 'lastKnownScore', 'lastEventTime',
+    'recapEvents', 'recapMinuteCounter', 'pendingGameEndSince'
+];
+
+/**
+ * Loads the seen events (and the state of running tickers) from the store.
+ * @param {Map} activeTickers - The activeTickers map.
+ * @param {Function} [ownsChat] - Only chats it returns true for are loaded, e.g. those of one transport.
+ */
+function loadSeenTickers(activeTickers, ownsChat = () => true) {
     try {
-        const raw = fs.readFileSync(seenFilePath, 'utf8'); 
-        const data = JSON.parse(raw); 
-        for (const [chatId, seenArray] of Object.entries(data)) {
-            if (!activeTickers.has(chatId)) {
-                activeTickers.set(chatId, { seen: new Set(seenArray) }); 
-            } else {
-                const existingState = activeTickers.get(chatId);
-                existingState.seen = new Set(seenArray);
+        const data = getSection('tickers');
+        for (const [chatId, games] of Object.entries(data)) {
+            if (!ownsChat(chatId)) continue;
+            // Old format stored one array per chat without a game ID. It can only be
+            // matched if exactly one ticker of this chat was restored from the schedule.
+            if (Array.isArray(games)) {
+                const chatTickers = [...activeTickers.values()].filter(t => t.chatId === chatId);
+                if (chatTickers.length === 1) {
+                    chatTickers[0].seen = new Set(games);
+                } else {
+                    console.log(`[${chatId}] Gesehene Events im alten Format ohne Spiel-ID werden verworfen.`);
+                }
+                continue;
+            }
+            for (const [gameId, gameData] of Object.entries(games)) {
+                // Entries are { seen, fingerprints }, older files only held the array of seen IDs
+                const seenArray = Array.isArray(gameData) ? gameData : (gameData.seen || []);
+                const fingerprints = Array.isArray(gameData) ? {} : (gameData.fingerprints || {});
+                const tickerKey = getTickerKey(chatId, gameId);
+                if (!activeTickers.has(tickerKey)) {
+                    activeTickers.set(tickerKey, { tickerKey, chatId, gameId, seen: new Set(seenArray), fingerprints }); 
+                } else {
+                    const existingState = activeTickers.get(tickerKey);
+                    existingState.seen = new Set(seenArray);
+                    existingState.fingerprints = fingerprints;
+                }
+                // The ticker was running when the bot stopped, app.js resumes it
+                if (gameData.running) {
+                    Object.assign(activeTickers.get(tickerKey), gameData.running, { isResuming: true });
+                }
             }
         }
-        console.log(`Daten für ${Object.keys(data).length} Ticker aus der Datei geladen.`);
+        console.log(`Daten für ${Object.keys(data).length} Gruppen aus dem Speicher geladen.`);
     } catch (e) {
-        console.log('Keine gespeicherte Ticker-Datei gefunden oder Fehler beim Lesen, starte frisch.');
+        console.log('Gespeicherte Ticker-Daten konnten nicht gelesen werden, starte frisch:', e.message);
     }
 }
 
-function saveSeenTickers(activeTickers, seenFilePath) {
+function saveSeenTickers(activeTickers) {
     try {
         const dataToSave = {};
-        for (const [chatId, tickerState] of activeTickers.entries()) {
-            if (tickerState.seen) {
-                dataToSave[chatId] = [...tickerState.seen];
+        for (const tickerState of activeTickers.values()) {
+            if (tickerState.seen && tickerState.chatId && tickerState.gameId) {
+                dataToSave[tickerState.chatId] = dataToSave[tickerState.chatId] || {};
+                const entry = {
+                    seen: [...tickerState.seen],
+                    fingerprints: tickerState.fingerprints || {}
+                };
+                if (tickerState.isPolling) {
+                    entry.running = {};
+                    for (const key of RUNNING_STATE_KEYS) {
+                        if (tickerState[key] !== undefined) entry.running[key] = tickerState[key];
+                    }
+                }
+                dataToSave[tickerState.chatId][tickerState.gameId] = entry;
             }
         }
-        fs.writeFileSync(seenFilePath, JSON.stringify(dataToSave, null, 2), 'utf8');
+        saveSection('tickers', dataToSave);
     } catch (e) {
         console.error('Fehler beim Speichern der Ticker-Daten:', e);
     }
 }
 
-function loadScheduledTickers(scheduleFilePath) {
-    try {
-        const raw = fs.readFileSync(scheduleFilePath, 'utf8');
-        return JSON.parse(raw); 
-    } catch (e) {
-        console.log('Keine gespeicherte Planungsdatei gefunden oder Fehler beim Lesen.');
-        return {}; 
-    }
+/**
+ * Loads the schedules. Entries are stored per chat and game: { chatId: { gameId: entry } }.
+ */
+function loadScheduledTickers() {
+    return getSection('schedule');
 }
 
-function saveScheduledTickers(scheduledTickers, scheduleFilePath) {
-    try {
-        fs.writeFileSync(scheduleFilePath, JSON.stringify(scheduledTickers, null, 2), 'utf8');
-    } catch (e) {
-        console.error('Fehler beim Speichern der geplanten Ticker:', e);
+function saveScheduledTickers(scheduledTickers) {
+    saveSection('schedule', scheduledTickers);
+}
+
+/**
+ * Removes a single game from the schedules.
+ * @returns {boolean} - True if an entry was removed.
+ */
+function removeScheduledTicker(chatId, gameId) {
+    const currentSchedule = loadScheduledTickers();
+    if (!currentSchedule[chatId] || !currentSchedule[chatId][gameId]) return false;
+
+    delete currentSchedule[chatId][gameId];
+    if (Object.keys(currentSchedule[chatId]).length === 0) {
+        delete currentSchedule[chatId];
     }
+    saveScheduledTickers(currentSchedule);
+    return true;
+}
+
+/**
+ * Changes fields of a single game's schedule entry, e.g. { mode: 'recap' }.
+ * @returns {boolean} - False if the game has no schedule entry.
+ */
+function updateScheduledTicker(chatId, gameId, changes) {
+    const currentSchedule = loadScheduledTickers();
+    const entry = currentSchedule[chatId] && currentSchedule[chatId][gameId];
+    if (!entry) return false;
+
+    Object.assign(entry, changes);
+    saveScheduledTickers(currentSchedule);
+    return true;
 }
 
 // --- HELPER FUNCTIONS ---
 
+/**
+ * Builds the key of a ticker in `activeTickers`. A chat can follow several games at once.
+ * @param {string} chatId - The chat ID.
+ * @param {string} gameId - The handball.net game ID.
+ * @returns {string} - The ticker key.
+ */
+function getTickerKey(chatId, gameId) {
+    return `${chatId}|${gameId}`;
+}
+
+/**
+ * Builds a fingerprint of the content of an event. It changes when the scorekeeper
+ * edits the event (e.g. reassigns a goal) and is used to detect corrections between polls.
+ * The fingerprint is plain JSON, so the old content can be restored from it.
+ * @param {object} ev - The event object from the API.
+ * @returns {string} - The fingerprint.
+ */
+function getEventFingerprint(ev) {
+    return JSON.stringify({
+        type: ev.type,
+        time: ev.time || null,
+        score: ev.score || null,
+        team: ev.team || null,
+        message: ev.message || null
+    });
+}
+
+/**
+ * Compares two fingerprints without the running score. When an early goal is deleted or
+ * reassigned, handball.net recalculates the score of every later goal, those are not edited.
+ * @param {string} previous - The stored fingerprint.
+ * @param {string} current - The fingerprint of the current event.
+ * @returns {boolean} - True if type, time, team or message differ.
+ */
+function isEventContentChanged(previous, current) {
+    const { score: previousScore, ...previousContent } = JSON.parse(previous);
+    const { score: currentScore, ...currentContent } = JSON.parse(current);
+    return JSON.stringify(previousContent) !== JSON.stringify(currentContent);
+}
+
+/**
+ * Builds a short tag like "TSVM-HSGB" from the team names, used to tell games apart
+ * when a group follows several games at once.
+ * @param {object} teamNames - The team names object ({ home, guest }).
+ * @returns {string|null} - The tag, or null if no team names are known.
+ */
+function createTeamTag(teamNames) {
+    if (!teamNames) return null;
+    const abbreviate = (name) => (name || '')
+        .split(/[\s-]+/)
+        .filter(word => /^[\p{L}\d]/u.test(word))
+        .map(word => /^[\p{Lu}\d]+$/u.test(word) ? word : word.charAt(0).toUpperCase())
+        .join('')
+        .slice(0, 5);
+    return `${abbreviate(teamNames.home)}-${abbreviate(teamNames.guest)}`;
+}
+
 /**
  * Abbreviates a player's name to the format "F. Lastname".
  * Handles "N.N." for unknown players by returning null.
@@ -83,17 +211,76 @@ function abbreviatePlayerName(firstName, lastName) {
     return null; // Return null if no usable name
 }
 
+/**
+ * Returns a player's name for statistics, "Firstname Lastname" with only the first of
+ * several first names. Handles "N.N." for unknown players by returning null.
+ * @param {object} player - The player from the lineup (firstname, lastname).
+ * @returns {string|null} - The name, or null if no usable name.
+ */
+function getFullPlayerName(player) {
+    const fName = player.firstname ? player.firstname.trim() : null;
+    const lName = player.lastname ? player.lastname.trim() : null;
+
+    if (lName && fName && fName !== "N.N." && lName !== "N.N.") {
+        return `${fName.split(' ')[0]} ${lName}`;
+    }
+    if (lName && lName !== "N.N.") return lName;
+    if (fName && fName !== "N.N.") return fName;
+    return null;
+}
+
+/**
+ * Extracts the shirt number from an event message, e.g. "Tor durch 10." or "Tor (7m) durch 22.".
+ * @returns {number|null} - The number, or null if the message names no player.
+ */
+function getPlayerNumber(ev) {
+    const numMatch = (ev.message || '').match(/(\d+)\./);
+    return numMatch ? parseInt(numMatch[1], 10) : null;
+}
+
+/**
+ * Returns the state of a ticker: 'polling', 'scheduling', 'scheduled' or 'idle'.
+ */
+function getStateKey(tickerState) {
+    if (tickerState.isPolling) return 'polling';
+    if (tickerState.isScheduling) return 'scheduling';
+    if (tickerState.isScheduled) return 'scheduled';
+    return 'idle';
+}
+
+/**
+ * Reads the venue of a game, from the game data or the schedule.
+ * @param {object} game - A game with a `field` (or `venue`) entry.
+ * @returns {string|null} - E.g. "Sporthalle Nord, Musterstadt", or null if unknown.
+ */
+function getVenue(game) {
+    const field = game.field || game.venue;
+    if (!field) return null;
+    if (typeof field === 'string') return field;
+    return [field.name, field.city || field.town].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Returns the label of an event type in the given language, e.g. "Tor" or "Goal".
+ */
+function getEventLabel(language, type) {
+    return t(language, EVENT_MAP[type] ? `events.${type}` : 'events.default');
+}
+
 /**
  * Formats a game event object into a user-friendly WhatsApp message string for live mode.
- * @param {object} ev - The event object from the API.
+ * The text is written in the language of the ticker's group.
+ * @param {object} ev - The event object from the API (with `period` and, for StopPeriod, `isGameEnd`).
  * @param {object} tickerState - The state object for the current ticker (contains team names).
  * @param {object} gameData - The full data object from the API (for lineup lookups).
  * @returns {string} - The formatted message string, or an empty string for ignored events.
  */
 function formatEvent(ev, tickerState, gameData) {
+    const language = getGroupLanguage(tickerState.chatId);
     const eventInfo = EVENT_MAP[ev.type] || EVENT_MAP["default"];
-    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : 'Heim';
-    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : 'Gast';
+    const eventLabel = getEventLabel(language, ev.type);
+    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : t(language, 'event.home');
+    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : t(language, 'event.guest');
     
     const timeStr = ev.time ? ` (${ev.time})` : ''; 
     const lineup = gameData ? gameData.lineup : null;
@@ -115,7 +302,7 @@ function formatEvent(ev, tickerState, gameData) {
         }
         
         if (playerName) return { name: playerName, isPlayer: true }; 
-        if (playerNumber) return { name: `Nr. ${playerNumber}`, isPlayer: true }; 
+        if (playerNumber) return { name: t(language, 'event.playerNumber', { number: playerNumber }), isPlayer: true }; 
         return { name: `*${teamName}*`, isPlayer: false }; 
     };
 
@@ -143,7 +330,7 @@ function formatEvent(ev, tickerState, gameData) {
             }
             
             const target = getPlayerTarget();
-            const msg = target.isPlayer ? `${eventInfo.label} durch ${target.name}` : eventInfo.label;
+            const msg = target.isPlayer ? t(language, 'event.by', { label: eventLabel, player: target.name }) : eventLabel;
             return `${scoreLine}\n${emoji} ${msg}${timeStr}`;
         }
 
@@ -155,36 +342,32 @@ function formatEvent(ev, tickerState, gameData) {
             const target = getPlayerTarget();
             let msg;
             if (target.isPlayer) {
-                msg = `${eventInfo.label} für ${target.name} (*${teamName}*)`;
+                msg = t(language, 'event.for', { label: eventLabel, target: `${target.name} (*${teamName}*)` });
             } else {
-                msg = `${eventInfo.label} für ${target.name}`; 
+                msg = t(language, 'event.for', { label: eventLabel, target: target.name }); 
             }
             return `${emoji} ${msg}${timeStr}`;
         }
 
         case "Timeout": 
-            return `${emoji} ${eventInfo.label} für *${teamName}*${timeStr}`;
+            return `${emoji} ${t(language, 'event.for', { label: eventLabel, target: `*${teamName}*` })}${timeStr}`;
 
         case "StartPeriod": 
-            if (ev.time === "00:00") {
-                return `▶️ *Das Spiel hat begonnen!*`;
-            } else {
-                return `▶️ *Die zweite Halbzeit hat begonnen!*`;
-            }       
+            return `▶️ *${getPeriodLabel(ev.period, 'start', language)}*`;
 
         case "StopPeriod": {
             const [homeScore, awayScore] = ev.score.replace('-', ':').split(':');
-            const minute = ev.time ? parseInt(ev.time.split(':')[0], 10) : 0;
 
-            if (minute > 30) {
-                 return `🏁 *Spielende*\n${homeTeamName} *${homeScore}:${awayScore}* ${guestTeamName}`;
+            // 'isGameEnd' is decided in processEvents, a period end alone is not the end of the game
+            if (ev.isGameEnd) {
+                 return `🏁 *${t(language, 'event.gameEnd')}*\n${homeTeamName} *${homeScore}:${awayScore}* ${guestTeamName}`;
             } else {
-                 return `⏸️ *Halbzeit*\n${homeTeamName} *${homeScore}:${awayScore}* ${guestTeamName}`;
+                 return `⏸️ *${getPeriodLabel(ev.period, 'stop', language)}*\n${homeTeamName} *${homeScore}:${awayScore}* ${guestTeamName}`;
             }
         }
 
         default:
-            return `${emoji} ${ev.message || eventInfo.label}${timeStr}`;
+            return `${emoji} ${ev.message || eventLabel}${timeStr}`;
     }
 }
 
@@ -237,8 +420,19 @@ module.exports = {
     loadSeenTickers,
     saveSeenTickers,
     abbreviatePlayerName, 
+    getFullPlayerName,
+    getPlayerNumber,
+    getVenue,
     formatEvent, 
     loadScheduledTickers,
     saveScheduledTickers,
+    removeScheduledTicker,
+    updateScheduledTicker,
+    getTickerKey,
+    getStateKey,
+    getEventFingerprint,
+    isEventContentChanged,
+    getEventLabel,
+    createTeamTag,
     formatRecapEventLine
 };
\ No newline at end of file
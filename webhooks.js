@@ -0,0 +1,452 @@
+// webhooks.js - Sends the ticker events to other systems, e.g. the live ticker on a club website
+//
+// Webhooks are registered for the whole bot (WEBHOOK_URLS in .env) or per group with !webhook,
+// either for all tickers of the group or for a single game. Every processed event, the game start,
+// halftime, the game end, corrections and the final statistics are POSTed as JSON (see buildPayload). Every
+// request carries an HMAC-SHA256 signature of "<timestamp>.<body>":
+//
+//   X-Ticker-Timestamp: 1760000000
+//   X-Ticker-Signature: sha256=<hex>
+//
+// Each URL has its own queue, so events arrive in order. A failed delivery is retried with a
+// growing pause before the next one is sent. The queues are kept in memory only.
+//
+// Webhooks of groups may only point to public addresses. Otherwise every group member could make
+// the bot send requests into the network of its server (e.g. 127.0.0.1 or the cloud metadata service).
+// The address is checked when the webhook is added and again on every connection, since the DNS
+// entry may change in between. The webhooks from WEBHOOK_URLS are set by the operator and not checked.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { t } = require('./i18n.js');
+const { getGroupLanguage } = require('./settings.js');
+const { getSection, saveSection } = require('./store.js');
+const { getFullPlayerName, getPlayerNumber, getEventFingerprint } = require('./utils.js');
+const { COUNTERS, collectPlayerStats } = require('./seasonstats.js');
+const { recordWebhookDelivery } = require('./metrics.js');
+
+const SCHEMA_VERSION = 1;
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_DELAYS_SECONDS = [10, 30, 120, 600, 1800]; // After the last one the delivery is given up
+const MAX_QUEUE_LENGTH = 500; // Per URL, the oldest deliveries are dropped when a receiver is down for long
+const DELIVERED_MEMORY_HOURS = 24;
+
+let chatWebhooks = {}; // chatId -> [{ url, secret, gameId }]
+const queues = new Map(); // url -> { items: [delivery], attempt, timer }
+const deliveredIds = new Map(); // "url|payloadId" -> time, several chats may follow the same game
+
+// Unspecified, loopback, private, shared (CGNAT), link-local, benchmark, multicast and reserved
+// ranges. 240.0.0.0/4 also holds the limited broadcast 255.255.255.255.
+const blockedAddresses = new net.BlockList();
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+// Unspecified, loopback, NAT64 (reaches IPv4 addresses through a gateway), unique local, link-local
+// and multicast. The IPv4 rules also match IPv4-mapped IPv6 addresses like ::ffff:127.0.0.1
+const BLOCKED_IPV6_RANGES = [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]];
+for (const [network, prefix] of BLOCKED_IPV4_RANGES) blockedAddresses.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of BLOCKED_IPV6_RANGES) blockedAddresses.addSubnet(network, prefix, 'ipv6');
+
+// --- PERSISTENCE ---
+
+/**
+ * Loads the webhooks of the groups from the store. Must be called once at startup.
+ */
+function initializeWebhooks() {
+    chatWebhooks = getSection('webhooks');
+    const globalCount = getGlobalWebhooks().length;
+    const chatCount = Object.values(chatWebhooks).reduce((sum, hooks) => sum + hooks.length, 0);
+    if (globalCount + chatCount > 0) {
+        console.log(`Webhooks geladen: ${globalCount} für alle Ticker, ${chatCount} von Gruppen.`);
+    }
+    if (globalCount > 0 && !process.env.WEBHOOK_SECRET) {
+        console.warn('WEBHOOK_URLS ist gesetzt, aber kein WEBHOOK_SECRET. Die Anfragen werden nicht signiert.');
+    }
+}
+
+function saveWebhooks() {
+    saveSection('webhooks', chatWebhooks);
+}
+
+function getGlobalWebhooks() {
+    return (process.env.WEBHOOK_URLS || '').split(/[\s,]+/).filter(Boolean)
+        .map(url => ({ url, secret: process.env.WEBHOOK_SECRET || null, gameId: null, guarded: false }));
+}
+
+/**
+ * Returns the webhooks that receive the events of a ticker. Those of the group are `guarded`,
+ * they may only reach public addresses.
+ */
+function getTickerWebhooks(tickerState) {
+    const chatHooks = (chatWebhooks[tickerState.chatId] || [])
+        .filter(hook => !hook.gameId || hook.gameId === tickerState.gameId)
+        .map(hook => ({ ...hook, guarded: true }));
+    return [...getGlobalWebhooks(), ...chatHooks];
+}
+
+// --- PAYLOAD ---
+
+function parseScore(score) {
+    if (!score) return null;
+    const [home, guest] = score.replace('-', ':').split(':').map(value => parseInt(value, 10));
+    return Number.isNaN(home) || Number.isNaN(guest) ? null : { home, guest };
+}
+
+function getSide(ev) {
+    if (ev.team === 'Home') return 'home';
+    if (ev.team === 'Away') return 'guest';
+    return null;
+}
+
+/**
+ * Looks up the player of an event in the lineup, e.g. "Max Mustermann".
+ */
+function resolvePlayerName(ev, gameData) {
+    const playerNumber = getPlayerNumber(ev);
+    const lineupSide = ev.team === 'Home' ? 'home' : 'away';
+    const lineup = gameData && gameData.lineup ? gameData.lineup[lineupSide] : null;
+    if (!playerNumber || !getSide(ev) || !lineup) return null;
+    const player = lineup.find(p => p.number === playerNumber);
+    return player ? getFullPlayerName(player) : null;
+}
+
+/**
+ * Adds up the statistics of one team from its players.
+ */
+function buildTeamStats(name, lineup, events, teamSide) {
+    const players = Object.values(collectPlayerStats(lineup, events, teamSide))
+        .sort((a, b) => b.goals - a.goals || (a.number || 0) - (b.number || 0));
+    const totals = Object.fromEntries(COUNTERS.map(counter => [counter, players.reduce((sum, player) => sum + player[counter], 0)]));
+    return { name, ...totals, players };
+}
+
+/**
+ * Builds the JSON sent to the webhooks. Every payload has the same fields, the ones that
+ * don't apply are null (e.g. `player` of a timeout, `stats` of everything but final_stats).
+ * @param {object} tickerState - The ticker.
+ * @param {string} type - 'event', 'game_start', 'halftime', 'game_end', 'correction' or 'final_stats'.
+ * @param {object|null} ev - The annotated event (with `score` and `period`).
+ * @param {object} gameData - The full data object from the API.
+ * @param {object} [extra] - `stats` for final_stats, `correction` ('edited' or 'deleted') for corrections.
+ * @returns {object} - The payload.
+ */
+function buildPayload(tickerState, type, ev, gameData, extra = {}) {
+    const teamNames = tickerState.teamNames || {};
+    const side = ev ? getSide(ev) : null;
+    const eventKey = `${tickerState.gameId}:${ev && ev.id ? ev.id : type}`;
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        // Each version of a corrected event gets its own ID, so it isn't dropped as already delivered
+        id: extra.correction ? `${eventKey}:${extra.correction}:${hashEvent(ev)}` : eventKey,
+        type,
+        createdAt: new Date().toISOString(),
+        gameId: tickerState.gameId,
+        teams: { home: teamNames.home || null, guest: teamNames.guest || null },
+        eventId: ev && ev.id ? ev.id : null,
+        eventType: ev ? ev.type : null,
+        minute: ev && ev.time ? parseInt(ev.time.split(':')[0], 10) : null,
+        time: ev && ev.time ? ev.time : null,
+        period: ev && ev.period ? ev.period : null,
+        score: parseScore(ev ? ev.score : tickerState.lastKnownScore),
+        team: side,
+        teamName: side ? teamNames[side] || null : null,
+        player: ev ? resolvePlayerName(ev, gameData) : null,
+        playerNumber: ev && side ? getPlayerNumber(ev) : null,
+        message: ev && ev.message ? ev.message : null,
+        correction: extra.correction || null,
+        stats: extra.stats || null
+    };
+}
+
+function hashEvent(ev) {
+    return crypto.createHash('sha1').update(getEventFingerprint(ev)).digest('hex').slice(0, 8);
+}
+
+// --- ADDRESS CHECK ---
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function getHostname(url) {
+    return new URL(url).hostname.replace(/^\[|\]$/g, ''); // IPv6 literals are in brackets
+}
+
+/**
+ * DNS lookup for the connections to group webhooks that refuses internal addresses.
+ * Has the signature of dns.lookup, so it can be used as `lookup` of an http(s).Agent.
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) return callback(new Error(`${hostname} zeigt auf die interne Adresse ${blocked.address}`));
+        callback(null, address, family);
+    });
+}
+
+const guardedAgents = {
+    httpAgent: new http.Agent({ lookup: guardedLookup }),
+    httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+/**
+ * Checks that a URL of a group webhook only resolves to public addresses.
+ * @param {string} url - The URL.
+ * @returns {Promise<string|null>} - The locale key of the problem, null if the URL may be used.
+ */
+async function checkWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return 'webhooks.invalidUrl';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'webhooks.invalidUrl';
+
+    const hostname = getHostname(url);
+    if (net.isIP(hostname)) return isBlockedAddress(hostname) ? 'webhooks.privateUrl' : null;
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        return addresses.some(entry => isBlockedAddress(entry.address)) ? 'webhooks.privateUrl' : null;
+    } catch (e) {
+        return 'webhooks.unresolvableUrl';
+    }
+}
+
+// --- DELIVERY ---
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function postDelivery(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'handball-liveticker',
+        'X-Ticker-Event': delivery.type,
+        'X-Ticker-Delivery': delivery.payloadId,
+        'X-Ticker-Timestamp': String(timestamp)
+    };
+    if (delivery.secret) headers['X-Ticker-Signature'] = `sha256=${sign(delivery.secret, timestamp, delivery.body)}`;
+    const options = { headers, timeout: REQUEST_TIMEOUT_MS };
+    if (delivery.guarded) {
+        // IP literals never reach the lookup, and a redirect could lead anywhere
+        const hostname = getHostname(delivery.url);
+        if (net.isIP(hostname) && isBlockedAddress(hostname)) throw new Error(`${hostname} ist eine interne Adresse`);
+        Object.assign(options, guardedAgents, { maxRedirects: 0 });
+    }
+    await axios.post(delivery.url, delivery.body, options);
+}
+
+/**
+ * Sends the deliveries of one URL in order. After a failure the same delivery is retried
+ * with the next pause from RETRY_DELAYS_SECONDS, the rest of the queue waits.
+ */
+async function processQueue(url) {
+    const queue = queues.get(url);
+    queue.timer = null;
+    while (queue.items.length > 0) {
+        const delivery = queue.items[0];
+        try {
+            await postDelivery(delivery);
+            recordWebhookDelivery('sent');
+            queue.items.shift();
+            queue.attempt = 0;
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+            if (queue.attempt >= RETRY_DELAYS_SECONDS.length) {
+                console.error(`Webhook ${url}: ${delivery.payloadId} nach ${queue.attempt + 1} Versuchen verworfen (${reason}).`);
+                recordWebhookDelivery('dropped');
+                queue.items.shift();
+                queue.attempt = 0;
+                continue;
+            }
+            const delaySeconds = RETRY_DELAYS_SECONDS[queue.attempt];
+            queue.attempt++;
+            console.warn(`Webhook ${url}: ${delivery.payloadId} fehlgeschlagen (${reason}). Neuer Versuch in ${delaySeconds}s.`);
+            recordWebhookDelivery('retried');
+            queue.timer = setTimeout(() => processQueue(url), delaySeconds * 1000);
+            return;
+        }
+    }
+    queues.delete(url);
+}
+
+function enqueue(hook, payload) {
+    const deliveredKey = `${hook.url}|${payload.id}`;
+    if (deliveredIds.has(deliveredKey)) return;
+    deliveredIds.set(deliveredKey, Date.now());
+
+    const queue = queues.get(hook.url) || { items: [], attempt: 0, timer: null };
+    queues.set(hook.url, queue);
+    queue.items.push({ url: hook.url, secret: hook.secret, guarded: hook.guarded, type: payload.type, payloadId: payload.id, body: JSON.stringify(payload) });
+    if (queue.items.length > MAX_QUEUE_LENGTH) {
+        const dropped = queue.items.splice(1, 1)[0]; // The first one may be on its way right now
+        console.error(`Webhook ${hook.url}: Warteschlange voll, ${dropped.payloadId} verworfen.`);
+        recordWebhookDelivery('dropped');
+    }
+    // Only start sending if the queue is idle, a waiting retry keeps the order
+    if (queue.items.length === 1 && !queue.timer) processQueue(hook.url);
+}
+
+/**
+ * Forgets that an event was delivered, so it is sent again if it is restored after a deletion.
+ */
+function forgetEventDeliveries(gameId, eventId) {
+    const suffix = `|${gameId}:${eventId}`;
+    for (const key of deliveredIds.keys()) {
+        if (key.endsWith(suffix)) deliveredIds.delete(key);
+    }
+}
+
+function forgetOldDeliveries() {
+    const cutoff = Date.now() - DELIVERED_MEMORY_HOURS * 3600000;
+    for (const [key, deliveredAt] of deliveredIds) {
+        if (deliveredAt < cutoff) deliveredIds.delete(key);
+    }
+}
+
+/**
+ * Queues a payload for every webhook of the ticker. A game followed by several groups is
+ * sent only once to a URL registered in more than one of them (or for the whole bot).
+ */
+function notifyWebhooks(tickerState, payload) {
+    const hooks = getTickerWebhooks(tickerState);
+    if (hooks.length === 0) return;
+    forgetOldDeliveries();
+    for (const hook of hooks) enqueue(hook, payload);
+}
+
+// --- TICKER HOOKS ---
+
+/**
+ * Sends a processed event. Period starts and ends are sent as game_start, halftime or game_end.
+ * @param {object} tickerState - The ticker.
+ * @param {object} ev - The annotated event with score (and `isGameEnd` for StopPeriod).
+ * @param {object} gameData - The full data object from the API.
+ */
+function sendEventWebhooks(tickerState, ev, gameData) {
+    let type = 'event';
+    if (ev.type === 'StartPeriod' && ev.period === 1) type = 'game_start';
+    else if (ev.type === 'StopPeriod' && ev.isGameEnd) type = 'game_end';
+    else if (ev.type === 'StopPeriod' && ev.period === 1) type = 'halftime';
+    notifyWebhooks(tickerState, buildPayload(tickerState, type, ev, gameData));
+}
+
+/**
+ * Sends an edited or deleted event. The event has its corrected content (the last known one
+ * for a deletion), `score` is the score of the game after the correction.
+ * @param {object} tickerState - The ticker, with the recalculated lastKnownScore.
+ * @param {string} correction - 'edited' or 'deleted'.
+ * @param {object} ev - The annotated event.
+ * @param {object} gameData - The full data object from the API.
+ */
+function sendCorrectionWebhooks(tickerState, correction, ev, gameData) {
+    forgetEventDeliveries(tickerState.gameId, ev.id);
+    const payload = buildPayload(tickerState, 'correction', ev, gameData, { correction });
+    payload.score = parseScore(tickerState.lastKnownScore);
+    notifyWebhooks(tickerState, payload);
+}
+
+/**
+ * Sends the final statistics of both teams with the goals, 7-meters, penalties and cards per player.
+ * @param {object} tickerState - The finished ticker.
+ * @param {object} gameData - The full data object from the API.
+ * @param {Array} events - The annotated chronological list of all events.
+ */
+function sendFinalStatsWebhooks(tickerState, gameData, events) {
+    if (getTickerWebhooks(tickerState).length === 0) return;
+    const teamNames = tickerState.teamNames || {};
+    const lineup = gameData.lineup || {};
+    const stats = {
+        home: buildTeamStats(teamNames.home || null, lineup.home, events, 'Home'),
+        guest: buildTeamStats(teamNames.guest || null, lineup.away, events, 'Away')
+    };
+    notifyWebhooks(tickerState, buildPayload(tickerState, 'final_stats', null, gameData, { stats }));
+}
+
+// --- !webhook COMMAND ---
+
+/**
+ * Builds the !webhook overview of a group. The secrets are never shown in the group,
+ * every member could sign payloads with them.
+ */
+function formatWebhooks(chatId) {
+    const language = getGroupLanguage(chatId);
+    const hooks = chatWebhooks[chatId] || [];
+    if (hooks.length === 0) return `${t(language, 'webhooks.listEmpty')}\n\n${t(language, 'webhooks.usage')}`;
+    const lines = hooks.map((hook, index) => `${index + 1}. ${hook.url} (${hook.gameId ? t(language, 'webhooks.scopeGame', { gameId: hook.gameId }) : t(language, 'webhooks.scopeAll')})`);
+    return `${t(language, 'webhooks.list')}\n${lines.join('\n')}\n\n${t(language, 'webhooks.usage')}`;
+}
+
+/**
+ * Registers a webhook for a group and creates its signing secret. The operator of the bot
+ * reads the secret through the admin API (GET /webhooks).
+ * @param {string} chatId - The chat ID.
+ * @param {string} url - The URL events are POSTed to.
+ * @param {string|null} [gameId] - Only send the events of this game, null for all tickers of the group.
+ * @returns {Promise<string>} - The reply for the group.
+ * @throws {Error} - With a message in the group's language if the URL is invalid, internal or already registered.
+ */
+async function addWebhook(chatId, url, gameId = null) {
+    const language = getGroupLanguage(chatId);
+    const problem = await checkWebhookUrl(url);
+    if (problem) throw new Error(t(language, problem));
+    const hooks = chatWebhooks[chatId] || [];
+    if (hooks.some(hook => hook.url === url && hook.gameId === gameId)) throw new Error(t(language, 'webhooks.exists'));
+
+    const secret = crypto.randomBytes(24).toString('hex');
+    chatWebhooks[chatId] = [...hooks, { url, secret, gameId }];
+    saveWebhooks();
+    return t(language, 'webhooks.added', {
+        url,
+        scope: gameId ? t(language, 'webhooks.scopeGame', { gameId }) : t(language, 'webhooks.scopeAll')
+    });
+}
+
+/**
+ * Removes a webhook of a group by its list number or URL.
+ * @returns {string} - The reply for the group.
+ * @throws {Error} - With a message in the group's language if no webhook matches.
+ */
+function removeWebhook(chatId, selector) {
+    const language = getGroupLanguage(chatId);
+    const hooks = chatWebhooks[chatId] || [];
+    const index = /^\d+$/.test(selector) ? parseInt(selector, 10) - 1 : hooks.findIndex(hook => hook.url === selector);
+    if (index < 0 || index >= hooks.length) throw new Error(t(language, 'webhooks.notFound', { selector }));
+
+    const [removed] = hooks.splice(index, 1);
+    if (hooks.length > 0) chatWebhooks[chatId] = hooks;
+    else delete chatWebhooks[chatId];
+    saveWebhooks();
+    return t(language, 'webhooks.removed', { url: removed.url });
+}
+
+/**
+ * Returns the webhooks of all groups with their secrets, for the admin API.
+ * @returns {object} - { chatId: [{ url, secret, gameId }] }
+ */
+function getAllWebhooks() {
+    return structuredClone(chatWebhooks);
+}
+
+module.exports = {
+    initializeWebhooks,
+    sendEventWebhooks,
+    sendCorrectionWebhooks,
+    sendFinalStatsWebhooks,
+    formatWebhooks,
+    addWebhook,
+    removeWebhook,
+    getAllWebhooks
+};